@@ -118,19 +118,19 @@ app.post('/migrate', async (req, res) => {
 app.get('/migrate/status', async (req, res) => {
     try {
         const { pool } = require('./config/database');
+        const { MIGRATED_TABLES } = require('./config/migrate');
         
         // Check if tables exist
         const result = await pool.query(`
             SELECT table_name 
             FROM information_schema.tables 
             WHERE table_schema = 'public' 
-            AND table_name IN ('chat', 'prompt_templates', 'users')
+            AND table_name = ANY($1)
             ORDER BY table_name
-        `);
+        `, [MIGRATED_TABLES]);
 
         const existingTables = result.rows.map(row => row.table_name);
-        const expectedTables = ['chat', 'prompt_templates', 'users'];
-        const missingTables = expectedTables.filter(table => !existingTables.includes(table));
+        const missingTables = MIGRATED_TABLES.filter(table => !existingTables.includes(table));
 
         res.json({
             success: true,
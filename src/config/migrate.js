@@ -1,4 +1,398 @@
 const { pool } = require('./database');
+const { BUILT_IN_TEMPLATE_TYPES } = require('../services/templateTypeRegistry');
+const { BUILT_IN_LLM_CONFIGS } = require('../services/llmConfigRegistry');
+
+// Characters of template content covered by full-text search
+const CONTENT_TSV_MAX_CHARS = 500000;
+
+// Every table createTables makes, checked by /migrate/status
+const MIGRATED_TABLES = ['chat', 'concepts', 'experiment_assignments', 'experiment_variants', 'experiments', 'llm_configs', 'prompt_templates', 'template_default_snapshots', 'template_labels', 'template_rollout_items', 'template_rollouts', 'template_shares', 'template_types', 'user_llm_preferences', 'users', 'variable_layer_members', 'variable_layers'];
+
+// updated_at trigger for a table (update_updated_at_column() must exist)
+const createUpdatedAtTrigger = async (client, table) => {
+    await client.query(`
+        DROP TRIGGER IF EXISTS update_${table}_updated_at ON ${table};
+        CREATE TRIGGER update_${table}_updated_at 
+            BEFORE UPDATE ON ${table} 
+            FOR EACH ROW 
+            EXECUTE FUNCTION update_updated_at_column();
+    `);
+};
+
+// Template type registry, seeded with the built-in types
+const createTemplateTypeTables = async (client) => {
+    // Create template_types registry table
+    console.log('🗂️  Creating template_types table...');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS template_types (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(50) UNIQUE NOT NULL,
+            default_file VARCHAR(255),
+            default_content TEXT,
+            content_kind VARCHAR(10) NOT NULL DEFAULT 'text',
+            role VARCHAR(20) NOT NULL DEFAULT 'system_prompt',
+            description TEXT,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT chk_template_type_content_kind CHECK (content_kind IN ('text', 'json')),
+            CONSTRAINT chk_template_type_role CHECK (role IN ('system_prompt', 'variables', 'partial'))
+        )
+    `);
+
+    // Types that need a reviewer's approval before a version can be published
+    await client.query(`
+        ALTER TABLE template_types ADD COLUMN IF NOT EXISTS requires_review BOOLEAN DEFAULT FALSE;
+    `);
+
+    // Allow the 'partial' role on registries created before includes existed
+    await client.query(`
+        ALTER TABLE template_types DROP CONSTRAINT IF EXISTS chk_template_type_role;
+        ALTER TABLE template_types ADD CONSTRAINT chk_template_type_role
+            CHECK (role IN ('system_prompt', 'variables', 'partial'));
+    `);
+
+    // Seed built-in template types (existing rows are left untouched)
+    for (const type of BUILT_IN_TEMPLATE_TYPES) {
+        await client.query(
+            `INSERT INTO template_types (name, default_file, content_kind, role, description)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (name) DO NOTHING`,
+            [type.name, type.defaultFile, type.contentKind, type.role, type.description]
+        );
+    }
+
+    await createUpdatedAtTrigger(client, 'template_types');
+};
+
+// Concepts library
+const createConceptTables = async (client) => {
+    // Create concepts library table
+    console.log('📚 Creating concepts table...');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS concepts (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) UNIQUE NOT NULL,
+            description TEXT,
+            variables JSONB NOT NULL DEFAULT '{}'::jsonb,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_by VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_concepts_active ON concepts(is_active, name);
+    `);
+
+    await createUpdatedAtTrigger(client, 'concepts');
+};
+
+// Organisation / cohort variable layers and their members
+const createVariableLayerTables = async (client) => {
+    // Create organisation / cohort variable layers and their members
+    console.log('🧱 Creating variable layer tables...');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS variable_layers (
+            id SERIAL PRIMARY KEY,
+            scope VARCHAR(20) NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            description TEXT,
+            variables JSONB NOT NULL DEFAULT '{}'::jsonb,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT chk_variable_layer_scope CHECK (scope IN ('organization', 'cohort')),
+            CONSTRAINT unique_variable_layer UNIQUE (scope, name)
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS variable_layer_members (
+            layer_id INTEGER NOT NULL REFERENCES variable_layers(id) ON DELETE CASCADE,
+            username VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (layer_id, username)
+        )
+    `);
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_variable_layer_members_username ON variable_layer_members(username);
+    `);
+
+    await createUpdatedAtTrigger(client, 'variable_layers');
+};
+
+// Snapshots of rolled-out defaults (the base for three-way merges)
+const createDefaultSnapshotTables = async (client) => {
+    // Create default snapshots table (the base for three-way merges when defaults are rolled out)
+    console.log('📸 Creating template_default_snapshots table...');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS template_default_snapshots (
+            id SERIAL PRIMARY KEY,
+            template_type VARCHAR(50) NOT NULL,
+            content TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_default_snapshots_type ON template_default_snapshots(template_type, created_at DESC);
+    `);
+};
+
+// Rollout batches and their per-user items, for rollback
+const createRolloutTables = async (client) => {
+    // Create rollout tables (batches of default pushes that can be rolled back)
+    console.log('🚀 Creating template rollout tables...');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS template_rollouts (
+            id SERIAL PRIMARY KEY,
+            template_type VARCHAR(50) NOT NULL,
+            target JSONB NOT NULL,
+            default_content TEXT NOT NULL,
+            on_conflict VARCHAR(20) DEFAULT 'keepUser',
+            status VARCHAR(20) DEFAULT 'applied',
+            affected_count INTEGER DEFAULT 0,
+            created_by VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            rolled_back_at TIMESTAMP,
+            CONSTRAINT chk_rollout_status CHECK (status IN ('applied', 'rolled_back'))
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS template_rollout_items (
+            id SERIAL PRIMARY KEY,
+            rollout_id INTEGER NOT NULL REFERENCES template_rollouts(id) ON DELETE CASCADE,
+            username VARCHAR(255) NOT NULL,
+            previous_version INTEGER,
+            new_version INTEGER NOT NULL,
+            action VARCHAR(20) NOT NULL,
+            conflicts JSONB DEFAULT '[]'::jsonb,
+            rolled_back BOOLEAN DEFAULT FALSE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_rollout_items_rollout ON template_rollout_items(rollout_id);
+    `);
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_rollout_items_username ON template_rollout_items(username);
+    `);
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_rollouts_type_created ON template_rollouts(template_type, created_at DESC);
+    `);
+};
+
+// Read-only view / fork grants between users
+const createShareTables = async (client) => {
+    // Create template shares table (read-only view / fork grants between users)
+    console.log('🤝 Creating template_shares table...');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS template_shares (
+            id SERIAL PRIMARY KEY,
+            owner_username VARCHAR(255) NOT NULL,
+            template_type VARCHAR(50) NOT NULL,
+            grantee_username VARCHAR(255) NOT NULL,
+            permission VARCHAR(10) NOT NULL DEFAULT 'view',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT chk_share_permission CHECK (permission IN ('view', 'fork')),
+            CONSTRAINT unique_template_share UNIQUE (owner_username, template_type, grantee_username)
+        )
+    `);
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_template_shares_grantee ON template_shares(grantee_username);
+    `);
+
+    await createUpdatedAtTrigger(client, 'template_shares');
+};
+
+// Publishing workflow columns and per-user version numbering on prompt_templates
+const addWorkflowColumns = async (client) => {
+    // Publishing workflow: draft -> in_review -> published. The active version is the
+    // published one learners get; rows that predate the workflow count as published.
+    await client.query(`
+        ALTER TABLE prompt_templates ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published';
+        ALTER TABLE prompt_templates ADD COLUMN IF NOT EXISTS reviewer VARCHAR(255);
+        ALTER TABLE prompt_templates ADD COLUMN IF NOT EXISTS review_decision VARCHAR(10);
+        ALTER TABLE prompt_templates ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+        ALTER TABLE prompt_templates ADD COLUMN IF NOT EXISTS review_comment TEXT;
+        ALTER TABLE prompt_templates ADD COLUMN IF NOT EXISTS published_at TIMESTAMP;
+        ALTER TABLE prompt_templates DROP CONSTRAINT IF EXISTS chk_template_status;
+        ALTER TABLE prompt_templates ADD CONSTRAINT chk_template_status
+            CHECK (status IN ('draft', 'in_review', 'published'));
+    `);
+
+    // Version numbers are per user and template type; concurrent saves must not reuse one
+    await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS unique_template_version
+        ON prompt_templates(username, template_type, version);
+    `);
+};
+
+// Movable named pointers such as stable/beta to a version
+const createLabelTables = async (client) => {
+    // Create template labels table (movable named pointers such as stable/beta to a version)
+    console.log('🏷️  Creating template_labels table...');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS template_labels (
+            id SERIAL PRIMARY KEY,
+            username VARCHAR(255) NOT NULL,
+            template_type VARCHAR(50) NOT NULL,
+            label VARCHAR(50) NOT NULL,
+            version INTEGER NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT unique_template_label UNIQUE (username, template_type, label)
+        )
+    `);
+
+    await createUpdatedAtTrigger(client, 'template_labels');
+};
+
+// A/B experiments, their weighted variants and sticky per-user assignments
+const createExperimentTables = async (client) => {
+    // Create A/B experiment tables (weighted template variants, sticky per-user assignment)
+    console.log('🧪 Creating experiment tables...');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS experiments (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(100) NOT NULL UNIQUE,
+            template_type VARCHAR(50) NOT NULL,
+            description TEXT,
+            status VARCHAR(20) NOT NULL DEFAULT 'running',
+            created_by VARCHAR(255),
+            started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            stopped_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT chk_experiment_status CHECK (status IN ('running', 'stopped'))
+        )
+    `);
+    await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS unique_running_experiment ON experiments(template_type) WHERE status = 'running';
+    `);
+    // owner_username/version NULL is a control variant: the user's own template
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS experiment_variants (
+            id SERIAL PRIMARY KEY,
+            experiment_id INTEGER NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+            name VARCHAR(50) NOT NULL,
+            owner_username VARCHAR(255),
+            version INTEGER,
+            weight INTEGER NOT NULL DEFAULT 1,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT chk_variant_weight CHECK (weight > 0),
+            CONSTRAINT unique_experiment_variant UNIQUE (experiment_id, name)
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS experiment_assignments (
+            id SERIAL PRIMARY KEY,
+            experiment_id INTEGER NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+            variant_id INTEGER NOT NULL REFERENCES experiment_variants(id) ON DELETE CASCADE,
+            username VARCHAR(255) NOT NULL,
+            assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT unique_experiment_assignment UNIQUE (experiment_id, username)
+        )
+    `);
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_experiment_assignments_variant ON experiment_assignments(variant_id);
+    `);
+
+    await createUpdatedAtTrigger(client, 'experiments');
+};
+
+// Experiment variant that produced each chat
+const addChatExperimentColumn = async (client) => {
+    // Experiment variant that produced the chat, if any
+    await client.query(`
+        ALTER TABLE chat ADD COLUMN IF NOT EXISTS experiment_variant_id INTEGER REFERENCES experiment_variants(id) ON DELETE SET NULL;
+    `);
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_chat_experiment_variant ON chat(experiment_variant_id);
+    `);
+};
+
+// LLM provider configs (seeded from llmConfigs.json) and per-user provider preferences
+const createLlmConfigTables = async (client) => {
+    // Create LLM provider configs table (replaces reading llmConfigs.json per request)
+    console.log('🤖 Creating llm_configs table...');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS llm_configs (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(50) UNIQUE NOT NULL,
+            model VARCHAR(255) NOT NULL,
+            temperature DOUBLE PRECISION NOT NULL DEFAULT 1,
+            max_tokens INTEGER NOT NULL,
+            top_p DOUBLE PRECISION NOT NULL DEFAULT 1,
+            context_window INTEGER,
+            tokenizer VARCHAR(20),
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT chk_llm_temperature CHECK (temperature >= 0 AND temperature <= 2),
+            CONSTRAINT chk_llm_top_p CHECK (top_p > 0 AND top_p <= 1),
+            CONSTRAINT chk_llm_max_tokens CHECK (max_tokens > 0),
+            CONSTRAINT chk_llm_context_window CHECK (context_window IS NULL OR context_window >= max_tokens)
+        )
+    `);
+
+    // Seed providers from llmConfigs.json (existing rows are left untouched)
+    for (const config of BUILT_IN_LLM_CONFIGS) {
+        await client.query(
+            `INSERT INTO llm_configs (name, model, temperature, max_tokens, top_p, context_window, tokenizer)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             ON CONFLICT (name) DO NOTHING`,
+            [config.name, config.model, config.temperature, config.maxTokens, config.topP, config.contextWindow, config.tokenizer]
+        );
+    }
+
+    // mistral was first seeded with maxTokens equal to its whole 32k context window, which
+    // leaves no room for the prompt; fix rows that still carry that seed
+    await client.query(
+        `UPDATE llm_configs SET max_tokens = 8192
+         WHERE name = 'mistral' AND model = 'mistral-saba-24b' AND max_tokens = 32768 AND context_window = 32768`
+    );
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS user_llm_preferences (
+            id SERIAL PRIMARY KEY,
+            username VARCHAR(255) UNIQUE NOT NULL,
+            provider VARCHAR(50) NOT NULL REFERENCES llm_configs(name) ON UPDATE CASCADE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await createUpdatedAtTrigger(client, 'llm_configs');
+    await createUpdatedAtTrigger(client, 'user_llm_preferences');
+};
+
+// Full-text search column and index on prompt_templates
+const addContentSearchColumn = async (client) => {
+    // Full-text search over template content (GET /api/templates/search). A tsvector is capped
+    // at 1MB, so only the first CONTENT_TSV_MAX_CHARS characters are indexed; otherwise saving a
+    // very large template would fail. Columns generated from the whole content are rebuilt.
+    await client.query(`
+        DO $$
+        BEGIN
+            IF EXISTS (
+                SELECT 1 FROM information_schema.columns
+                WHERE table_name = 'prompt_templates'
+                AND column_name = 'content_tsv'
+                AND generation_expression NOT LIKE '%left%(content, ${CONTENT_TSV_MAX_CHARS})%'
+            ) THEN
+                ALTER TABLE prompt_templates DROP COLUMN content_tsv;
+                RAISE NOTICE 'Dropped content_tsv to rebuild it with the length cap';
+            END IF;
+        END $$;
+    `);
+    await client.query(`
+        ALTER TABLE prompt_templates ADD COLUMN IF NOT EXISTS content_tsv tsvector
+            GENERATED ALWAYS AS (to_tsvector('english', left(content, ${CONTENT_TSV_MAX_CHARS}))) STORED;
+    `);
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_prompt_content_tsv ON prompt_templates USING GIN(content_tsv);
+    `);
+};
 
 const createTables = async () => {
     let client;
@@ -8,6 +402,17 @@ const createTables = async () => {
         client = await pool.connect();
         await client.query('BEGIN');
 
+        // Create trigger function to automatically update updated_at
+        await client.query(`
+            CREATE OR REPLACE FUNCTION update_updated_at_column()
+            RETURNS TRIGGER AS $$
+            BEGIN
+                NEW.updated_at = CURRENT_TIMESTAMP;
+                RETURN NEW;
+            END;
+            $$ LANGUAGE plpgsql;
+        `);
+
         // Create prompt_templates table (PostgreSQL syntax)
         console.log('📝 Creating prompt_templates table...');
         await client.query(`
@@ -34,6 +439,10 @@ const createTables = async () => {
             CREATE INDEX IF NOT EXISTS idx_prompt_version ON prompt_templates(username, template_type, version);
         `);
 
+        await addWorkflowColumns(client);
+
+        await addContentSearchColumn(client);
+
         // Create unique constraint for active templates (PostgreSQL syntax)
         await client.query(`
             CREATE UNIQUE INDEX IF NOT EXISTS unique_active_template 
@@ -41,6 +450,47 @@ const createTables = async () => {
             WHERE is_active = TRUE;
         `);
 
+        // Drop legacy unique constraints that include is_active. They allowed only one
+        // inactive version per template, which forced every save to delete history.
+        // unique_active_template (a partial index, not a constraint) is unaffected.
+        await client.query(`
+            DO $$
+            DECLARE
+                legacy RECORD;
+            BEGIN
+                FOR legacy IN
+                    SELECT DISTINCT con.conname
+                    FROM pg_constraint con
+                    JOIN pg_class rel ON rel.oid = con.conrelid
+                    JOIN pg_attribute att ON att.attrelid = rel.oid AND att.attnum = ANY(con.conkey)
+                    WHERE rel.relname = 'prompt_templates'
+                    AND con.contype = 'u'
+                    AND att.attname = 'is_active'
+                LOOP
+                    EXECUTE format('ALTER TABLE prompt_templates DROP CONSTRAINT %I', legacy.conname);
+                    RAISE NOTICE 'Dropped legacy constraint %', legacy.conname;
+                END LOOP;
+            END $$;
+        `);
+
+        await createTemplateTypeTables(client);
+
+        await createLlmConfigTables(client);
+
+        await createDefaultSnapshotTables(client);
+
+        await createRolloutTables(client);
+
+        await createShareTables(client);
+
+        await createLabelTables(client);
+
+        await createExperimentTables(client);
+
+        await createConceptTables(client);
+
+        await createVariableLayerTables(client);
+
         // Create users table (PostgreSQL syntax)
         console.log('👥 Creating users table...');
         await client.query(`
@@ -101,6 +551,8 @@ const createTables = async () => {
             CREATE INDEX IF NOT EXISTS idx_chat_status_created ON chat(status, created_at DESC);
         `);
 
+        await addChatExperimentColumn(client);
+
         // Add status constraint for chat table
         console.log('🔒 Adding chat status constraints...');
         await client.query(`
@@ -121,19 +573,8 @@ const createTables = async () => {
             END $$;
         `);
 
-        // Create trigger function to automatically update updated_at
-        console.log('⚡ Creating auto-update triggers...');
-        await client.query(`
-            CREATE OR REPLACE FUNCTION update_updated_at_column()
-            RETURNS TRIGGER AS $$
-            BEGIN
-                NEW.updated_at = CURRENT_TIMESTAMP;
-                RETURN NEW;
-            END;
-            $$ LANGUAGE plpgsql;
-        `);
-
         // Create triggers for auto-updating updated_at columns
+        console.log('⚡ Creating auto-update triggers...');
         await client.query(`
             DROP TRIGGER IF EXISTS update_prompt_templates_updated_at ON prompt_templates;
             CREATE TRIGGER update_prompt_templates_updated_at 
@@ -174,7 +615,7 @@ const createTables = async () => {
         
         // Display table information
         console.log('✅ Database tables created successfully');
-        console.log('📊 Tables created: prompt_templates, users, chat');
+        console.log('📊 Tables created: prompt_templates, template_types, llm_configs, user_llm_preferences, template_default_snapshots, template_rollouts, template_rollout_items, template_shares, template_labels, experiments, experiment_variants, experiment_assignments, concepts, variable_layers, variable_layer_members, users, chat');
         
         // Show chat table column info
         const chatTableInfo = await client.query(`
@@ -197,7 +638,7 @@ const createTables = async () => {
         const indexInfo = await client.query(`
             SELECT indexname, tablename 
             FROM pg_indexes 
-            WHERE tablename IN ('chat', 'prompt_templates', 'users')
+            WHERE tablename IN ('chat', 'concepts', 'experiment_assignments', 'experiment_variants', 'experiments', 'llm_configs', 'prompt_templates', 'template_default_snapshots', 'template_labels', 'template_rollout_items', 'template_rollouts', 'template_shares', 'template_types', 'user_llm_preferences', 'users', 'variable_layer_members', 'variable_layers')
             ORDER BY tablename, indexname;
         `);
         
@@ -210,7 +651,7 @@ const createTables = async () => {
         const constraintInfo = await client.query(`
             SELECT constraint_name, table_name, constraint_type 
             FROM information_schema.table_constraints 
-            WHERE table_name IN ('chat', 'prompt_templates', 'users')
+            WHERE table_name IN ('chat', 'concepts', 'experiment_assignments', 'experiment_variants', 'experiments', 'llm_configs', 'prompt_templates', 'template_default_snapshots', 'template_labels', 'template_rollout_items', 'template_rollouts', 'template_shares', 'template_types', 'user_llm_preferences', 'users', 'variable_layer_members', 'variable_layers')
             ORDER BY table_name, constraint_name;
         `);
         
@@ -269,6 +710,31 @@ const runUpdatesOnly = async (client) => {
         END $$;
     `);
 
+    // Drop legacy unique constraints that include is_active (full version history)
+    await client.query(`
+        DO $$
+        DECLARE
+            legacy RECORD;
+        BEGIN
+            FOR legacy IN
+                SELECT DISTINCT con.conname
+                FROM pg_constraint con
+                JOIN pg_class rel ON rel.oid = con.conrelid
+                JOIN pg_attribute att ON att.attrelid = rel.oid AND att.attnum = ANY(con.conkey)
+                WHERE rel.relname = 'prompt_templates'
+                AND con.contype = 'u'
+                AND att.attname = 'is_active'
+            LOOP
+                EXECUTE format('ALTER TABLE prompt_templates DROP CONSTRAINT %I', legacy.conname);
+            END LOOP;
+        END $$;
+    `);
+    await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS unique_active_template 
+        ON prompt_templates(username, template_type) 
+        WHERE is_active = TRUE;
+    `);
+
     // Create/update trigger function
     await client.query(`
         CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -280,6 +746,20 @@ const runUpdatesOnly = async (client) => {
         $$ LANGUAGE plpgsql;
     `);
 
+    // Tables and columns added after the original schema (all idempotent)
+    await createTemplateTypeTables(client);
+    await createConceptTables(client);
+    await createVariableLayerTables(client);
+    await createDefaultSnapshotTables(client);
+    await createRolloutTables(client);
+    await createShareTables(client);
+    await addWorkflowColumns(client);
+    await createLabelTables(client);
+    await createExperimentTables(client);
+    await addChatExperimentColumn(client);
+    await createLlmConfigTables(client);
+    await addContentSearchColumn(client);
+
     // Create triggers
     await client.query(`
         DROP TRIGGER IF EXISTS update_chat_updated_at ON chat;
@@ -337,7 +817,7 @@ if (require.main === module) {
         
         // Final summary
         console.log('\n📋 Migration Summary:');
-        console.log('  ✅ Tables: prompt_templates, users, chat');
+        console.log(`  ✅ Tables: ${MIGRATED_TABLES.join(', ')}`);
         console.log('  ✅ Indexes: Optimized for query performance');
         console.log('  ✅ Constraints: Data integrity enforced');
         console.log('  ✅ Triggers: Auto-update timestamps');
@@ -353,4 +833,4 @@ if (require.main === module) {
         });
 }
 
-module.exports = { createTables, testConnection };
\ No newline at end of file
+module.exports = { createTables, testConnection, MIGRATED_TABLES };
\ No newline at end of file
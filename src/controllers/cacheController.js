@@ -0,0 +1,35 @@
+// src/controllers/cacheController.js - Statistics and manual flushes for the prompt caches
+const dataFileCache = require('../services/dataFileCache');
+const activeTemplateCache = require('../services/activeTemplateCache');
+
+class CacheController {
+    // Hit/miss counts for the src/data file cache and the active template LRU
+    async getStats(req, res, next) {
+        res.json({
+            success: true,
+            data: {
+                dataFiles: dataFileCache.getStats(),
+                activeTemplates: activeTemplateCache.getStats()
+            }
+        });
+    }
+
+    // Empty both caches, e.g. after editing prompt_templates by hand
+    async clearCaches(req, res, next) {
+        dataFileCache.clear();
+        activeTemplateCache.invalidate();
+
+        console.log('🧹 Prompt caches cleared');
+
+        res.json({
+            success: true,
+            message: 'Data file and active template caches cleared',
+            data: {
+                dataFiles: dataFileCache.getStats(),
+                activeTemplates: activeTemplateCache.getStats()
+            }
+        });
+    }
+}
+
+module.exports = new CacheController();
@@ -7,7 +7,7 @@ class ChatController {
         let client;
 
         try {
-            const { user_id, conversation, status } = req.body;
+            const { user_id, conversation, status, variant_id } = req.body;
 
             if (!user_id || !conversation) {
                 return res.status(400).json({
@@ -28,6 +28,17 @@ class ChatController {
                 });
             }
 
+            // Experiment variant from processPrompt's metadata.experiment.variantId. It only
+            // names the experiment: the variant recorded is the one the server assigned.
+            const requestedVariantId = variant_id === undefined || variant_id === null ? null : Number(variant_id);
+            if (requestedVariantId !== null && (!Number.isInteger(requestedVariantId) || requestedVariantId < 1)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid variant_id',
+                    details: 'variant_id must be a positive integer'
+                });
+            }
+
             console.log(`💾 Creating chat for ${user_id} with status: ${finalStatus}`);
 
             client = await pool.connect();
@@ -51,12 +62,48 @@ class ChatController {
                     });
                 }
 
+                let variantId = null;
+                if (requestedVariantId !== null) {
+                    const assignmentResult = await client.query(
+                        `SELECT ev.experiment_id, ea.variant_id
+                         FROM experiment_variants ev
+                         LEFT JOIN experiment_assignments ea
+                            ON ea.experiment_id = ev.experiment_id AND ea.username = $2
+                         WHERE ev.id = $1`,
+                        [requestedVariantId, user_id]
+                    );
+
+                    if (assignmentResult.rows.length === 0) {
+                        await client.query('ROLLBACK');
+                        return res.status(400).json({
+                            success: false,
+                            error: 'Invalid variant_id',
+                            details: `No experiment variant with id ${requestedVariantId}`
+                        });
+                    }
+
+                    const assignment = assignmentResult.rows[0];
+                    if (assignment.variant_id === null) {
+                        await client.query('ROLLBACK');
+                        return res.status(400).json({
+                            success: false,
+                            error: 'Invalid variant_id',
+                            details: `${user_id} was never assigned a variant in experiment ${assignment.experiment_id}`
+                        });
+                    }
+
+                    if (assignment.variant_id !== requestedVariantId) {
+                        console.log(`⚠️  ${user_id} sent variant ${requestedVariantId} but is assigned variant ${assignment.variant_id}; recording the assignment`);
+                    }
+                    variantId = assignment.variant_id;
+                }
+
                 // Insert new chat
                 const insertResult = await client.query(
-                    `INSERT INTO chat (user_id, conversation, status, created_at, updated_at) 
-                     VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) 
+                    `INSERT INTO chat (user_id, conversation, status, experiment_variant_id, created_at, updated_at) 
+                     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) 
                      RETURNING id, created_at, updated_at`,
-                    [user_id, JSON.stringify(conversation), finalStatus]
+                    [user_id, JSON.stringify(conversation), finalStatus, variantId]
                 );
 
                 await client.query('COMMIT');
@@ -73,6 +120,7 @@ class ChatController {
                         user_id,
                         conversation,
                         status: finalStatus,
+                        variant_id: variantId,
                         created_at: newChat.created_at,
                         updated_at: newChat.updated_at,
                         // CRITICAL: Always indicate fresh start after completion/stop
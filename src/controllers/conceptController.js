@@ -0,0 +1,245 @@
+// src/controllers/conceptController.js - Concept library CRUD
+const { pool } = require('../config/database');
+const { CONCEPT_VARIABLE_KEYS } = require('../services/conceptLibrary');
+
+function formatConcept(row, { includeVariables = true } = {}) {
+    const variables = row.variables || {};
+    const concept = {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        isActive: row.is_active,
+        createdBy: row.created_by,
+        variableKeys: Object.keys(variables),
+        missingVariables: CONCEPT_VARIABLE_KEYS.filter(key => !variables[key]),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+
+    if (includeVariables) {
+        concept.variables = variables;
+    }
+
+    return concept;
+}
+
+class ConceptController {
+    // List concepts with optional name search and pagination
+    async listConcepts(req, res, next) {
+        try {
+            const { search, includeInactive = false, limit = 50, offset = 0 } = req.query;
+
+            const conditions = [];
+            const params = [];
+
+            if (!includeInactive) {
+                conditions.push('is_active = TRUE');
+            }
+            if (search) {
+                params.push(`%${search}%`);
+                conditions.push(`name ILIKE $${params.length}`);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countResult = await pool.query(
+                `SELECT COUNT(*) as total FROM concepts ${where}`,
+                params
+            );
+
+            const result = await pool.query(
+                `SELECT id, name, description, variables, is_active, created_by, created_at, updated_at
+                 FROM concepts ${where}
+                 ORDER BY name
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, parseInt(limit), parseInt(offset)]
+            );
+
+            const total = parseInt(countResult.rows[0].total, 10);
+
+            res.json({
+                success: true,
+                data: {
+                    concepts: result.rows.map(row => formatConcept(row, { includeVariables: false })),
+                    pagination: {
+                        total,
+                        limit: parseInt(limit),
+                        offset: parseInt(offset),
+                        hasMore: (parseInt(offset) + parseInt(limit)) < total
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Error listing concepts:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to list concepts'
+            });
+        }
+    }
+
+    // Get a concept with all of its variables
+    async getConcept(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const result = await pool.query(
+                'SELECT * FROM concepts WHERE id = $1',
+                [parseInt(id)]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Concept not found',
+                    message: `No concept with id ${id}`
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { concept: formatConcept(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('Error fetching concept:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to fetch concept'
+            });
+        }
+    }
+
+    // Create a concept
+    async createConcept(req, res, next) {
+        try {
+            const { name, description = null, variables = {}, createdBy = null } = req.body;
+
+            const result = await pool.query(
+                `INSERT INTO concepts (name, description, variables, created_by)
+                 VALUES ($1, $2, $3, $4)
+                 RETURNING *`,
+                [name, description, JSON.stringify(variables), createdBy]
+            );
+
+            console.log(`✅ Concept created: ${name} (ID: ${result.rows[0].id})`);
+
+            res.status(201).json({
+                success: true,
+                message: `Concept ${name} created successfully`,
+                data: { concept: formatConcept(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('❌ Error creating concept:', error);
+
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    error: 'Concept already exists',
+                    message: `A concept named '${req.body.name}' already exists`
+                });
+            }
+
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to create concept',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Update a concept; variables are merged key by key unless replaceVariables is set
+    async updateConcept(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { name, description, variables, replaceVariables = false, isActive } = req.body;
+
+            const existingResult = await pool.query(
+                'SELECT * FROM concepts WHERE id = $1',
+                [parseInt(id)]
+            );
+
+            if (existingResult.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Concept not found',
+                    message: `No concept with id ${id}`
+                });
+            }
+
+            const existing = existingResult.rows[0];
+            const mergedVariables = variables === undefined
+                ? existing.variables
+                : replaceVariables ? variables : { ...existing.variables, ...variables };
+
+            const result = await pool.query(
+                `UPDATE concepts
+                 SET name = $1, description = $2, variables = $3, is_active = $4
+                 WHERE id = $5
+                 RETURNING *`,
+                [
+                    name !== undefined ? name : existing.name,
+                    description !== undefined ? description : existing.description,
+                    JSON.stringify(mergedVariables),
+                    isActive !== undefined ? isActive : existing.is_active,
+                    parseInt(id)
+                ]
+            );
+
+            res.json({
+                success: true,
+                message: 'Concept updated successfully',
+                data: { concept: formatConcept(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('❌ Error updating concept:', error);
+
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    error: 'Concept already exists',
+                    message: `A concept named '${req.body.name}' already exists`
+                });
+            }
+
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to update concept',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Delete a concept
+    async deleteConcept(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const result = await pool.query(
+                'DELETE FROM concepts WHERE id = $1 RETURNING id, name',
+                [parseInt(id)]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Concept not found',
+                    message: `No concept with id ${id}`
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `Concept ${result.rows[0].name} deleted`,
+                data: result.rows[0]
+            });
+
+        } catch (error) {
+            console.error('❌ Error deleting concept:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to delete concept'
+            });
+        }
+    }
+}
+
+module.exports = new ConceptController();
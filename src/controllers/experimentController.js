@@ -0,0 +1,345 @@
+// src/controllers/experimentController.js - A/B experiments on system prompt templates
+const { pool } = require('../config/database');
+
+function formatExperiment(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        templateType: row.template_type,
+        description: row.description,
+        status: row.status,
+        createdBy: row.created_by,
+        startedAt: row.started_at,
+        stoppedAt: row.stopped_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function formatVariant(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        owner: row.owner_username,
+        version: row.version,
+        weight: row.weight,
+        control: !row.owner_username
+    };
+}
+
+function toRate(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+class ExperimentController {
+    // Start an experiment: users calling processPrompt for templateType are split across the variants
+    async createExperiment(req, res, next) {
+        let client;
+
+        try {
+            const { name, templateType, description = null, variants, createdBy = null } = req.body;
+
+            client = await pool.connect();
+
+            try {
+                await client.query('BEGIN');
+
+                for (const variant of variants.filter(candidate => candidate.owner)) {
+                    const versionResult = await client.query(
+                        'SELECT status FROM prompt_templates WHERE username = $1 AND template_type = $2 AND version = $3',
+                        [variant.owner, templateType, variant.version]
+                    );
+
+                    if (versionResult.rows.length === 0) {
+                        await client.query('ROLLBACK');
+                        return res.status(404).json({
+                            error: 'Template version not found',
+                            message: `Variant '${variant.name}': no version ${variant.version} of ${templateType} for user ${variant.owner}`
+                        });
+                    }
+
+                    // Variants are served to learners, so they must be reviewed and published first
+                    if (versionResult.rows[0].status !== 'published') {
+                        await client.query('ROLLBACK');
+                        return res.status(409).json({
+                            error: 'Version not published',
+                            message: `Variant '${variant.name}': version ${variant.version} of ${templateType} for user ${variant.owner} is ${versionResult.rows[0].status}`
+                        });
+                    }
+                }
+
+                const experimentResult = await client.query(
+                    `INSERT INTO experiments (name, template_type, description, created_by)
+                     VALUES ($1, $2, $3, $4)
+                     RETURNING *`,
+                    [name, templateType, description, createdBy]
+                );
+                const experiment = experimentResult.rows[0];
+
+                const createdVariants = [];
+                for (const variant of variants) {
+                    const variantResult = await client.query(
+                        `INSERT INTO experiment_variants (experiment_id, name, owner_username, version, weight)
+                         VALUES ($1, $2, $3, $4, $5)
+                         RETURNING *`,
+                        [experiment.id, variant.name, variant.owner || null, variant.version || null, variant.weight]
+                    );
+                    createdVariants.push(variantResult.rows[0]);
+                }
+
+                await client.query('COMMIT');
+
+                console.log(`🧪 Started experiment '${name}' on ${templateType} with ${variants.length} variants`);
+
+                res.status(201).json({
+                    success: true,
+                    message: `Experiment '${name}' is running on ${templateType}`,
+                    data: {
+                        experiment: formatExperiment(experiment),
+                        variants: createdVariants.map(formatVariant)
+                    }
+                });
+
+            } catch (transactionError) {
+                try {
+                    await client.query('ROLLBACK');
+                } catch (rollbackError) {
+                    console.error('Rollback failed:', rollbackError);
+                }
+                throw transactionError;
+            }
+
+        } catch (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    error: 'Experiment conflict',
+                    message: error.constraint === 'unique_running_experiment'
+                        ? `An experiment is already running on ${req.body.templateType}. Stop it first.`
+                        : `An experiment named '${req.body.name}' already exists`
+                });
+            }
+
+            console.error('❌ Error creating experiment:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to create experiment',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+
+        } finally {
+            if (client) {
+                client.release();
+            }
+        }
+    }
+
+    // List experiments, newest first
+    async listExperiments(req, res, next) {
+        try {
+            const { templateType, status, limit = 50, offset = 0 } = req.query;
+
+            const conditions = [];
+            const params = [];
+            if (templateType) {
+                params.push(templateType);
+                conditions.push(`template_type = $${params.length}`);
+            }
+            if (status) {
+                params.push(status);
+                conditions.push(`status = $${params.length}`);
+            }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const result = await pool.query(
+                `SELECT * FROM experiments ${where}
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, parseInt(limit), parseInt(offset)]
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    experiments: result.rows.map(formatExperiment),
+                    total: result.rows.length
+                }
+            });
+
+        } catch (error) {
+            console.error('Error listing experiments:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to list experiments'
+            });
+        }
+    }
+
+    // Get an experiment with its variants and how many users each has
+    async getExperiment(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const result = await pool.query('SELECT * FROM experiments WHERE id = $1', [parseInt(id)]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Experiment not found',
+                    message: `No experiment with id ${id}`
+                });
+            }
+
+            const variantsResult = await pool.query(
+                `SELECT v.*, COUNT(a.id)::int AS assigned_users
+                 FROM experiment_variants v
+                 LEFT JOIN experiment_assignments a ON a.variant_id = v.id
+                 WHERE v.experiment_id = $1
+                 GROUP BY v.id
+                 ORDER BY v.id`,
+                [parseInt(id)]
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    experiment: formatExperiment(result.rows[0]),
+                    variants: variantsResult.rows.map(row => ({
+                        ...formatVariant(row),
+                        assignedUsers: row.assigned_users
+                    }))
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching experiment:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to fetch experiment'
+            });
+        }
+    }
+
+    // Stop assigning variants; everyone goes back to their own template
+    async stopExperiment(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const result = await pool.query(
+                `UPDATE experiments SET status = 'stopped', stopped_at = NOW()
+                 WHERE id = $1 AND status = 'running'
+                 RETURNING *`,
+                [parseInt(id)]
+            );
+
+            if (result.rows.length === 0) {
+                const existsResult = await pool.query('SELECT status FROM experiments WHERE id = $1', [parseInt(id)]);
+                if (existsResult.rows.length === 0) {
+                    return res.status(404).json({
+                        error: 'Experiment not found',
+                        message: `No experiment with id ${id}`
+                    });
+                }
+                return res.status(409).json({
+                    error: 'Experiment not running',
+                    message: `Experiment ${id} is already ${existsResult.rows[0].status}`
+                });
+            }
+
+            console.log(`🛑 Stopped experiment '${result.rows[0].name}'`);
+
+            res.json({
+                success: true,
+                message: `Experiment '${result.rows[0].name}' stopped`,
+                data: { experiment: formatExperiment(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('❌ Error stopping experiment:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to stop experiment'
+            });
+        }
+    }
+
+    // Per-variant outcomes: assigned users joined with the status of the chats their variant produced
+    async getExperimentResults(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const result = await pool.query('SELECT * FROM experiments WHERE id = $1', [parseInt(id)]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Experiment not found',
+                    message: `No experiment with id ${id}`
+                });
+            }
+
+            const variantsResult = await pool.query(
+                `SELECT
+                    v.*,
+                    COUNT(DISTINCT a.username)::int AS assigned_users,
+                    COUNT(DISTINCT c.user_id)::int AS users_with_chats,
+                    COUNT(DISTINCT c.user_id) FILTER (WHERE c.status = 'completed')::int AS users_completed
+                 FROM experiment_variants v
+                 LEFT JOIN experiment_assignments a ON a.variant_id = v.id
+                 LEFT JOIN chat c ON c.user_id = a.username AND c.experiment_variant_id = v.id
+                 WHERE v.experiment_id = $1
+                 GROUP BY v.id
+                 ORDER BY v.id`,
+                [parseInt(id)]
+            );
+
+            const statusResult = await pool.query(
+                `SELECT c.experiment_variant_id AS variant_id, c.status, COUNT(*)::int AS count
+                 FROM chat c
+                 JOIN experiment_variants v ON v.id = c.experiment_variant_id
+                 JOIN experiment_assignments a ON a.variant_id = v.id AND a.username = c.user_id
+                 WHERE v.experiment_id = $1
+                 GROUP BY c.experiment_variant_id, c.status`,
+                [parseInt(id)]
+            );
+
+            const chatsByVariant = {};
+            for (const row of statusResult.rows) {
+                chatsByVariant[row.variant_id] = chatsByVariant[row.variant_id] || {};
+                chatsByVariant[row.variant_id][row.status] = row.count;
+            }
+
+            const variants = variantsResult.rows.map(row => {
+                const chatStatuses = chatsByVariant[row.id] || {};
+                const totalChats = Object.values(chatStatuses).reduce((sum, count) => sum + count, 0);
+
+                return {
+                    ...formatVariant(row),
+                    assignedUsers: row.assigned_users,
+                    usersWithChats: row.users_with_chats,
+                    usersCompleted: row.users_completed,
+                    userCompletionRate: toRate(row.users_completed, row.assigned_users),
+                    chats: {
+                        total: totalChats,
+                        byStatus: chatStatuses,
+                        completionRate: toRate(chatStatuses.completed || 0, totalChats)
+                    }
+                };
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    experiment: formatExperiment(result.rows[0]),
+                    variants
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching experiment results:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to fetch experiment results'
+            });
+        }
+    }
+}
+
+module.exports = new ExperimentController();
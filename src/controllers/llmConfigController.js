@@ -0,0 +1,357 @@
+// src/controllers/llmConfigController.js - Admin CRUD for LLM provider configs and user preferences
+const { pool } = require('../config/database');
+const llmConfigRegistry = require('../services/llmConfigRegistry');
+
+function formatLlmConfig(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        model: row.model,
+        temperature: row.temperature,
+        maxTokens: row.max_tokens,
+        topP: row.top_p,
+        contextWindow: row.context_window,
+        tokenizer: row.tokenizer,
+        isActive: row.is_active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Checks Joi cannot make on a single field; returns an error message or null
+function checkConfigDefinition({ maxTokens, contextWindow }) {
+    if (contextWindow && maxTokens > contextWindow) {
+        return `maxTokens (${maxTokens}) cannot exceed contextWindow (${contextWindow})`;
+    }
+    return null;
+}
+
+class LlmConfigController {
+    // List provider configs
+    async listLlmConfigs(req, res, next) {
+        try {
+            const { includeInactive } = req.query;
+
+            const result = await pool.query(
+                `SELECT * FROM llm_configs
+                 ${includeInactive === 'true' ? '' : 'WHERE is_active = TRUE'}
+                 ORDER BY id`
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    llmConfigs: result.rows.map(formatLlmConfig),
+                    total: result.rows.length
+                }
+            });
+
+        } catch (error) {
+            console.error('Error listing LLM configs:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to list LLM configs'
+            });
+        }
+    }
+
+    // Get a single provider config
+    async getLlmConfig(req, res, next) {
+        try {
+            const { name } = req.params;
+
+            const result = await pool.query(
+                'SELECT * FROM llm_configs WHERE name = $1',
+                [name]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'LLM config not found',
+                    message: `No LLM provider named '${name}'`
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { llmConfig: formatLlmConfig(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('Error fetching LLM config:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to fetch LLM config'
+            });
+        }
+    }
+
+    // Add a provider
+    async createLlmConfig(req, res, next) {
+        try {
+            const { name, model, temperature, maxTokens, topP, contextWindow = null, tokenizer = null } = req.body;
+
+            const definitionError = checkConfigDefinition({ maxTokens, contextWindow });
+            if (definitionError) {
+                return res.status(400).json({
+                    error: 'Invalid LLM config',
+                    message: definitionError
+                });
+            }
+
+            const result = await pool.query(
+                `INSERT INTO llm_configs (name, model, temperature, max_tokens, top_p, context_window, tokenizer)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 RETURNING *`,
+                [name, model, temperature, maxTokens, topP, contextWindow, tokenizer]
+            );
+
+            llmConfigRegistry.invalidate();
+
+            console.log(`✅ LLM provider registered: ${name} (${model})`);
+
+            res.status(201).json({
+                success: true,
+                message: `LLM provider ${name} created successfully`,
+                data: { llmConfig: formatLlmConfig(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('❌ Error creating LLM config:', error);
+
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    error: 'LLM config already exists',
+                    message: `An LLM provider named '${req.body.name}' already exists`
+                });
+            }
+
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to create LLM config',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Update a provider (name cannot change); takes effect without a redeploy
+    async updateLlmConfig(req, res, next) {
+        try {
+            const { name } = req.params;
+
+            const existingResult = await pool.query(
+                'SELECT * FROM llm_configs WHERE name = $1',
+                [name]
+            );
+
+            if (existingResult.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'LLM config not found',
+                    message: `No LLM provider named '${name}'`
+                });
+            }
+
+            const existing = existingResult.rows[0];
+            const updated = {
+                model: req.body.model || existing.model,
+                temperature: req.body.temperature !== undefined ? req.body.temperature : existing.temperature,
+                maxTokens: req.body.maxTokens !== undefined ? req.body.maxTokens : existing.max_tokens,
+                topP: req.body.topP !== undefined ? req.body.topP : existing.top_p,
+                contextWindow: req.body.contextWindow !== undefined ? req.body.contextWindow : existing.context_window,
+                tokenizer: req.body.tokenizer !== undefined ? req.body.tokenizer : existing.tokenizer,
+                isActive: req.body.isActive !== undefined ? req.body.isActive : existing.is_active
+            };
+
+            if (name === llmConfigRegistry.DEFAULT_PROVIDER && !updated.isActive) {
+                return res.status(409).json({
+                    error: 'Default provider',
+                    message: `'${name}' is the fallback provider and cannot be disabled`
+                });
+            }
+
+            const definitionError = checkConfigDefinition(updated);
+            if (definitionError) {
+                return res.status(400).json({
+                    error: 'Invalid LLM config',
+                    message: definitionError
+                });
+            }
+
+            const result = await pool.query(
+                `UPDATE llm_configs
+                 SET model = $1, temperature = $2, max_tokens = $3, top_p = $4, context_window = $5, tokenizer = $6, is_active = $7
+                 WHERE name = $8
+                 RETURNING *`,
+                [updated.model, updated.temperature, updated.maxTokens, updated.topP, updated.contextWindow, updated.tokenizer, updated.isActive, name]
+            );
+
+            llmConfigRegistry.invalidate();
+
+            res.json({
+                success: true,
+                message: `LLM provider ${name} updated successfully`,
+                data: { llmConfig: formatLlmConfig(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('❌ Error updating LLM config:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to update LLM config',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Disable a provider. Rows are kept so user preferences and history still resolve.
+    async disableLlmConfig(req, res, next) {
+        try {
+            const { name } = req.params;
+
+            if (name === llmConfigRegistry.DEFAULT_PROVIDER) {
+                return res.status(409).json({
+                    error: 'Default provider',
+                    message: `'${name}' is the fallback provider and cannot be disabled`
+                });
+            }
+
+            const result = await pool.query(
+                'UPDATE llm_configs SET is_active = FALSE WHERE name = $1 RETURNING *',
+                [name]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'LLM config not found',
+                    message: `No LLM provider named '${name}'`
+                });
+            }
+
+            llmConfigRegistry.invalidate();
+
+            res.json({
+                success: true,
+                message: `LLM provider ${name} disabled. Requests for it now fall back to '${llmConfigRegistry.DEFAULT_PROVIDER}' unless strictProvider is set.`,
+                data: { llmConfig: formatLlmConfig(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('❌ Error disabling LLM config:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to disable LLM config'
+            });
+        }
+    }
+
+    // The provider processPrompt uses for a user when the request names none
+    async getPreference(req, res, next) {
+        try {
+            const { username } = req.params;
+
+            const result = await pool.query(
+                'SELECT provider, updated_at FROM user_llm_preferences WHERE username = $1',
+                [username]
+            );
+
+            const preferred = result.rows.length > 0 ? result.rows[0].provider : null;
+            const config = preferred ? await llmConfigRegistry.getLlmConfig(preferred) : null;
+
+            res.json({
+                success: true,
+                data: {
+                    username,
+                    provider: preferred,
+                    // A disabled preferred provider is skipped in favour of the default
+                    effectiveProvider: config ? config.name : llmConfigRegistry.DEFAULT_PROVIDER,
+                    updatedAt: result.rows.length > 0 ? result.rows[0].updated_at : null
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching LLM preference:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to fetch LLM preference'
+            });
+        }
+    }
+
+    async setPreference(req, res, next) {
+        try {
+            const { username } = req.params;
+            const { provider } = req.body;
+
+            const config = await llmConfigRegistry.getLlmConfig(provider);
+            if (!config) {
+                const available = (await llmConfigRegistry.listLlmConfigs()).map(candidate => `'${candidate.name}'`);
+                return res.status(400).json({
+                    error: 'Unknown LLM provider',
+                    message: `Unknown or disabled provider '${provider}'. Must be one of: ${available.join(', ')}.`
+                });
+            }
+
+            const result = await pool.query(
+                `INSERT INTO user_llm_preferences (username, provider)
+                 VALUES ($1, $2)
+                 ON CONFLICT (username) DO UPDATE SET provider = EXCLUDED.provider
+                 RETURNING provider, updated_at`,
+                [username, config.name]
+            );
+
+            console.log(`🤖 ${username} now prefers LLM provider ${config.name}`);
+
+            res.json({
+                success: true,
+                message: `${username} will use ${config.name} unless a request names another provider`,
+                data: {
+                    username,
+                    provider: result.rows[0].provider,
+                    effectiveProvider: result.rows[0].provider,
+                    updatedAt: result.rows[0].updated_at
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Error setting LLM preference:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to set LLM preference',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    async deletePreference(req, res, next) {
+        try {
+            const { username } = req.params;
+
+            const result = await pool.query(
+                'DELETE FROM user_llm_preferences WHERE username = $1 RETURNING provider',
+                [username]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Preference not found',
+                    message: `${username} has no preferred LLM provider`
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `${username} now uses the '${llmConfigRegistry.DEFAULT_PROVIDER}' provider`,
+                data: { username, provider: null, effectiveProvider: llmConfigRegistry.DEFAULT_PROVIDER }
+            });
+
+        } catch (error) {
+            console.error('❌ Error removing LLM preference:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to remove LLM preference'
+            });
+        }
+    }
+}
+
+module.exports = new LlmConfigController();
@@ -0,0 +1,214 @@
+// src/controllers/llmGatewayController.js - Server-side completions, so API keys stay on the backend
+const { pool } = require('../config/database');
+const { buildPrompt, PromptBuildError } = require('../services/promptBuilder');
+const { resolveAdapter } = require('../services/llmAdapters');
+const providerFormats = require('../services/providerFormats');
+const { estimateTokens } = require('../utils/tokenCounter');
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers the response; push each event out as it is written
+    if (res.flush) {
+        res.flush();
+    }
+}
+
+// Append this exchange to the chat the prompt was built from
+async function appendTurns(chatId, username, userInput, content) {
+    const now = new Date().toISOString();
+    const turns = [];
+    if (userInput) {
+        turns.push({ role: 'user', content: userInput, timestamp: now });
+    }
+    turns.push({ role: 'assistant', content, timestamp: now });
+
+    const result = await pool.query(
+        `UPDATE chat
+         SET conversation = conversation || $1::jsonb, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND user_id = $3
+         RETURNING id, jsonb_array_length(conversation) AS turns`,
+        [JSON.stringify(turns), chatId, username]
+    );
+
+    return result.rows.length > 0
+        ? { id: result.rows[0].id, appended: turns.length, turns: result.rows[0].turns }
+        : null;
+}
+
+class LlmGatewayController {
+    // Build the prompt like /api/templates/process, call the provider and return or stream the reply
+    async complete(req, res, next) {
+        const {
+            username,
+            promptType,
+            llmProvider,
+            strictProvider,
+            userInput,
+            conceptId,
+            variables,
+            label,
+            chat_id,
+            history,
+            historyMode,
+            transcript,
+            stream = true,
+            saveToChat = false
+        } = req.body;
+
+        let prompt;
+        let adapter;
+        try {
+            prompt = await buildPrompt({
+                username,
+                promptType,
+                llmProvider,
+                strictProvider,
+                userInput,
+                conceptId,
+                variables,
+                label,
+                chatId: chat_id,
+                history,
+                historyMode,
+                transcriptOptions: transcript,
+                assignExperiment: true
+            });
+
+            if (prompt.tokens.overflow) {
+                return res.status(413).json({
+                    error: 'Prompt too large',
+                    message: `The prompt is about ${prompt.tokens.total} tokens but ${prompt.llmConfig.model} has a ${prompt.tokens.contextWindow}-token context window`,
+                    tokens: prompt.tokens
+                });
+            }
+
+            adapter = resolveAdapter(prompt.llmConfig);
+            if (!adapter.isConfigured()) {
+                return res.status(503).json({
+                    error: 'LLM provider not configured',
+                    message: `Set ${adapter.apiKeyVariable} on the server to call ${adapter.name} (${prompt.llmProvider})`
+                });
+            }
+
+            // Reject conversations the provider API cannot take before any response is sent
+            const format = providerFormats.getFormat(adapter.name);
+            if (format) {
+                format.formatRequest(prompt.messages, prompt.llmConfig);
+            }
+
+        } catch (error) {
+            if (error instanceof PromptBuildError) {
+                return res.status(error.status).json(error.body);
+            }
+            if (error.status === 400) {
+                return res.status(400).json({
+                    error: 'Invalid conversation',
+                    message: error.message
+                });
+            }
+            console.error('❌ Error preparing completion:', error);
+            return res.status(error.status || 500).json({
+                error: 'Server error preparing completion',
+                details: error.message
+            });
+        }
+
+        const metadata = {
+            username,
+            promptType,
+            llmProvider: prompt.llmProvider,
+            llmProviderSource: prompt.llmProviderSource,
+            model: prompt.llmConfig.model,
+            adapter: adapter.name,
+            label: prompt.templateLabel,
+            templateVersion: prompt.templateVersion,
+            experiment: prompt.experiment,
+            history: prompt.history
+        };
+
+        // Stop calling the provider when the client goes away mid-stream
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                controller.abort();
+            }
+        });
+
+        if (stream) {
+            res.status(200).set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+            sendEvent(res, 'start', { ...metadata, tokens: prompt.tokens });
+        }
+
+        console.log(`🤖 ${username}/${promptType}: completing with ${prompt.llmProvider} (${prompt.llmConfig.model}) via ${adapter.name}`);
+
+        let content = '';
+        let finishReason = null;
+        try {
+            for await (const chunk of adapter.stream(prompt.messages, prompt.llmConfig, { signal: controller.signal })) {
+                if (chunk.text) {
+                    content += chunk.text;
+                    if (stream) {
+                        sendEvent(res, 'delta', { text: chunk.text });
+                    }
+                }
+                if (chunk.finishReason) {
+                    finishReason = chunk.finishReason;
+                }
+            }
+
+            if (controller.signal.aborted) {
+                console.log(`⚠️  ${username}/${promptType}: client disconnected, completion discarded`);
+                return;
+            }
+
+            const usage = {
+                promptTokens: prompt.tokens.total,
+                completionTokens: estimateTokens(content, prompt.tokens.tokenizer),
+                estimated: true
+            };
+
+            const chat = saveToChat ? await appendTurns(chat_id, username, userInput, content) : null;
+
+            if (stream) {
+                sendEvent(res, 'done', { finishReason, usage, chat });
+                return res.end();
+            }
+
+            res.json({
+                success: true,
+                content,
+                finishReason,
+                usage,
+                chat,
+                tokens: prompt.tokens,
+                metadata
+            });
+
+        } catch (error) {
+            if (controller.signal.aborted) {
+                return;
+            }
+
+            console.error(`❌ Error completing with ${adapter.name}:`, error);
+            const body = {
+                error: 'LLM provider error',
+                message: error.message
+            };
+
+            if (stream) {
+                // Headers are already sent; report the failure in-band
+                sendEvent(res, 'error', { ...body, partial: content.length > 0 });
+                return res.end();
+            }
+            return res.status(error.status || 502).json(body);
+        }
+    }
+}
+
+module.exports = new LlmGatewayController();
@@ -1,5 +1,5 @@
 // src/controllers/migrationController.js
-const { createTables } = require('../config/migrate');
+const { createTables, MIGRATED_TABLES } = require('../config/migrate');
 
 class MigrationController {
     async runMigrations(req, res) {
@@ -43,13 +43,12 @@ class MigrationController {
                 SELECT table_name 
                 FROM information_schema.tables 
                 WHERE table_schema = 'public' 
-                AND table_name IN ('chat', 'prompt_templates', 'users')
+                AND table_name = ANY($1)
                 ORDER BY table_name
-            `);
+            `, [MIGRATED_TABLES]);
 
             const existingTables = result.rows.map(row => row.table_name);
-            const expectedTables = ['chat', 'prompt_templates', 'users'];
-            const missingTables = expectedTables.filter(table => !existingTables.includes(table));
+            const missingTables = MIGRATED_TABLES.filter(table => !existingTables.includes(table));
 
             res.json({
                 success: true,
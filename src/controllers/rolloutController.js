@@ -0,0 +1,242 @@
+// src/controllers/rolloutController.js - Targeted, reversible default rollouts
+const { pool } = require('../config/database');
+const { createRollout, rollbackRollout } = require('../services/templateRollouts');
+const activeTemplateCache = require('../services/activeTemplateCache');
+
+function formatRollout(row) {
+    return {
+        id: row.id,
+        templateType: row.template_type,
+        target: row.target,
+        onConflict: row.on_conflict,
+        status: row.status,
+        affectedCount: row.affected_count,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        rolledBackAt: row.rolled_back_at
+    };
+}
+
+function summarize(items) {
+    const summary = {};
+    for (const item of items) {
+        summary[item.action] = (summary[item.action] || 0) + 1;
+    }
+    return summary;
+}
+
+class RolloutController {
+    // Push the current default of a template type to a set of users
+    async createRollout(req, res, next) {
+        let client;
+
+        try {
+            const { templateType, target, dryRun = false, onConflict = 'keepUser', createdBy = null } = req.body;
+
+            client = await pool.connect();
+
+            try {
+                await client.query('BEGIN');
+
+                const { rollout, items } = await createRollout(client, { templateType, target, dryRun, onConflict, createdBy });
+
+                if (dryRun) {
+                    await client.query('ROLLBACK');
+                } else {
+                    await client.query('COMMIT');
+                    activeTemplateCache.invalidate({ templateType });
+                }
+
+                const summary = summarize(items);
+                console.log(`🚀 Rollout ${dryRun ? '(dry run) ' : ''}of ${templateType} to ${items.length} users:`, summary);
+
+                res.status(dryRun ? 200 : 201).json({
+                    success: true,
+                    message: dryRun
+                        ? `Dry run: ${(summary.created || 0) + (summary.updated || 0)} of ${items.length} targeted users would change`
+                        : `Rollout ${rollout.id} applied to ${rollout.affected_count} users`,
+                    data: {
+                        dryRun,
+                        rollout: rollout ? formatRollout(rollout) : null,
+                        targetedUsers: items.length,
+                        summary,
+                        items: items.map(({ content, ...item }) => item)
+                    }
+                });
+
+            } catch (transactionError) {
+                try {
+                    await client.query('ROLLBACK');
+                } catch (rollbackError) {
+                    console.error('Rollback failed:', rollbackError);
+                }
+                throw transactionError;
+            }
+
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({
+                    error: 'Rollout failed',
+                    message: error.message
+                });
+            }
+
+            console.error('❌ Error creating rollout:', error);
+            return res.status(500).json({
+                error: 'Server error',
+                message: 'Failed to create rollout',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+
+        } finally {
+            if (client) {
+                client.release();
+            }
+        }
+    }
+
+    // List rollouts, newest first
+    async listRollouts(req, res, next) {
+        try {
+            const { templateType, limit = 50, offset = 0 } = req.query;
+
+            const params = [];
+            let where = '';
+            if (templateType) {
+                params.push(templateType);
+                where = 'WHERE template_type = $1';
+            }
+
+            const result = await pool.query(
+                `SELECT * FROM template_rollouts ${where}
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, parseInt(limit), parseInt(offset)]
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    rollouts: result.rows.map(formatRollout),
+                    total: result.rows.length
+                }
+            });
+
+        } catch (error) {
+            console.error('Error listing rollouts:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to list rollouts'
+            });
+        }
+    }
+
+    // Get a rollout with the users it changed
+    async getRollout(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const result = await pool.query(
+                'SELECT * FROM template_rollouts WHERE id = $1',
+                [parseInt(id)]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Rollout not found',
+                    message: `No rollout with id ${id}`
+                });
+            }
+
+            const itemsResult = await pool.query(
+                `SELECT username, previous_version, new_version, action, conflicts, rolled_back
+                 FROM template_rollout_items WHERE rollout_id = $1 ORDER BY username`,
+                [parseInt(id)]
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    rollout: formatRollout(result.rows[0]),
+                    items: itemsResult.rows.map(row => ({
+                        username: row.username,
+                        action: row.action,
+                        previousVersion: row.previous_version,
+                        newVersion: row.new_version,
+                        conflicts: row.conflicts,
+                        rolledBack: row.rolled_back
+                    }))
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching rollout:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to fetch rollout'
+            });
+        }
+    }
+
+    // Put every user a rollout changed back on their previous active version
+    async rollbackRollout(req, res, next) {
+        let client;
+
+        try {
+            const { id } = req.params;
+
+            client = await pool.connect();
+
+            try {
+                await client.query('BEGIN');
+                const { rollout, items } = await rollbackRollout(client, parseInt(id));
+                await client.query('COMMIT');
+                activeTemplateCache.invalidate({ templateType: rollout.template_type });
+
+                const summary = summarize(items);
+                console.log(`⏪ Rollout ${id} rolled back:`, summary);
+
+                res.json({
+                    success: true,
+                    message: `Rollout ${id} rolled back for ${summary.restored || 0} users`,
+                    data: {
+                        rollout: formatRollout(rollout),
+                        summary,
+                        items
+                    },
+                    warnings: summary.skipped ? `${summary.skipped} users changed their template after the rollout and were left as they are` : null
+                });
+
+            } catch (transactionError) {
+                try {
+                    await client.query('ROLLBACK');
+                } catch (rollbackError) {
+                    console.error('Rollback failed:', rollbackError);
+                }
+                throw transactionError;
+            }
+
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({
+                    error: 'Rollback failed',
+                    message: error.message
+                });
+            }
+
+            console.error('❌ Error rolling back rollout:', error);
+            return res.status(500).json({
+                error: 'Server error',
+                message: 'Failed to roll back rollout',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+
+        } finally {
+            if (client) {
+                client.release();
+            }
+        }
+    }
+}
+
+module.exports = new RolloutController();
@@ -1,16 +1,175 @@
 // src/controllers/templateController.js - Simplified and Robust Version
 const { pool } = require('../config/database');
 const fs = require('fs');
-const path = require('path');
+const { createUnifiedDiff, diffJsonKeys, mergeJsonKeys, isPlainObject } = require('../utils/templateDiff');
+const templateTypeRegistry = require('../services/templateTypeRegistry');
+const { lintTemplate } = require('../utils/placeholderLinter');
+const { resolveVariables } = require('../services/variableLayers');
+const { buildPrompt, PromptBuildError, TRANSCRIPT_VARIABLE, createPartialLoader } = require('../services/promptBuilder');
+const { parseTemplate, collectPartials, TemplateRenderError } = require('../utils/templateRenderer');
+const providerFormats = require('../services/providerFormats');
+const activeTemplateCache = require('../services/activeTemplateCache');
+
+// Template bundles move a user's templates between users or environments
+const TEMPLATE_BUNDLE_FORMAT = 'tinymagiq-template-bundle';
+const TEMPLATE_BUNDLE_VERSION = 1;
+
+// Status an imported version is stored with. Review state (reviewer, decision) does not
+// travel in a bundle, so anything that is not published arrives as a draft. Types that
+// require review stay published only for content the user already had published.
+function importedStatus(version, typeConfig, publishedContents) {
+    if (version.status && version.status !== 'published') {
+        return 'draft';
+    }
+    if (typeConfig.requiresReview && !publishedContents.has(version.content)) {
+        return 'draft';
+    }
+    return 'published';
+}
+
+// ETags identify a template version, e.g. "3"
+function formatTemplateEtag(version) {
+    return `"${version}"`;
+}
+
+// Resolve the version a writer expects to replace from If-Match or expectedVersion.
+// Returns undefined when no precondition was sent, '*' for "any existing version".
+function getExpectedVersion(req) {
+    const ifMatch = req.get('If-Match');
+
+    if (ifMatch) {
+        const tag = ifMatch.split(',')[0].trim();
+        if (tag === '*') {
+            return '*';
+        }
+        const version = parseInt(tag.replace(/^W\//, '').replace(/"/g, ''), 10);
+        return Number.isNaN(version) ? null : version;
+    }
+
+    return req.body.expectedVersion;
+}
+
+// Serialise writes to one user's template. Drafts are inserted without touching any
+// existing row, so a row lock would not stop two writers with the same expectedVersion
+// (or the same next version number) from both getting through.
+async function lockTemplate(client, username, templateType) {
+    await client.query(
+        `SELECT pg_advisory_xact_lock(hashtext('prompt_templates:' || $1 || ':' || $2))`,
+        [username, templateType]
+    );
+}
+
+// { latestVersion, activeVersion } when the writer's expected version is stale, otherwise null.
+// Run inside the transaction after lockTemplate.
+async function findVersionConflict(client, username, templateType, expectedVersion) {
+    if (expectedVersion === undefined) {
+        return null;
+    }
+
+    const versionsResult = await client.query(
+        `SELECT
+            (SELECT MAX(version) FROM prompt_templates WHERE username = $1 AND template_type = $2) AS latest_version,
+            (SELECT version FROM prompt_templates WHERE username = $1 AND template_type = $2 AND is_active = TRUE) AS active_version`,
+        [username, templateType]
+    );
+    const { latest_version: latestVersion, active_version: activeVersion } = versionsResult.rows[0];
+
+    const isStale = expectedVersion === '*'
+        ? latestVersion === null
+        : (latestVersion || 0) !== expectedVersion;
+
+    return isStale ? { latestVersion, activeVersion } : null;
+}
+
+// 409 with the latest ETag and the current active (published) version, for the editor's merge view
+async function sendVersionConflict(res, username, templateType, expectedVersion, { latestVersion, activeVersion }) {
+    if (latestVersion !== null) {
+        res.set('ETag', formatTemplateEtag(latestVersion));
+    }
+
+    let activeTemplate = null;
+    if (activeVersion !== null) {
+        const activeResult = await pool.query(
+            'SELECT id, version, content, status, created_at, updated_at FROM prompt_templates WHERE username = $1 AND template_type = $2 AND version = $3',
+            [username, templateType, activeVersion]
+        );
+        activeTemplate = activeResult.rows[0] || null;
+    }
+
+    return res.status(409).json({
+        error: 'Version conflict',
+        message: latestVersion !== null
+            ? `Template was changed by someone else. Expected version ${expectedVersion}, latest version is ${latestVersion}`
+            : `Expected version ${expectedVersion}, but no template exists`,
+        data: {
+            expectedVersion,
+            latestVersion,
+            currentVersion: activeTemplate ? {
+                id: activeTemplate.id,
+                version: activeTemplate.version,
+                content: activeTemplate.content,
+                status: activeTemplate.status,
+                createdAt: activeTemplate.created_at,
+                updatedAt: activeTemplate.updated_at
+            } : null
+        }
+    });
+}
+
+// Partials the content includes, resolved the way prompts resolve them. Missing partials
+// count as empty; content or includes that do not parse are left to the lint errors.
+async function collectLintPartials(content, username) {
+    const loadPartial = createPartialLoader(username);
+
+    try {
+        return await collectPartials(parseTemplate(content), async name => (await loadPartial(name)) ?? '');
+    } catch (partialError) {
+        if (partialError instanceof TemplateRenderError) {
+            return {};
+        }
+        throw partialError;
+    }
+}
+
+// Lint a system prompt against the variables the user would render it with.
+// CONVERSATION_TRANSCRIPT is filled per request from the chat, so it is always known.
+async function lintAgainstUserVariables(content, username, overrideVariables) {
+    const { variables, sources } = overrideVariables
+        ? { variables: overrideVariables, sources: Object.fromEntries(Object.keys(overrideVariables).map(key => [key, 'request'])) }
+        : await resolveVariables(username);
+    const partials = await collectLintPartials(content, username);
+
+    return {
+        ...lintTemplate(content, Object.keys(variables), { implicitKeys: [TRANSCRIPT_VARIABLE], partials }),
+        variableSources: sources
+    };
+}
+
+// 404 for a missing version, otherwise 409 naming the state the version is in
+async function sendWorkflowConflict(res, username, templateType, version, action, allowedStates, current) {
+    if (current === undefined) {
+        const currentResult = await pool.query(
+            'SELECT status FROM prompt_templates WHERE username = $1 AND template_type = $2 AND version = $3',
+            [username, templateType, version]
+        );
+        current = currentResult.rows[0];
+    }
+
+    if (!current) {
+        return res.status(404).json({
+            error: 'Template version not found',
+            message: `No version ${version} of ${templateType} for user ${username}`
+        });
+    }
 
-function replacePlaceholders(text, data) {
-    return text.replace(/{{(.*?)}}/g, (_, key) => data[key.trim()] ?? '');
+    return res.status(409).json({
+        error: 'Invalid state',
+        message: `Version ${version} is ${current.status} and cannot be ${action}. Expected: ${allowedStates.join(', ')}`
+    });
 }
 
 class TemplateController {
-    // Create or update template (creates new version) - SIMPLIFIED VERSION
-    // Add this at the very start of your updateTemplate method
-    // Modified updateTemplate method that works around the constraint issue
+    // Save a template as a new draft version (previous versions stay as history)
     async updateTemplate(req, res, next) {
         let client;
 
@@ -23,18 +182,75 @@ class TemplateController {
                 });
             }
 
-            const validTypes = ['conceptMentor', 'assessmentPrompt', 'defaultTemplateValues'];
-            if (!validTypes.includes(templateType)) {
+            const typeConfig = await templateTypeRegistry.getTemplateType(templateType);
+            if (!typeConfig) {
+                const validTypes = await templateTypeRegistry.getTemplateTypeNames();
                 return res.status(400).json({
                     error: `Invalid templateType. Must be one of: ${validTypes.join(', ')}`
                 });
             }
 
+            if (typeConfig.contentKind === 'json') {
+                let parsed;
+                try {
+                    parsed = JSON.parse(content);
+                } catch (parseError) {
+                    return res.status(400).json({
+                        error: 'Invalid content',
+                        message: `${templateType} content must be valid JSON: ${parseError.message}`
+                    });
+                }
+
+                // Variables documents are merged key by key
+                if (!isPlainObject(parsed)) {
+                    return res.status(400).json({
+                        error: 'Invalid content',
+                        message: `${templateType} content must be a JSON object`
+                    });
+                }
+            }
+
+            // Placeholder lint for system prompts; strict mode rejects templates with errors
+            let lint = null;
+            if (typeConfig.role === 'system_prompt' || typeConfig.role === 'partial') {
+                try {
+                    lint = await lintAgainstUserVariables(content, username);
+                } catch (lintError) {
+                    console.warn(`⚠️  Skipping placeholder lint for ${username}/${templateType}:`, lintError.message);
+                }
+
+                if (req.body.strict && lint && !lint.valid) {
+                    return res.status(422).json({
+                        error: 'Template lint failed',
+                        message: `${lint.errors.length} placeholder error(s) found. Fix them or save without strict mode.`,
+                        data: { lint }
+                    });
+                }
+            }
+
+            const expectedVersion = getExpectedVersion(req);
+
+            if (expectedVersion === null) {
+                return res.status(400).json({
+                    error: 'Invalid If-Match header',
+                    message: 'If-Match must contain a template version ETag, e.g. "3"'
+                });
+            }
+
             client = await pool.connect();
 
             try {
                 await client.query('BEGIN');
 
+                await lockTemplate(client, username, templateType);
+
+                // Optimistic concurrency: the writer must have edited the latest version (drafts included)
+                const conflict = await findVersionConflict(client, username, templateType, expectedVersion);
+                if (conflict) {
+                    await client.query('ROLLBACK');
+                    return sendVersionConflict(res, username, templateType, expectedVersion, conflict);
+                }
+
                 // Get next version number
                 const versionResult = await client.query(
                     'SELECT COALESCE(MAX(version), 0) + 1 as next_version FROM prompt_templates WHERE username = $1 AND template_type = $2',
@@ -42,42 +258,35 @@ class TemplateController {
                 );
                 const nextVersion = versionResult.rows[0].next_version;
 
-                // WORKAROUND: Delete old inactive versions to avoid constraint violation
-                // Keep only the current active version before creating new one
-                await client.query(
-                    'DELETE FROM prompt_templates WHERE username = $1 AND template_type = $2 AND is_active = FALSE',
-                    [username, templateType]
-                );
-
-                // Now deactivate current active version (if any)
-                const updateResult = await client.query(
-                    'UPDATE prompt_templates SET is_active = FALSE WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
-                    [username, templateType]
-                );
-
-                // Insert new version
+                // Saves are drafts; the published (active) version is unchanged until publish
                 const insertResult = await client.query(
-                    'INSERT INTO prompt_templates (username, template_type, content, version, is_active, created_at, updated_at) VALUES ($1, $2, $3, $4, TRUE, NOW(), NOW()) RETURNING id, version, created_at',
+                    `INSERT INTO prompt_templates (username, template_type, content, version, is_active, status, created_at, updated_at)
+                     VALUES ($1, $2, $3, $4, FALSE, 'draft', NOW(), NOW())
+                     RETURNING id, version, status, created_at`,
                     [username, templateType, content, nextVersion]
                 );
 
                 await client.query('COMMIT');
+                activeTemplateCache.invalidate({ username, templateType });
 
                 const newTemplate = insertResult.rows[0];
 
-                console.log(`✅ Template created successfully: ${username}/${templateType} v${nextVersion}`);
+                console.log(`✅ Draft saved: ${username}/${templateType} v${nextVersion}`);
 
+                res.set('ETag', formatTemplateEtag(newTemplate.version));
                 res.status(201).json({
                     success: true,
-                    message: 'Template updated successfully',
+                    message: `Draft v${newTemplate.version} saved. Publish it to make it live.`,
                     data: {
                         id: newTemplate.id,
                         username,
                         templateType,
                         version: newTemplate.version,
-                        createdAt: newTemplate.created_at
-                    },
-                    note: 'Previous inactive versions were removed due to database constraints'
+                        status: newTemplate.status,
+                        requiresReview: typeConfig.requiresReview,
+                        createdAt: newTemplate.created_at,
+                        lint
+                    }
                 });
 
             } catch (transactionError) {
@@ -95,203 +304,1185 @@ class TemplateController {
             if (error.code === '23505') {
                 return res.status(409).json({
                     error: 'Constraint violation',
-                    message: 'Database constraint prevents this operation. Please fix the database schema or contact support.',
-                    technical: 'The current constraint design prevents multiple inactive versions. Database schema needs updating.'
+                    message: 'Another version of this template was saved at the same time. Please retry.',
+                    technical: error.message
+                });
+            }
+
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to update template',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+
+        } finally {
+            if (client) {
+                try {
+                    client.release();
+                } catch (releaseError) {
+                    console.error('Error releasing client:', releaseError);
+                }
+            }
+        }
+    }
+
+    // Get template(s) - No transaction needed (read-only)
+    async getTemplate(req, res, next) {
+        try {
+            const { username, templateType, version, includeHistory } = req.query;
+
+            if (!username || !templateType) {
+                return res.status(400).json({
+                    error: 'Missing required query parameters: username, templateType'
+                });
+            }
+
+            if (!(await templateTypeRegistry.getTemplateType(templateType))) {
+                const validTypes = await templateTypeRegistry.getTemplateTypeNames();
+                return res.status(400).json({
+                    error: `Invalid templateType. Must be one of: ${validTypes.join(', ')}`
+                });
+            }
+
+            let query, params;
+
+            if (version) {
+                query = `
+                    SELECT id, username, template_type, content, version, is_active, status, reviewer, reviewed_at, review_comment, published_at, created_at, updated_at
+                    FROM prompt_templates 
+                    WHERE username = $1 AND template_type = $2 AND version = $3
+                `;
+                params = [username, templateType, parseInt(version)];
+            } else if (includeHistory === 'true') {
+                query = `
+                    SELECT id, username, template_type, content, version, is_active, status, reviewer, reviewed_at, review_comment, published_at, created_at, updated_at
+                    FROM prompt_templates 
+                    WHERE username = $1 AND template_type = $2
+                    ORDER BY version DESC
+                `;
+                params = [username, templateType];
+            } else {
+                // The published version, or the latest draft when nothing is published yet
+                query = `
+                    SELECT id, username, template_type, content, version, is_active, status, reviewer, reviewed_at, review_comment, published_at, created_at, updated_at
+                    FROM prompt_templates 
+                    WHERE username = $1 AND template_type = $2
+                    ORDER BY is_active DESC, version DESC
+                    LIMIT 1
+                `;
+                params = [username, templateType];
+            }
+
+            const result = await pool.query(query, params);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Template not found',
+                    message: `No template found for user: ${username}, type: ${templateType}`
+                });
+            }
+
+            // Saves build on the latest version (drafts included), so that is the ETag for If-Match
+            const latestResult = await pool.query(
+                'SELECT MAX(version) as latest_version FROM prompt_templates WHERE username = $1 AND template_type = $2',
+                [username, templateType]
+            );
+            const latestVersion = latestResult.rows[0].latest_version;
+            res.set('ETag', formatTemplateEtag(latestVersion));
+
+            const responseData = includeHistory === 'true' ? {
+                templates: result.rows,
+                totalVersions: result.rows.length,
+                latestVersion
+            } : {
+                template: result.rows[0],
+                latestVersion
+            };
+
+            res.json({
+                success: true,
+                data: responseData
+            });
+
+        } catch (error) {
+            console.error('Error fetching template:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to fetch template'
+            });
+        }
+    }
+
+    // Diff two stored versions of a template
+    async diffTemplates(req, res, next) {
+        try {
+            const { username, templateType, from, to } = req.query;
+
+            if (!username || !templateType || !from || !to) {
+                return res.status(400).json({
+                    error: 'Missing required query parameters: username, templateType, from, to'
+                });
+            }
+
+            const fromVersion = parseInt(from);
+            const toVersion = parseInt(to);
+
+            const result = await pool.query(
+                `SELECT version, content, is_active, created_at
+                 FROM prompt_templates
+                 WHERE username = $1 AND template_type = $2 AND version = ANY($3::int[])`,
+                [username, templateType, [fromVersion, toVersion]]
+            );
+
+            const fromTemplate = result.rows.find(row => row.version === fromVersion);
+            const toTemplate = result.rows.find(row => row.version === toVersion);
+
+            const missingVersions = [
+                !fromTemplate && fromVersion,
+                !toTemplate && toVersion
+            ].filter(Boolean);
+
+            if (missingVersions.length > 0) {
+                return res.status(404).json({
+                    error: 'Template version not found',
+                    message: `Version(s) ${[...new Set(missingVersions)].join(', ')} not found for user: ${username}, type: ${templateType}`
+                });
+            }
+
+            const { unified, hunks, stats, approximate } = createUnifiedDiff(fromTemplate.content, toTemplate.content, {
+                fromLabel: `${templateType} v${fromVersion}`,
+                toLabel: `${templateType} v${toVersion}`
+            });
+
+            const responseData = {
+                username,
+                templateType,
+                from: {
+                    version: fromTemplate.version,
+                    isActive: fromTemplate.is_active,
+                    createdAt: fromTemplate.created_at
+                },
+                to: {
+                    version: toTemplate.version,
+                    isActive: toTemplate.is_active,
+                    createdAt: toTemplate.created_at
+                },
+                identical: hunks.length === 0,
+                stats,
+                // Very different versions are shown as one replaced block instead of a minimal diff
+                approximate,
+                diff: unified,
+                hunks
+            };
+
+            const typeConfig = await templateTypeRegistry.getTemplateType(templateType);
+            if (typeConfig && typeConfig.contentKind === 'json') {
+                responseData.keyDiff = diffJsonKeys(fromTemplate.content, toTemplate.content);
+            }
+
+            res.json({
+                success: true,
+                data: responseData
+            });
+
+        } catch (error) {
+            console.error('Error diffing template versions:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to diff template versions'
+            });
+        }
+    }
+
+    // Lint a template's placeholders without saving it
+    async lintTemplate(req, res, next) {
+        try {
+            const { username, templateType, content, variables } = req.body;
+
+            if (!templateType || content === undefined) {
+                return res.status(400).json({
+                    error: 'Missing required fields: templateType, content'
+                });
+            }
+
+            let lint;
+            try {
+                lint = await lintAgainstUserVariables(content, username, variables);
+            } catch (variablesError) {
+                if (variablesError.status === 404) {
+                    return res.status(404).json({ error: variablesError.message });
+                }
+                throw variablesError;
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    username: username || null,
+                    templateType,
+                    ...lint
+                }
+            });
+
+        } catch (error) {
+            console.error('Error linting template:', error);
+            return res.status(500).json({
+                error: 'Server error',
+                message: 'Failed to lint template'
+            });
+        }
+    }
+
+    // Render a system prompt exactly as processPrompt would, without saving anything.
+    // Renders a stored version, inline unsaved content, or the active template.
+    async previewTemplate(req, res, next) {
+        try {
+            const { username, templateType, version, content, variables, conceptId, llmProvider, userInput = '' } = req.body;
+
+            let systemTemplate = null;
+            if (content !== undefined) {
+                systemTemplate = { content, source: 'inline', version: null };
+            } else if (version) {
+                const versionResult = await pool.query(
+                    'SELECT content, version FROM prompt_templates WHERE username = $1 AND template_type = $2 AND version = $3',
+                    [username, templateType, version]
+                );
+
+                if (versionResult.rows.length === 0) {
+                    return res.status(404).json({
+                        error: 'Template version not found',
+                        message: `No version ${version} of ${templateType} for user ${username}`
+                    });
+                }
+
+                systemTemplate = { content: versionResult.rows[0].content, source: 'database', version: versionResult.rows[0].version };
+            }
+
+            const prompt = await buildPrompt({
+                username,
+                promptType: templateType,
+                llmProvider,
+                userInput,
+                conceptId,
+                variables,
+                systemTemplate
+            });
+
+            // Placeholders used by the template and the partials it included
+            const variableKeys = Object.keys(prompt.variables);
+            const placeholders = new Set(lintTemplate(prompt.systemTemplate, variableKeys).placeholders);
+            for (const partialContent of Object.values(prompt.partialContents)) {
+                lintTemplate(partialContent, variableKeys).placeholders.forEach(name => placeholders.add(name));
+            }
+
+            const filled = [];
+            const empty = [];
+            for (const name of placeholders) {
+                const value = prompt.variables[name];
+                const isEmpty = value === undefined || value === null ||
+                    (typeof value === 'string' && value.trim() === '') ||
+                    (Array.isArray(value) && value.length === 0);
+
+                if (isEmpty) {
+                    empty.push({ name, source: prompt.variableSources[name] || null });
+                } else {
+                    filled.push({ name, source: prompt.variableSources[name] });
+                }
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    username,
+                    templateType,
+                    templateSource: prompt.templateSource, // 'inline', 'database' or 'file'
+                    version: prompt.templateVersion,
+                    messages: prompt.messages,
+                    llmProvider: prompt.llmProvider,
+                    llmConfig: prompt.llmConfig,
+                    placeholders: { filled, empty },
+                    characterCount: {
+                        system: prompt.systemContent.length,
+                        total: prompt.messages.reduce((total, message) => total + (message.content || '').length, 0)
+                    },
+                    tokens: prompt.tokens,
+                    partials: prompt.partials,
+                    concept: prompt.concept,
+                    variableSources: prompt.variableSources
+                }
+            });
+
+        } catch (error) {
+            if (error instanceof PromptBuildError) {
+                return res.status(error.status).json(error.body);
+            }
+            console.error('Error previewing template:', error);
+            return res.status(500).json({
+                error: 'Server error',
+                message: 'Failed to preview template',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // List all templates for a user
+    async listTemplates(req, res, next) {
+        try {
+            const { username } = req.query;
+
+            if (!username) {
+                return res.status(400).json({
+                    error: 'Missing required query parameter: username'
+                });
+            }
+
+            const result = await pool.query(`
+                SELECT 
+                    template_type,
+                    version,
+                    is_active,
+                    status,
+                    created_at,
+                    updated_at,
+                    LENGTH(content) as content_length
+                FROM prompt_templates 
+                WHERE username = $1 
+                ORDER BY template_type, version DESC
+            `, [username]);
+
+            // Labels, attached to the versions they point at
+            const labelResult = await pool.query(
+                'SELECT template_type, label, version FROM template_labels WHERE username = $1 ORDER BY label',
+                [username]
+            );
+            const labelsByVersion = {};
+            for (const row of labelResult.rows) {
+                const key = `${row.template_type}:${row.version}`;
+                (labelsByVersion[key] = labelsByVersion[key] || []).push(row.label);
+            }
+
+            // Group by template type
+            const templatesByType = result.rows.reduce((acc, template) => {
+                if (!acc[template.template_type]) {
+                    acc[template.template_type] = [];
+                }
+                acc[template.template_type].push({
+                    ...template,
+                    labels: labelsByVersion[`${template.template_type}:${template.version}`] || []
+                });
+                return acc;
+            }, {});
+
+            // Templates other users shared with this user (their active version)
+            const sharedResult = await pool.query(`
+                SELECT 
+                    s.owner_username,
+                    s.template_type,
+                    s.permission,
+                    pt.version,
+                    pt.updated_at,
+                    LENGTH(pt.content) as content_length
+                FROM template_shares s
+                LEFT JOIN prompt_templates pt
+                    ON pt.username = s.owner_username AND pt.template_type = s.template_type AND pt.is_active = TRUE
+                WHERE s.grantee_username = $1
+                ORDER BY s.owner_username, s.template_type
+            `, [username]);
+
+            res.json({
+                success: true,
+                data: {
+                    username,
+                    templates: templatesByType,
+                    totalTemplates: result.rows.length,
+                    sharedWithMe: sharedResult.rows.map(row => ({
+                        owner: row.owner_username,
+                        templateType: row.template_type,
+                        permission: row.permission,
+                        activeVersion: row.version,
+                        contentLength: row.content_length,
+                        updatedAt: row.updated_at
+                    }))
+                }
+            });
+
+        } catch (error) {
+            console.error('Error listing templates:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to list templates'
+            });
+        }
+    }
+
+    // Delete template(s) - Simplified version
+    async deleteTemplate(req, res, next) {
+        let client;
+
+        try {
+            const { username, templateType, version, deleteAll = false } = req.body;
+
+            if (!username || !templateType) {
+                return res.status(400).json({
+                    error: 'Missing required fields: username, templateType'
+                });
+            }
+
+            client = await pool.connect();
+
+            try {
+                await client.query('BEGIN');
+
+                let query, params, message;
+
+                if (deleteAll) {
+                    query = 'DELETE FROM prompt_templates WHERE username = $1 AND template_type = $2';
+                    params = [username, templateType];
+                    message = `All versions of ${templateType} deleted for user ${username}`;
+                } else if (version) {
+                    query = 'DELETE FROM prompt_templates WHERE username = $1 AND template_type = $2 AND version = $3';
+                    params = [username, templateType, parseInt(version)];
+                    message = `Version ${version} of ${templateType} deleted for user ${username}`;
+                } else {
+                    query = 'DELETE FROM prompt_templates WHERE username = $1 AND template_type = $2 AND is_active = TRUE';
+                    params = [username, templateType];
+                    message = `Active version of ${templateType} deleted for user ${username}`;
+                }
+
+                const result = await client.query(query, params);
+
+                if (result.rowCount === 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(404).json({
+                        error: 'No matching templates found to delete'
+                    });
+                }
+
+                // Drop labels that pointed at the deleted versions
+                await client.query(
+                    `DELETE FROM template_labels tl
+                     WHERE tl.username = $1 AND tl.template_type = $2
+                       AND NOT EXISTS (
+                           SELECT 1 FROM prompt_templates pt
+                           WHERE pt.username = tl.username AND pt.template_type = tl.template_type AND pt.version = tl.version
+                       )`,
+                    [username, templateType]
+                );
+
+                await client.query('COMMIT');
+                activeTemplateCache.invalidate({ username, templateType });
+
+                res.json({
+                    success: true,
+                    message,
+                    deletedCount: result.rowCount
+                });
+
+            } catch (transactionError) {
+                try {
+                    await client.query('ROLLBACK');
+                } catch (rollbackError) {
+                    console.error('Rollback failed:', rollbackError);
+                }
+                throw transactionError;
+            }
+
+        } catch (error) {
+            console.error('Error deleting template:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to delete template'
+            });
+        } finally {
+            if (client) {
+                try {
+                    client.release();
+                } catch (releaseError) {
+                    console.error('Error releasing client:', releaseError);
+                }
+            }
+        }
+    }
+
+    // Full-text search over stored versions, best matches first, with highlighted snippets
+    async searchTemplates(req, res, next) {
+        try {
+            const { q, username, templateType, activeOnly, from, to, limit, offset } = req.query;
+
+            const params = [q];
+            const conditions = [`content_tsv @@ websearch_to_tsquery('english', $1)`];
+            if (username) {
+                params.push(username);
+                conditions.push(`username = $${params.length}`);
+            }
+            if (templateType) {
+                params.push(templateType);
+                conditions.push(`template_type = $${params.length}`);
+            }
+            if (activeOnly) {
+                conditions.push('is_active = TRUE');
+            }
+            if (from) {
+                params.push(from);
+                conditions.push(`created_at >= $${params.length}`);
+            }
+            if (to) {
+                params.push(to);
+                conditions.push(`created_at <= $${params.length}`);
+            }
+
+            params.push(limit, offset);
+            const limitParam = params.length - 1;
+
+            // ts_headline re-parses the content, so it only runs on the page being returned
+            const result = await pool.query(`
+                SELECT
+                    page.*,
+                    ts_headline('english', page.content, websearch_to_tsquery('english', $1),
+                        'StartSel=<mark>, StopSel=</mark>, MinWords=10, MaxWords=30, MaxFragments=3, FragmentDelimiter=" … "') AS snippet
+                FROM (
+                    SELECT
+                        id, username, template_type, version, is_active, status, content, created_at, updated_at,
+                        ts_rank(content_tsv, websearch_to_tsquery('english', $1)) AS rank,
+                        COUNT(*) OVER() AS total_count
+                    FROM prompt_templates
+                    WHERE ${conditions.join(' AND ')}
+                    ORDER BY rank DESC, updated_at DESC, id
+                    LIMIT $${limitParam} OFFSET $${limitParam + 1}
+                ) page
+                ORDER BY page.rank DESC, page.updated_at DESC, page.id
+            `, params);
+
+            res.json({
+                success: true,
+                data: {
+                    query: q,
+                    results: result.rows.map(row => ({
+                        id: row.id,
+                        username: row.username,
+                        templateType: row.template_type,
+                        version: row.version,
+                        isActive: row.is_active,
+                        status: row.status,
+                        rank: Number(row.rank),
+                        snippet: row.snippet,
+                        createdAt: row.created_at,
+                        updatedAt: row.updated_at
+                    })),
+                    total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+                    limit,
+                    offset
+                }
+            });
+
+        } catch (error) {
+            console.error('Error searching templates:', error);
+
+            if (error.code === '42703') {
+                return res.status(503).json({
+                    error: 'Search unavailable',
+                    message: 'The content_tsv column is missing. Run npm run db:migrate.'
+                });
+            }
+
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to search templates',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Export all of a user's templates (every version) as one JSON bundle
+    async exportTemplates(req, res, next) {
+        try {
+            const { username, templateType } = req.query;
+
+            const params = [username];
+            let typeFilter = '';
+            if (templateType) {
+                params.push(templateType);
+                typeFilter = 'AND template_type = $2';
+            }
+
+            const result = await pool.query(
+                `SELECT template_type, version, content, is_active, status, created_at, updated_at
+                 FROM prompt_templates
+                 WHERE username = $1 ${typeFilter}
+                 ORDER BY template_type, version`,
+                params
+            );
+
+            const templates = [];
+            for (const row of result.rows) {
+                let entry = templates.find(template => template.templateType === row.template_type);
+                if (!entry) {
+                    entry = { templateType: row.template_type, versions: [] };
+                    templates.push(entry);
+                }
+                entry.versions.push({
+                    version: row.version,
+                    content: row.content,
+                    isActive: row.is_active,
+                    status: row.status,
+                    createdAt: row.created_at,
+                    updatedAt: row.updated_at
+                });
+            }
+
+            const bundle = {
+                format: TEMPLATE_BUNDLE_FORMAT,
+                formatVersion: TEMPLATE_BUNDLE_VERSION,
+                exportedAt: new Date().toISOString(),
+                source: {
+                    username,
+                    environment: process.env.NODE_ENV || 'development'
+                },
+                templates
+            };
+
+            const fileName = `templates-${username.replace(/[^\w.-]/g, '_')}-${bundle.exportedAt.slice(0, 10)}.json`;
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+            res.json(bundle);
+
+        } catch (error) {
+            console.error('Error exporting templates:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to export templates'
+            });
+        }
+    }
+
+    // Import a template bundle into a user.
+    // merge: append the bundle's versions to the user's history (identical content is
+    //        not duplicated) and activate the bundle's active version.
+    // replace: drop the user's versions (and labels) of the bundled types and load the bundle as-is.
+    async importTemplates(req, res, next) {
+        let client;
+
+        try {
+            const { username, bundle, mode = 'merge', dryRun = false } = req.body;
+
+            // Checks the bundle schema cannot express
+            const problems = [];
+            const typeConfigs = {};
+            for (const template of bundle.templates) {
+                const typeConfig = await templateTypeRegistry.getTemplateType(template.templateType);
+                if (!typeConfig) {
+                    problems.push(`${template.templateType}: unknown template type`);
+                    continue;
+                }
+                typeConfigs[template.templateType] = typeConfig;
+
+                if (template.versions.filter(version => version.isActive).length > 1) {
+                    problems.push(`${template.templateType}: more than one active version`);
+                }
+
+                if (template.versions.some(version => version.isActive && version.status && version.status !== 'published')) {
+                    problems.push(`${template.templateType}: the active version must be published`);
+                }
+
+                if (typeConfig.contentKind === 'json') {
+                    for (const version of template.versions) {
+                        let parsed;
+                        try {
+                            parsed = JSON.parse(version.content);
+                        } catch (parseError) {
+                            problems.push(`${template.templateType} v${version.version}: content must be valid JSON`);
+                            continue;
+                        }
+                        if (!isPlainObject(parsed)) {
+                            problems.push(`${template.templateType} v${version.version}: content must be a JSON object`);
+                        }
+                    }
+                }
+            }
+
+            const templateTypes = bundle.templates.map(template => template.templateType);
+            if (new Set(templateTypes).size !== templateTypes.length) {
+                problems.push('Each template type may appear only once');
+            }
+
+            if (problems.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid bundle',
+                    message: problems[0],
+                    details: problems
+                });
+            }
+
+            client = await pool.connect();
+
+            try {
+                await client.query('BEGIN');
+
+                const results = [];
+
+                for (const template of bundle.templates) {
+                    const { templateType } = template;
+                    const typeConfig = typeConfigs[templateType];
+                    const versions = [...template.versions].sort((a, b) => a.version - b.version);
+                    const bundleActive = versions.find(version => version.isActive);
+                    // awaitingReview: versions the bundle had published that need a reviewer's approval here
+                    const summary = { templateType, imported: 0, skipped: 0, removed: 0, activeVersion: null, labelsRemoved: [], rolloutItemsRemoved: [], awaitingReview: [] };
+
+                    if (mode === 'replace') {
+                        // Experiment variants name a version number; after a replace it would hold other content
+                        const variantResult = await client.query(
+                            `SELECT e.name AS experiment, v.name AS variant, v.version
+                             FROM experiment_variants v
+                             JOIN experiments e ON e.id = v.experiment_id
+                             WHERE v.owner_username = $1 AND e.template_type = $2 AND v.version IS NOT NULL
+                             ORDER BY e.name, v.name`,
+                            [username, templateType]
+                        );
+
+                        if (variantResult.rows.length > 0) {
+                            await client.query('ROLLBACK');
+                            const { experiment, variant, version } = variantResult.rows[0];
+                            return res.status(409).json({
+                                error: 'Versions in use',
+                                message: `Replacing ${templateType} would change v${version}, which variant '${variant}' of experiment '${experiment}' uses. Import in merge mode instead.`,
+                                details: variantResult.rows
+                            });
+                        }
+
+                        const publishedResult = await client.query(
+                            `SELECT content FROM prompt_templates WHERE username = $1 AND template_type = $2 AND status = 'published'`,
+                            [username, templateType]
+                        );
+                        const publishedContents = new Set(publishedResult.rows.map(row => row.content));
+
+                        const deleteResult = await client.query(
+                            'DELETE FROM prompt_templates WHERE username = $1 AND template_type = $2',
+                            [username, templateType]
+                        );
+                        summary.removed = deleteResult.rowCount;
+
+                        // Version numbers are reused for different content, so labels would
+                        // silently move to whatever the bundle put under the same number
+                        const labelResult = await client.query(
+                            'DELETE FROM template_labels WHERE username = $1 AND template_type = $2 RETURNING label',
+                            [username, templateType]
+                        );
+                        summary.labelsRemoved = labelResult.rows.map(row => row.label);
+
+                        // Rolling back an applied rollout would activate whatever the bundle put
+                        // under the user's previous version number, so they leave those rollouts
+                        const rolloutItemResult = await client.query(
+                            `DELETE FROM template_rollout_items i
+                             USING template_rollouts r
+                             WHERE r.id = i.rollout_id AND i.username = $1 AND r.template_type = $2 AND r.status = 'applied'
+                             RETURNING i.rollout_id`,
+                            [username, templateType]
+                        );
+                        summary.rolloutItemsRemoved = [...new Set(rolloutItemResult.rows.map(row => row.rollout_id))];
+
+                        for (const version of versions) {
+                            const status = importedStatus(version, typeConfig, publishedContents);
+                            const isActive = version.isActive && status === 'published';
+                            if (status !== 'published' && (version.status || 'published') === 'published') {
+                                summary.awaitingReview.push(version.version);
+                            }
+
+                            await client.query(
+                                `INSERT INTO prompt_templates (username, template_type, content, version, is_active, status, created_at, updated_at)
+                                 VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, NOW()), COALESCE($8, NOW()))`,
+                                [username, templateType, version.content, version.version, isActive, status, version.createdAt || null, version.updatedAt || null]
+                            );
+                            summary.imported++;
+                            if (isActive) summary.activeVersion = version.version;
+                        }
+
+                    } else {
+                        const existingResult = await client.query(
+                            'SELECT version, content, is_active, status FROM prompt_templates WHERE username = $1 AND template_type = $2 ORDER BY version',
+                            [username, templateType]
+                        );
+                        const existing = existingResult.rows;
+                        const publishedContents = new Set(existing.filter(row => row.status === 'published').map(row => row.content));
+                        let nextVersion = existing.reduce((max, row) => Math.max(max, row.version), 0) + 1;
+                        let activateVersion = null;
+
+                        for (const version of versions) {
+                            const duplicate = existing.find(row => row.content === version.content);
+                            if (duplicate) {
+                                summary.skipped++;
+                                if (version.isActive) {
+                                    // Publishing the user's existing copy goes through review like any other publish
+                                    if (typeConfig.requiresReview && duplicate.status !== 'published') {
+                                        summary.awaitingReview.push(duplicate.version);
+                                    } else {
+                                        activateVersion = duplicate.version;
+                                    }
+                                }
+                                continue;
+                            }
+
+                            const status = importedStatus(version, typeConfig, publishedContents);
+                            if (status !== 'published' && (version.status || 'published') === 'published') {
+                                summary.awaitingReview.push(nextVersion);
+                            }
+
+                            await client.query(
+                                `INSERT INTO prompt_templates (username, template_type, content, version, is_active, status, created_at, updated_at)
+                                 VALUES ($1, $2, $3, $4, FALSE, $5, COALESCE($6, NOW()), COALESCE($7, NOW()))`,
+                                [username, templateType, version.content, nextVersion, status, version.createdAt || null, version.updatedAt || null]
+                            );
+                            existing.push({ version: nextVersion, content: version.content, is_active: false, status });
+                            if (version.isActive && status === 'published') activateVersion = nextVersion;
+                            nextVersion++;
+                            summary.imported++;
+                        }
+
+                        // The bundle's active version becomes active; otherwise the user's stays
+                        if (activateVersion !== null) {
+                            await client.query(
+                                'UPDATE prompt_templates SET is_active = FALSE WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
+                                [username, templateType]
+                            );
+                            await client.query(
+                                `UPDATE prompt_templates SET is_active = TRUE, status = 'published', published_at = COALESCE(published_at, NOW())
+                                 WHERE username = $1 AND template_type = $2 AND version = $3`,
+                                [username, templateType, activateVersion]
+                            );
+                            summary.activeVersion = activateVersion;
+                        } else {
+                            const active = existing.find(row => row.is_active);
+                            summary.activeVersion = active ? active.version : null;
+                        }
+                    }
+
+                    results.push(summary);
+                }
+
+                if (dryRun) {
+                    await client.query('ROLLBACK');
+                } else {
+                    await client.query('COMMIT');
+                    activeTemplateCache.invalidate({ username });
+                }
+
+                const importedCount = results.reduce((total, result) => total + result.imported, 0);
+                console.log(`📦 ${dryRun ? 'Dry run: ' : ''}Imported ${importedCount} template versions into ${username} (${mode})`);
+
+                res.status(dryRun ? 200 : 201).json({
+                    success: true,
+                    message: `${dryRun ? 'Dry run: would import' : 'Imported'} ${importedCount} template versions into ${username}`,
+                    data: {
+                        username,
+                        mode,
+                        dryRun,
+                        source: bundle.source || null,
+                        templates: results
+                    }
+                });
+
+            } catch (transactionError) {
+                try {
+                    await client.query('ROLLBACK');
+                } catch (rollbackError) {
+                    console.error('Rollback failed:', rollbackError);
+                }
+                throw transactionError;
+            }
+
+        } catch (error) {
+            console.error('❌ Error importing templates:', error);
+            return res.status(500).json({
+                error: 'Server error',
+                message: 'Failed to import templates',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+
+        } finally {
+            if (client) {
+                client.release();
+            }
+        }
+    }
+
+    // Copy a version of one user's template to another user as a new draft version.
+    // Copying from someone else needs a 'fork' share from the owner.
+    async copyTemplate(req, res, next) {
+        let client;
+
+        try {
+            const { fromUsername, toUsername, templateType, version } = req.body;
+
+            if (fromUsername !== toUsername) {
+                const shareResult = await pool.query(
+                    'SELECT permission FROM template_shares WHERE owner_username = $1 AND template_type = $2 AND grantee_username = $3',
+                    [fromUsername, templateType, toUsername]
+                );
+
+                if (shareResult.rows.length === 0 || shareResult.rows[0].permission !== 'fork') {
+                    return res.status(403).json({
+                        error: 'Not shared',
+                        message: `${fromUsername} has not allowed ${toUsername} to fork ${templateType}`
+                    });
+                }
+            }
+
+            client = await pool.connect();
+
+            try {
+                await client.query('BEGIN');
+
+                // Another user's drafts and versions in review are not shared, only published versions
+                const ownCopy = fromUsername === toUsername;
+                const sourceResult = await client.query(
+                    `SELECT content, version FROM prompt_templates
+                     WHERE username = $1 AND template_type = $2 AND ${version ? 'version = $3' : 'is_active = TRUE'}${ownCopy ? '' : ` AND status = 'published'`}`,
+                    version ? [fromUsername, templateType, version] : [fromUsername, templateType]
+                );
+
+                if (sourceResult.rows.length === 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(404).json({
+                        error: 'Template not found',
+                        message: version
+                            ? `Version ${version} of ${templateType} not found${ownCopy ? '' : ' or not published'} for ${fromUsername}`
+                            : `${fromUsername} has no active ${templateType}`
+                    });
+                }
+
+                const source = sourceResult.rows[0];
+
+                const versionResult = await client.query(
+                    'SELECT COALESCE(MAX(version), 0) + 1 as next_version FROM prompt_templates WHERE username = $1 AND template_type = $2',
+                    [toUsername, templateType]
+                );
+                const nextVersion = versionResult.rows[0].next_version;
+
+                // Copies are drafts the target user publishes like any other save
+                const insertResult = await client.query(
+                    `INSERT INTO prompt_templates (username, template_type, content, version, is_active, status, created_at, updated_at)
+                     VALUES ($1, $2, $3, $4, FALSE, 'draft', NOW(), NOW())
+                     RETURNING id, version, status, created_at`,
+                    [toUsername, templateType, source.content, nextVersion]
+                );
+
+                await client.query('COMMIT');
+                activeTemplateCache.invalidate({ username: toUsername, templateType });
+
+                console.log(`✅ Copied ${fromUsername} ${templateType} v${source.version} to ${toUsername} v${nextVersion}`);
+
+                res.status(201).json({
+                    success: true,
+                    message: `Copied ${templateType} v${source.version} from ${fromUsername} to ${toUsername} as draft v${nextVersion}`,
+                    data: {
+                        id: insertResult.rows[0].id,
+                        username: toUsername,
+                        templateType,
+                        version: insertResult.rows[0].version,
+                        status: insertResult.rows[0].status,
+                        copiedFrom: { username: fromUsername, version: source.version },
+                        createdAt: insertResult.rows[0].created_at
+                    }
+                });
+
+            } catch (transactionError) {
+                try {
+                    await client.query('ROLLBACK');
+                } catch (rollbackError) {
+                    console.error('Rollback failed:', rollbackError);
+                }
+                throw transactionError;
+            }
+
+        } catch (error) {
+            console.error('❌ Error copying template:', error);
+
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    error: 'Version conflict',
+                    message: 'Another version was saved for the target user at the same time. Retry the copy.'
                 });
             }
 
             return res.status(500).json({
-                error: 'Database error',
-                message: 'Failed to update template',
+                error: 'Server error',
+                message: 'Failed to copy template',
                 details: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
 
         } finally {
             if (client) {
-                try {
-                    client.release();
-                } catch (releaseError) {
-                    console.error('Error releasing client:', releaseError);
-                }
+                client.release();
             }
         }
     }
 
-    // Get template(s) - No transaction needed (read-only)
-    async getTemplate(req, res, next) {
+    // Send a draft for review, optionally to a named reviewer
+    async submitForReview(req, res, next) {
         try {
-            const { username, templateType, version, includeHistory } = req.query;
-
-            if (!username || !templateType) {
-                return res.status(400).json({
-                    error: 'Missing required query parameters: username, templateType'
-                });
-            }
+            const { username, templateType, version, reviewer = null } = req.body;
 
-            const validTypes = ['conceptMentor', 'assessmentPrompt', 'defaultTemplateValues'];
-            if (!validTypes.includes(templateType)) {
+            if (reviewer && reviewer === username) {
                 return res.status(400).json({
-                    error: `Invalid templateType. Must be one of: ${validTypes.join(', ')}`
+                    error: 'Invalid reviewer',
+                    message: 'Authors cannot review their own templates'
                 });
             }
 
-            let query, params;
-
-            if (version) {
-                query = `
-                    SELECT id, username, template_type, content, version, is_active, created_at, updated_at
-                    FROM prompt_templates 
-                    WHERE username = $1 AND template_type = $2 AND version = $3
-                `;
-                params = [username, templateType, parseInt(version)];
-            } else if (includeHistory === 'true') {
-                query = `
-                    SELECT id, username, template_type, content, version, is_active, created_at, updated_at
-                    FROM prompt_templates 
-                    WHERE username = $1 AND template_type = $2
-                    ORDER BY version DESC
-                `;
-                params = [username, templateType];
-            } else {
-                query = `
-                    SELECT id, username, template_type, content, version, is_active, created_at, updated_at
-                    FROM prompt_templates 
-                    WHERE username = $1 AND template_type = $2 AND is_active = TRUE
-                `;
-                params = [username, templateType];
-            }
-
-            const result = await pool.query(query, params);
+            const result = await pool.query(
+                `UPDATE prompt_templates
+                 SET status = 'in_review', reviewer = $4, review_decision = NULL, reviewed_at = NULL, review_comment = NULL
+                 WHERE username = $1 AND template_type = $2 AND version = $3 AND status = 'draft'
+                 RETURNING version, status, reviewer`,
+                [username, templateType, version, reviewer]
+            );
 
             if (result.rows.length === 0) {
-                return res.status(404).json({
-                    error: 'Template not found',
-                    message: `No template found for user: ${username}, type: ${templateType}`
-                });
+                return sendWorkflowConflict(res, username, templateType, version, 'submitted for review', ['draft']);
             }
 
-            const responseData = includeHistory === 'true' ? {
-                templates: result.rows,
-                totalVersions: result.rows.length,
-                latestVersion: Math.max(...result.rows.map(t => t.version))
-            } : {
-                template: result.rows[0]
-            };
+            console.log(`📝 ${username}/${templateType} v${version} submitted for review${reviewer ? ` to ${reviewer}` : ''}`);
 
             res.json({
                 success: true,
-                data: responseData
+                message: `Version ${version} of ${templateType} submitted for review`,
+                data: result.rows[0]
             });
 
         } catch (error) {
-            console.error('Error fetching template:', error);
+            console.error('❌ Error submitting template for review:', error);
             return res.status(500).json({
                 error: 'Database error',
-                message: 'Failed to fetch template'
+                message: 'Failed to submit template for review'
             });
         }
     }
 
-    // List all templates for a user
-    async listTemplates(req, res, next) {
+    // Approve or reject a version that is in review. Rejected versions go back to draft.
+    async reviewTemplate(req, res, next) {
         try {
-            const { username } = req.query;
+            const { username, templateType, version, reviewer, decision, comment = null } = req.body;
 
-            if (!username) {
-                return res.status(400).json({
-                    error: 'Missing required query parameter: username'
+            if (reviewer === username) {
+                return res.status(403).json({
+                    error: 'Invalid reviewer',
+                    message: 'Authors cannot review their own templates'
                 });
             }
 
-            const result = await pool.query(`
-                SELECT 
-                    template_type,
-                    version,
-                    is_active,
-                    created_at,
-                    updated_at,
-                    LENGTH(content) as content_length
-                FROM prompt_templates 
-                WHERE username = $1 
-                ORDER BY template_type, version DESC
-            `, [username]);
+            const currentResult = await pool.query(
+                'SELECT status, reviewer, review_decision FROM prompt_templates WHERE username = $1 AND template_type = $2 AND version = $3',
+                [username, templateType, version]
+            );
 
-            // Group by template type
-            const templatesByType = result.rows.reduce((acc, template) => {
-                if (!acc[template.template_type]) {
-                    acc[template.template_type] = [];
-                }
-                acc[template.template_type].push(template);
-                return acc;
-            }, {});
+            if (currentResult.rows.length === 0 || currentResult.rows[0].status !== 'in_review' || currentResult.rows[0].review_decision) {
+                return sendWorkflowConflict(res, username, templateType, version, 'reviewed', ['in_review (not yet reviewed)'], currentResult.rows[0]);
+            }
+
+            const requestedReviewer = currentResult.rows[0].reviewer;
+            if (requestedReviewer && requestedReviewer !== reviewer) {
+                return res.status(403).json({
+                    error: 'Invalid reviewer',
+                    message: `Version ${version} is waiting for review by ${requestedReviewer}`
+                });
+            }
+
+            const approved = decision === 'approve';
+            const result = await pool.query(
+                `UPDATE prompt_templates
+                 SET status = $4, reviewer = $5, review_decision = $6, reviewed_at = NOW(), review_comment = $7
+                 WHERE username = $1 AND template_type = $2 AND version = $3
+                 RETURNING version, status, reviewer, review_decision, reviewed_at, review_comment`,
+                [username, templateType, version, approved ? 'in_review' : 'draft', reviewer, approved ? 'approved' : 'rejected', comment]
+            );
+
+            console.log(`${approved ? '✅' : '↩️'} ${reviewer} ${approved ? 'approved' : 'rejected'} ${username}/${templateType} v${version}`);
 
             res.json({
                 success: true,
-                data: {
-                    username,
-                    templates: templatesByType,
-                    totalTemplates: result.rows.length
-                }
+                message: approved
+                    ? `Version ${version} of ${templateType} approved and ready to publish`
+                    : `Version ${version} of ${templateType} rejected and returned to draft`,
+                data: result.rows[0]
             });
 
         } catch (error) {
-            console.error('Error listing templates:', error);
+            console.error('❌ Error reviewing template:', error);
             return res.status(500).json({
                 error: 'Database error',
-                message: 'Failed to list templates'
+                message: 'Failed to review template'
             });
         }
     }
 
-    // Delete template(s) - Simplified version
-    async deleteTemplate(req, res, next) {
+    // Make a version the published (active) one that processPrompt uses.
+    // Types with requiresReview need an approved review first.
+    async publishTemplate(req, res, next) {
         let client;
 
         try {
-            const { username, templateType, version, deleteAll = false } = req.body;
+            const { username, templateType, version } = req.body;
 
-            if (!username || !templateType) {
-                return res.status(400).json({
-                    error: 'Missing required fields: username, templateType'
-                });
-            }
+            const typeConfig = await templateTypeRegistry.getTemplateType(templateType);
 
             client = await pool.connect();
 
             try {
                 await client.query('BEGIN');
 
-                let query, params, message;
+                const versionResult = await client.query(
+                    'SELECT id, status, is_active, review_decision FROM prompt_templates WHERE username = $1 AND template_type = $2 AND version = $3 FOR UPDATE',
+                    [username, templateType, version]
+                );
 
-                if (deleteAll) {
-                    query = 'DELETE FROM prompt_templates WHERE username = $1 AND template_type = $2';
-                    params = [username, templateType];
-                    message = `All versions of ${templateType} deleted for user ${username}`;
-                } else if (version) {
-                    query = 'DELETE FROM prompt_templates WHERE username = $1 AND template_type = $2 AND version = $3';
-                    params = [username, templateType, parseInt(version)];
-                    message = `Version ${version} of ${templateType} deleted for user ${username}`;
-                } else {
-                    query = 'DELETE FROM prompt_templates WHERE username = $1 AND template_type = $2 AND is_active = TRUE';
-                    params = [username, templateType];
-                    message = `Active version of ${templateType} deleted for user ${username}`;
+                if (versionResult.rows.length === 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(404).json({
+                        error: 'Template version not found',
+                        message: `No version ${version} of ${templateType} for user ${username}`
+                    });
                 }
 
-                const result = await client.query(query, params);
+                const template = versionResult.rows[0];
 
-                if (result.rowCount === 0) {
+                if (template.is_active) {
                     await client.query('ROLLBACK');
-                    return res.status(404).json({
-                        error: 'No matching templates found to delete'
+                    return res.status(409).json({
+                        error: 'Already published',
+                        message: `Version ${version} of ${templateType} is already the published version`
+                    });
+                }
+
+                const isApproved = template.status === 'in_review' && template.review_decision === 'approved';
+                if (typeConfig.requiresReview && template.status !== 'published' && !isApproved) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({
+                        error: 'Review required',
+                        message: `${templateType} versions must be approved by a reviewer before publishing. Version ${version} is ${template.status}.`
                     });
                 }
 
+                // Deactivate the current published version; older versions stay as history
+                await client.query(
+                    'UPDATE prompt_templates SET is_active = FALSE WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
+                    [username, templateType]
+                );
+
+                const publishResult = await client.query(
+                    `UPDATE prompt_templates
+                     SET is_active = TRUE, status = 'published', published_at = NOW()
+                     WHERE id = $1
+                     RETURNING version, status, reviewer, review_decision, published_at`,
+                    [template.id]
+                );
+
                 await client.query('COMMIT');
+                activeTemplateCache.invalidate({ username, templateType });
+
+                console.log(`🚀 Published ${username}/${templateType} v${version}`);
 
                 res.json({
                     success: true,
-                    message,
-                    deletedCount: result.rowCount
+                    message: `Version ${version} of ${templateType} is now live for ${username}`,
+                    data: publishResult.rows[0]
                 });
 
             } catch (transactionError) {
@@ -304,18 +1495,24 @@ class TemplateController {
             }
 
         } catch (error) {
-            console.error('Error deleting template:', error);
+            console.error('❌ Error publishing template:', error);
+
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    error: 'Constraint violation',
+                    message: 'Another version of this template was published at the same time. Please retry.'
+                });
+            }
+
             return res.status(500).json({
                 error: 'Database error',
-                message: 'Failed to delete template'
+                message: 'Failed to publish template',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
+
         } finally {
             if (client) {
-                try {
-                    client.release();
-                } catch (releaseError) {
-                    console.error('Error releasing client:', releaseError);
-                }
+                client.release();
             }
         }
     }
@@ -333,14 +1530,32 @@ class TemplateController {
                 });
             }
 
+            const expectedVersion = getExpectedVersion(req);
+
+            if (expectedVersion === null) {
+                return res.status(400).json({
+                    error: 'Invalid If-Match header',
+                    message: 'If-Match must contain a template version ETag, e.g. "3"'
+                });
+            }
+
             client = await pool.connect();
 
             try {
                 await client.query('BEGIN');
 
+                // Same lock and precondition as saves, so a restore cannot race a save or another restore
+                await lockTemplate(client, username, templateType);
+
+                const conflict = await findVersionConflict(client, username, templateType, expectedVersion);
+                if (conflict) {
+                    await client.query('ROLLBACK');
+                    return sendVersionConflict(res, username, templateType, expectedVersion, conflict);
+                }
+
                 // Check if the version exists
                 const checkResult = await client.query(
-                    'SELECT id FROM prompt_templates WHERE username = $1 AND template_type = $2 AND version = $3',
+                    'SELECT id, status FROM prompt_templates WHERE username = $1 AND template_type = $2 AND version = $3',
                     [username, templateType, parseInt(version)]
                 );
 
@@ -351,6 +1566,15 @@ class TemplateController {
                     });
                 }
 
+                // Only previously published versions can go back live; drafts go through publish
+                if (checkResult.rows[0].status !== 'published') {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({
+                        error: 'Version not published',
+                        message: `Version ${version} is ${checkResult.rows[0].status}. Publish it instead of restoring it.`
+                    });
+                }
+
                 // Deactivate current active version
                 await client.query(
                     'UPDATE prompt_templates SET is_active = FALSE WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
@@ -364,6 +1588,7 @@ class TemplateController {
                 );
 
                 await client.query('COMMIT');
+                activeTemplateCache.invalidate({ username, templateType });
 
                 res.json({
                     success: true,
@@ -396,54 +1621,45 @@ class TemplateController {
         }
     }
 
-    // Get default templates - File system only, no database
+    // Get default templates - types come from the template_types registry
     async getDefaultTemplates(req, res, next) {
         try {
             const { templateType, format = 'json' } = req.query;
-            const baseDir = path.join(process.cwd(), 'src/data');
+            const templateTypes = await templateTypeRegistry.listTemplateTypes();
 
-            const defaultTemplates = {
-                conceptMentor: {
-                    file: 'conceptMentor.txt',
-                    description: 'Learning coach template with UbD principles',
-                    type: 'text'
-                },
-                assessmentPrompt: {
-                    file: 'assessmentPrompt.txt',
-                    description: 'Evaluation template for measuring conceptual understanding',
-                    type: 'text'
-                },
-                defaultTemplateValues: {
-                    file: 'defaultTemplateValues.txt',
-                    description: 'JSON configuration template with concept variables',
-                    type: 'json'
-                }
-            };
+            const describe = (type) => ({
+                description: type.description,
+                type: type.contentKind,
+                role: type.role,
+                filename: type.defaultFile
+            });
 
             if (templateType) {
-                if (!defaultTemplates[templateType]) {
+                const template = templateTypes.find(type => type.name === templateType);
+
+                if (!template) {
                     return res.status(400).json({
                         error: 'Invalid template type',
-                        message: `Template type must be one of: ${Object.keys(defaultTemplates).join(', ')}`
+                        message: `Template type must be one of: ${templateTypes.map(type => type.name).join(', ')}`
                     });
                 }
 
-                const template = defaultTemplates[templateType];
-                const filePath = path.join(baseDir, template.file);
+                const content = templateTypeRegistry.readDefaultContent(template);
 
-                if (!fs.existsSync(filePath)) {
+                if (content === null) {
                     return res.status(404).json({
                         error: 'Template file not found',
-                        message: `Default template file '${template.file}' not found`
+                        message: `Default template file '${template.defaultFile}' not found`
                     });
                 }
 
-                const content = fs.readFileSync(filePath, 'utf8');
+                const filePath = templateTypeRegistry.getDefaultFilePath(template);
+                const filename = template.defaultFile || `${template.name}.${template.contentKind === 'json' ? 'json' : 'txt'}`;
 
                 if (format === 'raw') {
                     return res.set({
-                        'Content-Type': template.type === 'json' ? 'application/json' : 'text/plain',
-                        'Content-Disposition': `attachment; filename="${template.file}"`
+                        'Content-Type': template.contentKind === 'json' ? 'application/json' : 'text/plain',
+                        'Content-Disposition': `attachment; filename="${filename}"`
                     }).send(content);
                 }
 
@@ -452,10 +1668,11 @@ class TemplateController {
                     data: {
                         templateType,
                         content,
-                        description: template.description,
-                        type: template.type,
-                        filename: template.file,
-                        lastModified: fs.statSync(filePath).mtime
+                        ...describe(template),
+                        filename,
+                        lastModified: template.defaultContent || !fs.existsSync(filePath)
+                            ? template.updatedAt || null
+                            : fs.statSync(filePath).mtime
                     }
                 });
             }
@@ -463,27 +1680,23 @@ class TemplateController {
             // Return all default templates
             const allTemplates = {};
 
-            for (const [type, template] of Object.entries(defaultTemplates)) {
-                const filePath = path.join(baseDir, template.file);
+            for (const template of templateTypes) {
+                const content = templateTypeRegistry.readDefaultContent(template);
 
-                if (fs.existsSync(filePath)) {
-                    const content = fs.readFileSync(filePath, 'utf8');
-                    const stats = fs.statSync(filePath);
+                if (content !== null) {
+                    const filePath = templateTypeRegistry.getDefaultFilePath(template);
+                    const stats = !template.defaultContent && filePath ? fs.statSync(filePath) : null;
 
-                    allTemplates[type] = {
+                    allTemplates[template.name] = {
                         content,
-                        description: template.description,
-                        type: template.type,
-                        filename: template.file,
-                        size: stats.size,
-                        lastModified: stats.mtime
+                        ...describe(template),
+                        size: stats ? stats.size : Buffer.byteLength(content, 'utf8'),
+                        lastModified: stats ? stats.mtime : template.updatedAt || null
                     };
                 } else {
-                    allTemplates[type] = {
-                        error: `File '${template.file}' not found`,
-                        description: template.description,
-                        type: template.type,
-                        filename: template.file
+                    allTemplates[template.name] = {
+                        error: `File '${template.defaultFile}' not found`,
+                        ...describe(template)
                     };
                 }
             }
@@ -493,7 +1706,7 @@ class TemplateController {
                 data: {
                     templates: allTemplates,
                     totalTemplates: Object.keys(allTemplates).length,
-                    availableTypes: Object.keys(defaultTemplates)
+                    availableTypes: templateTypes.map(type => type.name)
                 }
             });
 
@@ -527,31 +1740,25 @@ class TemplateController {
                 });
             }
 
-            const templateFiles = {
-                conceptMentor: 'conceptMentor.txt',
-                assessmentPrompt: 'assessmentPrompt.txt',
-                defaultTemplateValues: 'defaultTemplateValues.txt'
-            };
+            const typeConfig = await templateTypeRegistry.getTemplateType(templateType);
 
-            if (!templateFiles[templateType]) {
+            if (!typeConfig) {
+                const validTypes = await templateTypeRegistry.getTemplateTypeNames();
                 return res.status(400).json({
                     error: 'Invalid template type',
-                    message: `Template type must be one of: ${Object.keys(templateFiles).join(', ')}`
+                    message: `Template type must be one of: ${validTypes.join(', ')}`
                 });
             }
 
-            const baseDir = path.join(process.cwd(), 'src/data');
-            const filePath = path.join(baseDir, templateFiles[templateType]);
+            const defaultContent = templateTypeRegistry.readDefaultContent(typeConfig);
 
-            if (!fs.existsSync(filePath)) {
+            if (defaultContent === null) {
                 return res.status(404).json({
                     error: 'Default template file not found',
-                    message: `File '${templateFiles[templateType]}' not found`
+                    message: `File '${typeConfig.defaultFile}' not found`
                 });
             }
 
-            const defaultContent = fs.readFileSync(filePath, 'utf8');
-
             // Get database connection
             client = await pool.connect();
 
@@ -564,6 +1771,9 @@ class TemplateController {
                     [username, templateType]
                 );
 
+                // Types that require review get the default as a draft to submit; the live version stays
+                const publish = !typeConfig.requiresReview;
+
                 let nextVersion = 1;
                 if (existingResult.rows.length > 0) {
                     // User has existing templates, get next version number
@@ -573,40 +1783,45 @@ class TemplateController {
                     );
                     nextVersion = versionResult.rows[0].next_version;
 
-                    // Deactivate all existing versions
-                    await client.query(
-                        'UPDATE prompt_templates SET is_active = FALSE WHERE username = $1 AND template_type = $2',
-                        [username, templateType]
-                    );
-
-                    // Clean up old inactive versions to avoid constraint issues
-                    await client.query(
-                        'DELETE FROM prompt_templates WHERE username = $1 AND template_type = $2 AND is_active = FALSE AND version < $3',
-                        [username, templateType, nextVersion]
-                    );
+                    // Deactivate the current active version; previous versions are kept as history
+                    if (publish) {
+                        await client.query(
+                            'UPDATE prompt_templates SET is_active = FALSE WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
+                            [username, templateType]
+                        );
+                    }
                 }
 
                 // Insert new template with default content
                 const insertResult = await client.query(
-                    'INSERT INTO prompt_templates (username, template_type, content, version, is_active, created_at, updated_at) VALUES ($1, $2, $3, $4, TRUE, NOW(), NOW()) RETURNING id, version, created_at',
+                    publish
+                        ? `INSERT INTO prompt_templates (username, template_type, content, version, is_active, status, published_at, created_at, updated_at)
+                           VALUES ($1, $2, $3, $4, TRUE, 'published', NOW(), NOW(), NOW()) RETURNING id, version, status, created_at`
+                        : `INSERT INTO prompt_templates (username, template_type, content, version, is_active, status, created_at, updated_at)
+                           VALUES ($1, $2, $3, $4, FALSE, 'draft', NOW(), NOW()) RETURNING id, version, status, created_at`,
                     [username, templateType, defaultContent, nextVersion]
                 );
 
                 await client.query('COMMIT');
+                activeTemplateCache.invalidate({ username, templateType });
 
                 const newTemplate = insertResult.rows[0];
 
-                console.log(`✅ Template reset to default successfully: ${username}/${templateType} v${nextVersion}`);
+                console.log(`✅ Template reset to default ${publish ? 'successfully' : 'as a draft'}: ${username}/${templateType} v${nextVersion}`);
 
                 res.json({
                     success: true,
-                    message: `${templateType} template has been reset to default for user ${username}`,
+                    message: publish
+                        ? `${templateType} template has been reset to default for user ${username}`
+                        : `Default ${templateType} saved as draft v${newTemplate.version} for user ${username}. Submit it for review to make it live.`,
                     data: {
                         username,
                         templateType,
                         defaultContent,
-                        action: 'reset_completed',
+                        action: publish ? 'reset_completed' : 'draft_created',
                         newVersion: newTemplate.version,
+                        status: newTemplate.status,
+                        requiresReview: typeConfig.requiresReview,
                         templateId: newTemplate.id,
                         createdAt: newTemplate.created_at
                     }
@@ -652,7 +1867,21 @@ class TemplateController {
     // Process prompt (updated to handle empty userInput)
     async processPrompt(req, res, next) {
         try {
-            const { username, promptType, llmProvider = 'default', userInput } = req.body;
+            const {
+                username,
+                promptType,
+                llmProvider,
+                strictProvider,
+                userInput,
+                conceptId,
+                variables,
+                label,
+                chat_id,
+                history,
+                historyMode,
+                transcript,
+                outputFormat = 'messages'
+            } = req.body;
 
             if (!username || !promptType) {
                 return res.status(400).json({
@@ -660,129 +1889,92 @@ class TemplateController {
                 });
             }
 
-            const processedUserInput = userInput || '';
-            const baseDir = path.join(process.cwd(), 'src/data');
-
-            // Load prompt template structure
-            const promptTemplatePath = path.join(baseDir, 'promptTemplate.json');
-            if (!fs.existsSync(promptTemplatePath)) {
-                return res.status(404).json({
-                    error: `'promptTemplate.json' not found.`
+            if (outputFormat !== 'messages' && !providerFormats.getFormat(outputFormat)) {
+                return res.status(400).json({
+                    error: 'Invalid outputFormat',
+                    message: `Unknown outputFormat '${outputFormat}'. Must be one of: messages, ${providerFormats.listFormats().join(', ')}.`
                 });
             }
-            const promptTemplate = JSON.parse(fs.readFileSync(promptTemplatePath, 'utf8'));
-
-            // Step 1: Try to get user-specific template for this promptType from database
-            let systemContentTemplate;
-            let templateSource = 'file'; // Track where the template came from
-
-            try {
-                const dbResult = await pool.query(
-                    'SELECT content FROM prompt_templates WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
-                    [username, promptType]
-                );
-
-                if (dbResult.rows.length > 0) {
-                    // Found user-specific template in database
-                    systemContentTemplate = dbResult.rows[0].content;
-                    templateSource = 'database';
-                    console.log(`✅ Using database template for user: ${username}, type: ${promptType}`);
-                } else {
-                    throw new Error('No user-specific template found in database');
-                }
-            } catch (dbError) {
-                // Fallback to default file system template
-                console.log(`ℹ️  No database template found for user ${username}, type ${promptType}. Using default template.`);
-
-                let systemContentPath;
-                if (promptType === 'conceptMentor') {
-                    systemContentPath = path.join(baseDir, 'conceptMentor.txt');
-                } else if (promptType === 'assessmentPrompt') {
-                    systemContentPath = path.join(baseDir, 'assessmentPrompt.txt');
-                } else {
-                    return res.status(400).json({
-                        error: `Invalid promptType '${promptType}'. Must be 'conceptMentor' or 'assessmentPrompt'.`
-                    });
-                }
-
-                if (!fs.existsSync(systemContentPath)) {
-                    return res.status(404).json({
-                        error: `Default template file '${systemContentPath}' not found.`
-                    });
-                }
-
-                systemContentTemplate = fs.readFileSync(systemContentPath, 'utf8');
-                templateSource = 'file';
-            }
 
-            // Step 2: Get template variables (defaultTemplateValues)
-            // Always try database first for template variables, then fallback to file
-            let userVariables;
-            try {
-                const dbResult = await pool.query(
-                    'SELECT content FROM prompt_templates WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
-                    [username, 'defaultTemplateValues']
-                );
-
-                if (dbResult.rows.length > 0) {
-                    userVariables = JSON.parse(dbResult.rows[0].content);
-                    console.log(`✅ Using database template values for user: ${username}`);
-                } else {
-                    throw new Error('No database template values found');
-                }
-            } catch (dbError) {
-                console.log(`ℹ️  No database template values found for user ${username}. Using default values.`);
+            const prompt = await buildPrompt({
+                username,
+                promptType,
+                llmProvider,
+                strictProvider,
+                userInput,
+                conceptId,
+                variables,
+                label,
+                chatId: chat_id,
+                history,
+                historyMode,
+                transcriptOptions: transcript,
+                assignExperiment: true
+            });
 
-                // Fallback to default template values
-                const defaultTemplatePath = path.join(baseDir, 'defaultTemplateValues.txt');
-                if (!fs.existsSync(defaultTemplatePath)) {
-                    return res.status(404).json({
-                        error: `Default template values not found at '${defaultTemplatePath}'.`
-                    });
-                }
-                userVariables = JSON.parse(fs.readFileSync(defaultTemplatePath, 'utf8'));
+            if (prompt.tokens.overflow) {
+                return res.status(413).json({
+                    error: 'Prompt too large',
+                    message: `The prompt is about ${prompt.tokens.total} tokens but ${prompt.llmConfig.model} has a ${prompt.tokens.contextWindow}-token context window`,
+                    tokens: prompt.tokens
+                });
             }
 
-            // Step 3: Replace placeholders in the system content
-            const systemContent = replacePlaceholders(systemContentTemplate, userVariables);
-
-            // Step 4: Load LLM config
-            const llmConfigPath = path.join(baseDir, 'llmConfigs.json');
-            if (!fs.existsSync(llmConfigPath)) {
-                return res.status(404).json({
-                    error: `LLM config 'llmConfigs.json' not found.`
-                });
+            if (prompt.tokens.warning) {
+                console.log(`⚠️  ${username}/${promptType}: ${prompt.tokens.warning}`);
             }
-            const llmConfigs = JSON.parse(fs.readFileSync(llmConfigPath, 'utf8'));
-            const llmConfig = llmConfigs[llmProvider.toLowerCase()] || llmConfigs.default;
 
-            // Step 5: Build final messages
-            const finalMessages = promptTemplate.map(item => {
-                if (item.role === 'system') {
-                    return { role: item.role, content: systemContent };
-                }
-                if (item.role === 'user') {
-                    return { role: item.role, content: processedUserInput };
+            // Ready-to-send body for the provider's API: { format, endpoint, body }
+            let providerRequest;
+            if (outputFormat !== 'messages') {
+                try {
+                    providerRequest = providerFormats.formatRequest(outputFormat, prompt.messages, prompt.llmConfig);
+                } catch (formatError) {
+                    // e.g. an empty conversation, or one starting with an assistant turn for anthropic
+                    if (formatError.status === 400) {
+                        return res.status(400).json({
+                            error: 'Invalid conversation',
+                            message: formatError.message
+                        });
+                    }
+                    throw formatError;
                 }
-                return item;
-            });
+            }
 
-            // Step 6: Return response with source information
+            // Return response with source information
             res.json({
                 success: true,
-                messages: finalMessages,
-                llmConfig,
-                templateSource: templateSource, // 'database' or 'file'
+                messages: prompt.messages,
+                llmConfig: prompt.llmConfig,
+                tokens: prompt.tokens, // estimated count, remaining context window and any warning
+                request: providerRequest,
+                templateSource: prompt.templateSource, // 'database', 'experiment' or 'file'
                 metadata: {
                     username,
                     promptType,
-                    llmProvider,
-                    userInputLength: processedUserInput.length,
-                    systemContentSource: templateSource === 'database' ? 'User Custom Template' : 'Default Template'
+                    llmProvider: prompt.llmProvider,
+                    llmProviderSource: prompt.llmProviderSource, // 'request', 'user' or 'default'
+                    outputFormat,
+                    label: prompt.templateLabel,
+                    templateVersion: prompt.templateVersion,
+                    // Send experiment.variantId as variant_id when saving the chat
+                    experiment: prompt.experiment,
+                    userInputLength: prompt.userInputLength,
+                    partials: prompt.partials,
+                    concept: prompt.concept,
+                    history: prompt.history,
+                    variableSources: prompt.variableSources,
+                    variableLayers: prompt.variableLayers,
+                    systemContentSource: prompt.templateSource === 'database'
+                        ? 'User Custom Template'
+                        : prompt.templateSource === 'experiment' ? 'Experiment Variant' : 'Default Template'
                 }
             });
 
         } catch (error) {
+            if (error instanceof PromptBuildError) {
+                return res.status(error.status).json(error.body);
+            }
             console.error('❌ Error processing prompt:', error);
             return res.status(500).json({
                 error: 'Server error processing prompt',
@@ -790,36 +1982,62 @@ class TemplateController {
             });
         }
     }
+
     // Add this method to your TemplateController class (before the closing bracket and module.exports)
 
-    // Update ALL users to latest defaultTemplateValues.txt
+    // Update ALL users to latest defaultTemplateValues default (stored content or file) with a three-way key merge.
+    // Keys a user never changed follow the new default; keys both sides changed are
+    // reported as conflicts. dryRun reports the per-user changes without saving.
     async updateAllUsersToLatestDefaults(req, res, next) {
         let client;
 
         try {
-            const { confirmUpdate = false } = req.body;
+            const { confirmUpdate = false, dryRun = false, previousDefault, onConflict = 'keepUser' } = req.body;
 
-            if (!confirmUpdate) {
+            if (!confirmUpdate && !dryRun) {
                 return res.status(400).json({
                     error: 'Confirmation required',
-                    message: 'Set confirmUpdate: true to update ALL users with latest defaultTemplateValues.txt',
+                    message: 'Set confirmUpdate: true to update ALL users with the latest defaultTemplateValues default, or dryRun: true to preview the changes',
                     warning: 'This will affect ALL users in the system'
                 });
             }
 
-            // Read the updated defaultTemplateValues.txt file
-            const baseDir = path.join(process.cwd(), 'src/data');
-            const filePath = path.join(baseDir, 'defaultTemplateValues.txt');
+            // The current default: content stored through /api/template-types, else the file
+            const typeConfig = await templateTypeRegistry.getTemplateType('defaultTemplateValues');
+            const updatedDefaultContent = typeConfig ? templateTypeRegistry.readDefaultContent(typeConfig) : null;
 
-            if (!fs.existsSync(filePath)) {
+            if (updatedDefaultContent === null) {
                 return res.status(404).json({
                     error: 'Default template file not found',
-                    message: 'defaultTemplateValues.txt not found in src/data directory'
+                    message: typeConfig
+                        ? `No default content stored and '${typeConfig.defaultFile}' not found`
+                        : 'The defaultTemplateValues template type is not registered'
+                });
+            }
+
+            // The update publishes straight to every user, which reviewed types do not allow
+            if (typeConfig.requiresReview && !dryRun) {
+                return res.status(409).json({
+                    error: 'Review required',
+                    message: 'defaultTemplateValues versions must be approved by a reviewer before publishing, so the default cannot be pushed to all users'
                 });
             }
 
-            const updatedDefaultContent = fs.readFileSync(filePath, 'utf8');
-            console.log(`📄 Loaded updated defaultTemplateValues.txt (${updatedDefaultContent.length} characters)`);
+            console.log(`📄 Loaded default defaultTemplateValues (${updatedDefaultContent.length} characters, ${typeConfig.defaultContent ? 'stored' : 'file'})`);
+
+            let latestValues;
+            let requestBase = null;
+            try {
+                latestValues = JSON.parse(updatedDefaultContent);
+                if (previousDefault !== undefined) {
+                    requestBase = typeof previousDefault === 'string' ? JSON.parse(previousDefault) : previousDefault;
+                }
+            } catch (parseError) {
+                return res.status(400).json({
+                    error: 'Invalid content',
+                    message: `Default template values must be valid JSON: ${parseError.message}`
+                });
+            }
 
             // Get database connection
             client = await pool.connect();
@@ -827,8 +2045,23 @@ class TemplateController {
             try {
                 await client.query('BEGIN');
 
+                // Base for the merge: previousDefault from the request, then the default
+                // applied by the last rollout, then each user's first version
+                let sharedBase = requestBase;
+                let sharedBaseSource = requestBase ? 'request' : null;
+                if (!sharedBase) {
+                    const snapshotResult = await client.query(
+                        'SELECT content FROM template_default_snapshots WHERE template_type = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+                        ['defaultTemplateValues']
+                    );
+                    if (snapshotResult.rows.length > 0) {
+                        sharedBase = JSON.parse(snapshotResult.rows[0].content);
+                        sharedBaseSource = 'snapshot';
+                    }
+                }
+
                 // Get ALL unique users who have any templates
-                const allUsersResult = await pool.query(
+                const allUsersResult = await client.query(
                     'SELECT DISTINCT username FROM prompt_templates ORDER BY username'
                 );
 
@@ -840,55 +2073,103 @@ class TemplateController {
                     return res.json({
                         success: true,
                         message: 'No users found in the system',
-                        data: { updatedUsers: 0 }
+                        data: { updatedUsers: 0, dryRun }
                     });
                 }
 
                 let successCount = 0;
                 let errorCount = 0;
+                let conflictCount = 0;
                 const updateResults = [];
 
-                // Update each user
+                // Merge each user; a savepoint keeps one failure from aborting the others
                 for (const username of allUsernames) {
                     try {
-                        // Get next version number for defaultTemplateValues for this user
-                        const versionResult = await client.query(
-                            'SELECT COALESCE(MAX(version), 0) + 1 as next_version FROM prompt_templates WHERE username = $1 AND template_type = $2',
-                            [username, 'defaultTemplateValues']
-                        );
-                        const nextVersion = versionResult.rows[0].next_version;
-
-                        // Clean up old inactive versions to avoid constraint issues
-                        await client.query(
-                            'DELETE FROM prompt_templates WHERE username = $1 AND template_type = $2 AND is_active = FALSE',
-                            [username, 'defaultTemplateValues']
-                        );
+                        await client.query('SAVEPOINT user_update');
 
-                        // Deactivate current active defaultTemplateValues version (if exists)
-                        await client.query(
-                            'UPDATE prompt_templates SET is_active = FALSE WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
+                        const currentResult = await client.query(
+                            'SELECT content, version FROM prompt_templates WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
                             [username, 'defaultTemplateValues']
                         );
 
-                        // Insert new version with updated default content
-                        const insertResult = await client.query(
-                            'INSERT INTO prompt_templates (username, template_type, content, version, is_active, created_at, updated_at) VALUES ($1, $2, $3, $4, TRUE, NOW(), NOW()) RETURNING id, version',
-                            [username, 'defaultTemplateValues', updatedDefaultContent, nextVersion]
-                        );
+                        let newContent = updatedDefaultContent;
+                        let merge = { updated: [], added: [], removed: [], conflicts: [] };
+                        let baseSource = null;
+                        let action = 'created';
+
+                        if (currentResult.rows.length > 0) {
+                            const userValues = JSON.parse(currentResult.rows[0].content);
+
+                            let base = sharedBase;
+                            baseSource = sharedBaseSource;
+                            if (!base) {
+                                const firstResult = await client.query(
+                                    'SELECT content FROM prompt_templates WHERE username = $1 AND template_type = $2 ORDER BY version ASC LIMIT 1',
+                                    [username, 'defaultTemplateValues']
+                                );
+                                base = JSON.parse(firstResult.rows[0].content);
+                                baseSource = 'firstVersion';
+                            }
+
+                            merge = mergeJsonKeys(base, latestValues, userValues, { onConflict });
+                            newContent = JSON.stringify(merge.merged, null, 2);
+                            action = JSON.stringify(merge.merged) === JSON.stringify(userValues) ? 'unchanged' : 'updated';
+                        } else {
+                            merge.added = Object.keys(latestValues).map(key => ({ key, value: latestValues[key] }));
+                        }
+
+                        let newVersion = null;
+                        let templateId = null;
+
+                        if (!dryRun && action !== 'unchanged') {
+                            // Get next version number for defaultTemplateValues for this user
+                            const versionResult = await client.query(
+                                'SELECT COALESCE(MAX(version), 0) + 1 as next_version FROM prompt_templates WHERE username = $1 AND template_type = $2',
+                                [username, 'defaultTemplateValues']
+                            );
+                            const nextVersion = versionResult.rows[0].next_version;
+
+                            // Deactivate current active defaultTemplateValues version (if exists)
+                            await client.query(
+                                'UPDATE prompt_templates SET is_active = FALSE WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
+                                [username, 'defaultTemplateValues']
+                            );
+
+                            // Insert new version with the merged content
+                            const insertResult = await client.query(
+                                `INSERT INTO prompt_templates (username, template_type, content, version, is_active, status, published_at, created_at, updated_at)
+                                 VALUES ($1, $2, $3, $4, TRUE, 'published', NOW(), NOW(), NOW()) RETURNING id, version`,
+                                [username, 'defaultTemplateValues', newContent, nextVersion]
+                            );
+
+                            newVersion = insertResult.rows[0].version;
+                            templateId = insertResult.rows[0].id;
+                            console.log(`✅ ${action === 'created' ? 'Created' : 'Updated'} ${username} defaultTemplateValues v${newVersion}`);
+                        }
+
+                        await client.query('RELEASE SAVEPOINT user_update');
 
                         updateResults.push({
                             username,
                             success: true,
-                            newVersion: insertResult.rows[0].version,
-                            templateId: insertResult.rows[0].id,
-                            action: nextVersion === 1 ? 'created' : 'updated'
+                            action,
+                            newVersion,
+                            templateId,
+                            baseSource,
+                            changes: {
+                                updated: merge.updated,
+                                added: merge.added,
+                                removed: merge.removed
+                            },
+                            conflicts: merge.conflicts
                         });
 
                         successCount++;
-                        console.log(`✅ ${nextVersion === 1 ? 'Created' : 'Updated'} ${username} defaultTemplateValues v${nextVersion}`);
+                        conflictCount += merge.conflicts.length > 0 ? 1 : 0;
 
                     } catch (userError) {
                         console.error(`❌ Failed to update user ${username}:`, userError);
+                        await client.query('ROLLBACK TO SAVEPOINT user_update');
                         updateResults.push({
                             username,
                             success: false,
@@ -898,17 +2179,37 @@ class TemplateController {
                     }
                 }
 
-                await client.query('COMMIT');
+                if (dryRun) {
+                    await client.query('ROLLBACK');
+                } else {
+                    // Record the applied default as the base for the next rollout
+                    await client.query(
+                        'INSERT INTO template_default_snapshots (template_type, content) VALUES ($1, $2)',
+                        ['defaultTemplateValues', updatedDefaultContent]
+                    );
+                    await client.query('COMMIT');
+                    activeTemplateCache.invalidate({ templateType: 'defaultTemplateValues' });
+                }
+
+                const countAction = action => updateResults.filter(result => result.action === action).length;
 
                 // Success response
                 res.json({
                     success: successCount > 0,
-                    message: `✅ Bulk update completed! Updated ${successCount} users with latest defaultTemplateValues.txt`,
+                    message: dryRun
+                        ? `🔍 Dry run: ${countAction('updated') + countAction('created')} users would change, ${conflictCount} with conflicts`
+                        : `✅ Bulk update completed! Merged the latest defaultTemplateValues default into ${successCount} users`,
                     data: {
                         templateType: 'defaultTemplateValues',
+                        dryRun,
+                        onConflict,
                         totalUsers: allUsernames.length,
                         successfulUpdates: successCount,
                         failedUpdates: errorCount,
+                        created: countAction('created'),
+                        updated: countAction('updated'),
+                        unchanged: countAction('unchanged'),
+                        usersWithConflicts: conflictCount,
                         newContentPreview: updatedDefaultContent.substring(0, 200) + '...',
                         updateResults: updateResults
                     },
@@ -929,7 +2230,7 @@ class TemplateController {
 
             return res.status(500).json({
                 error: 'Server error',
-                message: 'Failed to update all users with latest defaultTemplateValues.txt',
+                message: 'Failed to update all users with the latest defaultTemplateValues default',
                 details: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
 
@@ -0,0 +1,156 @@
+// src/controllers/templateLabelController.js - Movable named labels (stable, beta, ...) on template versions
+const { pool } = require('../config/database');
+
+function formatLabel(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        templateType: row.template_type,
+        label: row.label,
+        version: row.version,
+        status: row.status,
+        isActive: row.is_active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+class TemplateLabelController {
+    // Labels a user has set, optionally for one template type
+    async listLabels(req, res, next) {
+        try {
+            const { username, templateType } = req.query;
+
+            const params = [username];
+            let typeFilter = '';
+            if (templateType) {
+                params.push(templateType);
+                typeFilter = 'AND tl.template_type = $2';
+            }
+
+            const result = await pool.query(
+                `SELECT tl.*, pt.status, pt.is_active
+                 FROM template_labels tl
+                 JOIN prompt_templates pt
+                    ON pt.username = tl.username AND pt.template_type = tl.template_type AND pt.version = tl.version
+                 WHERE tl.username = $1 ${typeFilter}
+                 ORDER BY tl.template_type, tl.label`,
+                params
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    username,
+                    labels: result.rows.map(formatLabel)
+                }
+            });
+
+        } catch (error) {
+            console.error('Error listing template labels:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to list template labels'
+            });
+        }
+    }
+
+    // Point a label at a version, moving it if it already exists
+    async setLabel(req, res, next) {
+        try {
+            const { username, templateType, label, version } = req.body;
+
+            const versionResult = await pool.query(
+                'SELECT status, is_active FROM prompt_templates WHERE username = $1 AND template_type = $2 AND version = $3',
+                [username, templateType, version]
+            );
+
+            if (versionResult.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Template version not found',
+                    message: `No version ${version} of ${templateType} for user ${username}`
+                });
+            }
+
+            // Labels are served by processPrompt, which only ever uses published versions
+            if (versionResult.rows[0].status !== 'published') {
+                return res.status(409).json({
+                    error: 'Version not published',
+                    message: `Version ${version} of ${templateType} is ${versionResult.rows[0].status}. Publish it before labelling it.`
+                });
+            }
+
+            const result = await pool.query(
+                `WITH previous AS (
+                    SELECT version FROM template_labels WHERE username = $1 AND template_type = $2 AND label = $3
+                 )
+                 INSERT INTO template_labels (username, template_type, label, version)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (username, template_type, label)
+                 DO UPDATE SET version = EXCLUDED.version
+                 RETURNING *, (SELECT version FROM previous) AS previous_version`,
+                [username, templateType, label, version]
+            );
+
+            const row = result.rows[0];
+            const moved = row.previous_version !== null && row.previous_version !== undefined;
+
+            console.log(`🏷️  ${username}/${templateType} '${label}' -> v${version}${moved ? ` (was v${row.previous_version})` : ''}`);
+
+            res.status(moved ? 200 : 201).json({
+                success: true,
+                message: moved
+                    ? `Label '${label}' moved from version ${row.previous_version} to ${version}`
+                    : `Label '${label}' set on version ${version}`,
+                data: {
+                    ...formatLabel({ ...row, ...versionResult.rows[0] }),
+                    previousVersion: moved ? row.previous_version : null
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Error setting template label:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to set template label',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Remove a label
+    async deleteLabel(req, res, next) {
+        try {
+            const { username, templateType, label } = req.body;
+
+            const result = await pool.query(
+                `DELETE FROM template_labels
+                 WHERE username = $1 AND template_type = $2 AND label = $3
+                 RETURNING *`,
+                [username, templateType, label]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Label not found',
+                    message: `${username} has no '${label}' label on ${templateType}`
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `Label '${label}' removed from ${templateType}`,
+                data: { label: formatLabel(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('❌ Error removing template label:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to remove template label'
+            });
+        }
+    }
+}
+
+module.exports = new TemplateLabelController();
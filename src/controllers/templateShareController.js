@@ -0,0 +1,194 @@
+// src/controllers/templateShareController.js - Read-only template sharing between users
+const { pool } = require('../config/database');
+
+function formatShare(row) {
+    return {
+        id: row.id,
+        owner: row.owner_username,
+        templateType: row.template_type,
+        grantee: row.grantee_username,
+        permission: row.permission,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+class TemplateShareController {
+    // Grant users the right to view (or view and fork) one of the owner's templates
+    async createShare(req, res, next) {
+        try {
+            const { username, templateType, grantees, permission = 'view' } = req.body;
+
+            if (grantees.includes(username)) {
+                return res.status(400).json({
+                    error: 'Invalid share',
+                    message: 'A template cannot be shared with its owner'
+                });
+            }
+
+            const ownedResult = await pool.query(
+                'SELECT 1 FROM prompt_templates WHERE username = $1 AND template_type = $2 LIMIT 1',
+                [username, templateType]
+            );
+
+            if (ownedResult.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Template not found',
+                    message: `${username} has no ${templateType} template to share`
+                });
+            }
+
+            // Re-sharing with someone updates their permission
+            const result = await pool.query(
+                `INSERT INTO template_shares (owner_username, template_type, grantee_username, permission)
+                 SELECT $1, $2, unnest($3::varchar[]), $4
+                 ON CONFLICT (owner_username, template_type, grantee_username)
+                 DO UPDATE SET permission = EXCLUDED.permission
+                 RETURNING *`,
+                [username, templateType, grantees, permission]
+            );
+
+            console.log(`🤝 ${username} shared ${templateType} with ${grantees.join(', ')} (${permission})`);
+
+            res.status(201).json({
+                success: true,
+                message: `${templateType} shared with ${grantees.length} users`,
+                data: { shares: result.rows.map(formatShare) }
+            });
+
+        } catch (error) {
+            console.error('❌ Error sharing template:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to share template',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Shares a user granted and shares granted to them
+    async listShares(req, res, next) {
+        try {
+            const { username } = req.query;
+
+            const grantedResult = await pool.query(
+                'SELECT * FROM template_shares WHERE owner_username = $1 ORDER BY template_type, grantee_username',
+                [username]
+            );
+            const receivedResult = await pool.query(
+                'SELECT * FROM template_shares WHERE grantee_username = $1 ORDER BY owner_username, template_type',
+                [username]
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    username,
+                    sharedByMe: grantedResult.rows.map(formatShare),
+                    sharedWithMe: receivedResult.rows.map(formatShare)
+                }
+            });
+
+        } catch (error) {
+            console.error('Error listing shares:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to list shares'
+            });
+        }
+    }
+
+    // Revoke a share
+    async deleteShare(req, res, next) {
+        try {
+            const { username, templateType, grantee } = req.body;
+
+            const result = await pool.query(
+                `DELETE FROM template_shares
+                 WHERE owner_username = $1 AND template_type = $2 AND grantee_username = $3
+                 RETURNING *`,
+                [username, templateType, grantee]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Share not found',
+                    message: `${templateType} of ${username} is not shared with ${grantee}`
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `Stopped sharing ${templateType} with ${grantee}`,
+                data: { share: formatShare(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('❌ Error revoking share:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to revoke share'
+            });
+        }
+    }
+
+    // Read a template someone shared with the user (active version unless one is given).
+    // Only published versions are shared; the owner's drafts and versions in review stay private.
+    async viewSharedTemplate(req, res, next) {
+        try {
+            const { username, owner, templateType, version } = req.query;
+
+            const shareResult = await pool.query(
+                'SELECT permission FROM template_shares WHERE owner_username = $1 AND template_type = $2 AND grantee_username = $3',
+                [owner, templateType, username]
+            );
+
+            if (shareResult.rows.length === 0) {
+                return res.status(403).json({
+                    error: 'Not shared',
+                    message: `${owner} has not shared ${templateType} with ${username}`
+                });
+            }
+
+            const result = await pool.query(
+                `SELECT version, content, is_active, created_at, updated_at
+                 FROM prompt_templates
+                 WHERE username = $1 AND template_type = $2 AND status = 'published' AND ${version ? 'version = $3' : 'is_active = TRUE'}`,
+                version ? [owner, templateType, version] : [owner, templateType]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Template not found',
+                    message: version
+                        ? `${owner} has no published version ${version} of ${templateType}`
+                        : `${owner} has no active ${templateType}`
+                });
+            }
+
+            const template = result.rows[0];
+            res.json({
+                success: true,
+                data: {
+                    owner,
+                    templateType,
+                    permission: shareResult.rows[0].permission,
+                    version: template.version,
+                    isActive: template.is_active,
+                    content: template.content,
+                    createdAt: template.created_at,
+                    updatedAt: template.updated_at
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching shared template:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to fetch shared template'
+            });
+        }
+    }
+}
+
+module.exports = new TemplateShareController();
@@ -0,0 +1,285 @@
+// src/controllers/templateTypeController.js - Admin CRUD for the template type registry
+const { pool } = require('../config/database');
+const fs = require('fs');
+const templateTypeRegistry = require('../services/templateTypeRegistry');
+
+const BUILT_IN_NAMES = templateTypeRegistry.BUILT_IN_TEMPLATE_TYPES.map(type => type.name);
+
+function formatTemplateType(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        defaultFile: row.default_file,
+        hasDefaultContent: Boolean(row.default_content),
+        contentKind: row.content_kind,
+        role: row.role,
+        description: row.description,
+        requiresReview: Boolean(row.requires_review),
+        isActive: row.is_active,
+        builtIn: BUILT_IN_NAMES.includes(row.name),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Check a type definition is usable; returns an error message or null
+function checkTypeDefinition({ name, defaultFile, defaultContent, contentKind, role }) {
+    if (!defaultFile && !defaultContent) {
+        return 'Either defaultFile or defaultContent is required';
+    }
+
+    if (role === 'variables' && contentKind !== 'json') {
+        return 'Variables documents must have contentKind json';
+    }
+
+    if (role === 'partial' && contentKind !== 'text') {
+        return 'Partials must have contentKind text';
+    }
+
+    if (!defaultContent) {
+        const filePath = templateTypeRegistry.getDefaultFilePath({ defaultFile });
+        if (!fs.existsSync(filePath)) {
+            return `Default file '${defaultFile}' not found in src/data`;
+        }
+    }
+
+    if (defaultContent && contentKind === 'json') {
+        try {
+            JSON.parse(defaultContent);
+        } catch (parseError) {
+            return `defaultContent for ${name} must be valid JSON: ${parseError.message}`;
+        }
+    }
+
+    return null;
+}
+
+class TemplateTypeController {
+    // List registered template types
+    async listTemplateTypes(req, res, next) {
+        try {
+            const { includeInactive } = req.query;
+
+            const result = await pool.query(
+                `SELECT * FROM template_types
+                 ${includeInactive === 'true' ? '' : 'WHERE is_active = TRUE'}
+                 ORDER BY id`
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    templateTypes: result.rows.map(formatTemplateType),
+                    total: result.rows.length
+                }
+            });
+
+        } catch (error) {
+            console.error('Error listing template types:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to list template types'
+            });
+        }
+    }
+
+    // Get a single template type
+    async getTemplateType(req, res, next) {
+        try {
+            const { name } = req.params;
+
+            const result = await pool.query(
+                'SELECT * FROM template_types WHERE name = $1',
+                [name]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Template type not found',
+                    message: `No template type named '${name}'`
+                });
+            }
+
+            const templateType = formatTemplateType(result.rows[0]);
+            templateType.defaultContent = result.rows[0].default_content;
+
+            res.json({
+                success: true,
+                data: { templateType }
+            });
+
+        } catch (error) {
+            console.error('Error fetching template type:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to fetch template type'
+            });
+        }
+    }
+
+    // Register a new template type
+    async createTemplateType(req, res, next) {
+        try {
+            const { name, defaultFile = null, defaultContent = null, contentKind, role, description = null, requiresReview = false } = req.body;
+
+            const definitionError = checkTypeDefinition({ name, defaultFile, defaultContent, contentKind, role });
+            if (definitionError) {
+                return res.status(400).json({
+                    error: 'Invalid template type',
+                    message: definitionError
+                });
+            }
+
+            const result = await pool.query(
+                `INSERT INTO template_types (name, default_file, default_content, content_kind, role, description, requires_review)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 RETURNING *`,
+                [name, defaultFile, defaultContent, contentKind, role, description, requiresReview]
+            );
+
+            templateTypeRegistry.invalidate();
+
+            console.log(`✅ Template type registered: ${name} (${role}, ${contentKind})`);
+
+            res.status(201).json({
+                success: true,
+                message: `Template type ${name} created successfully`,
+                data: { templateType: formatTemplateType(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('❌ Error creating template type:', error);
+
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    error: 'Template type already exists',
+                    message: `A template type named '${req.body.name}' already exists`
+                });
+            }
+
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to create template type',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Update a template type (name cannot change)
+    async updateTemplateType(req, res, next) {
+        try {
+            const { name } = req.params;
+
+            const existingResult = await pool.query(
+                'SELECT * FROM template_types WHERE name = $1',
+                [name]
+            );
+
+            if (existingResult.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Template type not found',
+                    message: `No template type named '${name}'`
+                });
+            }
+
+            const existing = existingResult.rows[0];
+            const updated = {
+                defaultFile: req.body.defaultFile !== undefined ? req.body.defaultFile : existing.default_file,
+                defaultContent: req.body.defaultContent !== undefined ? req.body.defaultContent : existing.default_content,
+                contentKind: req.body.contentKind || existing.content_kind,
+                role: req.body.role || existing.role,
+                description: req.body.description !== undefined ? req.body.description : existing.description,
+                requiresReview: req.body.requiresReview !== undefined ? req.body.requiresReview : Boolean(existing.requires_review),
+                isActive: req.body.isActive !== undefined ? req.body.isActive : existing.is_active
+            };
+
+            const definitionError = checkTypeDefinition({ name, ...updated });
+            if (definitionError) {
+                return res.status(400).json({
+                    error: 'Invalid template type',
+                    message: definitionError
+                });
+            }
+
+            const result = await pool.query(
+                `UPDATE template_types
+                 SET default_file = $1, default_content = $2, content_kind = $3, role = $4, description = $5, requires_review = $6, is_active = $7
+                 WHERE name = $8
+                 RETURNING *`,
+                [updated.defaultFile, updated.defaultContent, updated.contentKind, updated.role, updated.description, updated.requiresReview, updated.isActive, name]
+            );
+
+            templateTypeRegistry.invalidate();
+
+            res.json({
+                success: true,
+                message: `Template type ${name} updated successfully`,
+                data: { templateType: formatTemplateType(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('❌ Error updating template type:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to update template type',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Delete a template type that no stored template uses
+    async deleteTemplateType(req, res, next) {
+        try {
+            const { name } = req.params;
+
+            if (BUILT_IN_NAMES.includes(name)) {
+                return res.status(409).json({
+                    error: 'Built-in template type',
+                    message: `${name} is a built-in template type. Disable it with isActive: false instead.`
+                });
+            }
+
+            const usageResult = await pool.query(
+                'SELECT COUNT(*) as count FROM prompt_templates WHERE template_type = $1',
+                [name]
+            );
+            const usageCount = parseInt(usageResult.rows[0].count, 10);
+
+            if (usageCount > 0) {
+                return res.status(409).json({
+                    error: 'Template type in use',
+                    message: `${usageCount} stored templates use ${name}. Disable it with isActive: false instead.`
+                });
+            }
+
+            const result = await pool.query(
+                'DELETE FROM template_types WHERE name = $1 RETURNING id, name',
+                [name]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Template type not found',
+                    message: `No template type named '${name}'`
+                });
+            }
+
+            templateTypeRegistry.invalidate();
+
+            res.json({
+                success: true,
+                message: `Template type ${name} deleted`,
+                data: result.rows[0]
+            });
+
+        } catch (error) {
+            console.error('❌ Error deleting template type:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to delete template type'
+            });
+        }
+    }
+}
+
+module.exports = new TemplateTypeController();
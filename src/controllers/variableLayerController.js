@@ -0,0 +1,308 @@
+// src/controllers/variableLayerController.js - Organisation and cohort variable layers
+const { pool } = require('../config/database');
+
+function formatLayer(row) {
+    return {
+        id: row.id,
+        scope: row.scope,
+        name: row.name,
+        description: row.description,
+        variables: row.variables || {},
+        memberCount: row.member_count !== undefined ? parseInt(row.member_count, 10) : undefined,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+class VariableLayerController {
+    // List layers, optionally for one scope or one member
+    async listLayers(req, res, next) {
+        try {
+            const { scope, username } = req.query;
+
+            const conditions = [];
+            const params = [];
+
+            if (scope) {
+                params.push(scope);
+                conditions.push(`vl.scope = $${params.length}`);
+            }
+            if (username) {
+                params.push(username);
+                conditions.push(`EXISTS (SELECT 1 FROM variable_layer_members m WHERE m.layer_id = vl.id AND m.username = $${params.length})`);
+            }
+
+            const result = await pool.query(
+                `SELECT vl.*, (SELECT COUNT(*) FROM variable_layer_members m WHERE m.layer_id = vl.id) as member_count
+                 FROM variable_layers vl
+                 ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                 ORDER BY CASE vl.scope WHEN 'organization' THEN 0 ELSE 1 END, vl.name`,
+                params
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    layers: result.rows.map(formatLayer),
+                    total: result.rows.length
+                }
+            });
+
+        } catch (error) {
+            console.error('Error listing variable layers:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to list variable layers'
+            });
+        }
+    }
+
+    // Get a layer with its members
+    async getLayer(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const result = await pool.query(
+                'SELECT * FROM variable_layers WHERE id = $1',
+                [parseInt(id)]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Variable layer not found',
+                    message: `No variable layer with id ${id}`
+                });
+            }
+
+            const membersResult = await pool.query(
+                'SELECT username, created_at FROM variable_layer_members WHERE layer_id = $1 ORDER BY username',
+                [parseInt(id)]
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    layer: {
+                        ...formatLayer(result.rows[0]),
+                        members: membersResult.rows.map(row => ({ username: row.username, addedAt: row.created_at }))
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching variable layer:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to fetch variable layer'
+            });
+        }
+    }
+
+    // Create an organisation or cohort layer
+    async createLayer(req, res, next) {
+        try {
+            const { scope, name, description = null, variables = {} } = req.body;
+
+            const result = await pool.query(
+                `INSERT INTO variable_layers (scope, name, description, variables)
+                 VALUES ($1, $2, $3, $4)
+                 RETURNING *`,
+                [scope, name, description, JSON.stringify(variables)]
+            );
+
+            console.log(`✅ Variable layer created: ${scope}/${name} (ID: ${result.rows[0].id})`);
+
+            res.status(201).json({
+                success: true,
+                message: `Variable layer ${scope}/${name} created successfully`,
+                data: { layer: formatLayer(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('❌ Error creating variable layer:', error);
+
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    error: 'Variable layer already exists',
+                    message: `A ${req.body.scope} layer named '${req.body.name}' already exists`
+                });
+            }
+
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to create variable layer',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Update a layer; variables are merged key by key unless replaceVariables is set
+    async updateLayer(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { name, description, variables, replaceVariables = false } = req.body;
+
+            const existingResult = await pool.query(
+                'SELECT * FROM variable_layers WHERE id = $1',
+                [parseInt(id)]
+            );
+
+            if (existingResult.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Variable layer not found',
+                    message: `No variable layer with id ${id}`
+                });
+            }
+
+            const existing = existingResult.rows[0];
+            const mergedVariables = variables === undefined
+                ? existing.variables
+                : replaceVariables ? variables : { ...existing.variables, ...variables };
+
+            const result = await pool.query(
+                `UPDATE variable_layers
+                 SET name = $1, description = $2, variables = $3
+                 WHERE id = $4
+                 RETURNING *`,
+                [
+                    name !== undefined ? name : existing.name,
+                    description !== undefined ? description : existing.description,
+                    JSON.stringify(mergedVariables),
+                    parseInt(id)
+                ]
+            );
+
+            res.json({
+                success: true,
+                message: 'Variable layer updated successfully',
+                data: { layer: formatLayer(result.rows[0]) }
+            });
+
+        } catch (error) {
+            console.error('❌ Error updating variable layer:', error);
+
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    error: 'Variable layer already exists',
+                    message: `A layer named '${req.body.name}' already exists in this scope`
+                });
+            }
+
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to update variable layer',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Delete a layer and its memberships
+    async deleteLayer(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const result = await pool.query(
+                'DELETE FROM variable_layers WHERE id = $1 RETURNING id, scope, name',
+                [parseInt(id)]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Variable layer not found',
+                    message: `No variable layer with id ${id}`
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `Variable layer ${result.rows[0].scope}/${result.rows[0].name} deleted`,
+                data: result.rows[0]
+            });
+
+        } catch (error) {
+            console.error('❌ Error deleting variable layer:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to delete variable layer'
+            });
+        }
+    }
+
+    // Add users to a layer (existing members are left as they are)
+    async addMembers(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { usernames } = req.body;
+
+            const layerResult = await pool.query(
+                'SELECT id FROM variable_layers WHERE id = $1',
+                [parseInt(id)]
+            );
+
+            if (layerResult.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Variable layer not found',
+                    message: `No variable layer with id ${id}`
+                });
+            }
+
+            const result = await pool.query(
+                `INSERT INTO variable_layer_members (layer_id, username)
+                 SELECT $1, unnest($2::varchar[])
+                 ON CONFLICT DO NOTHING
+                 RETURNING username`,
+                [parseInt(id), usernames]
+            );
+
+            res.json({
+                success: true,
+                message: `Added ${result.rows.length} members`,
+                data: {
+                    added: result.rows.map(row => row.username),
+                    alreadyMembers: usernames.filter(username => !result.rows.some(row => row.username === username))
+                }
+            });
+
+        } catch (error) {
+            console.error('❌ Error adding variable layer members:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to add members',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Remove a user from a layer
+    async removeMember(req, res, next) {
+        try {
+            const { id, username } = req.params;
+
+            const result = await pool.query(
+                'DELETE FROM variable_layer_members WHERE layer_id = $1 AND username = $2 RETURNING username',
+                [parseInt(id), username]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Member not found',
+                    message: `${username} is not a member of variable layer ${id}`
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `${username} removed from variable layer ${id}`
+            });
+
+        } catch (error) {
+            console.error('❌ Error removing variable layer member:', error);
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to remove member'
+            });
+        }
+    }
+}
+
+module.exports = new VariableLayerController();
@@ -4,7 +4,8 @@ const corsOptions = {
     origin: true, // Allow all origins
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match'],
+    exposedHeaders: ['ETag']
 };
 
 module.exports = cors(corsOptions);
\ No newline at end of file
@@ -1,8 +1,11 @@
 // src/middleware/validation.js
 const Joi = require('joi');
+const templateTypeRegistry = require('../services/templateTypeRegistry');
 
-// Valid template types
-const VALID_TEMPLATE_TYPES = ['conceptMentor', 'assessmentPrompt', 'defaultTemplateValues'];
+// Template type names - registered types are checked against template_types by checkTemplateType
+const templateTypeName = Joi.string().pattern(/^[A-Za-z][A-Za-z0-9_]*$/).max(50).messages({
+    'string.pattern.base': 'Template type must start with a letter and contain only letters, digits and underscores'
+});
 
 // Template creation/update validation
 const templateSchema = Joi.object({
@@ -11,29 +14,184 @@ const templateSchema = Joi.object({
         'string.max': 'Username cannot exceed 255 characters',
         'any.required': 'Username is required'
     }),
-    templateType: Joi.string().valid(...VALID_TEMPLATE_TYPES).required().messages({
-        'any.only': `Template type must be one of: ${VALID_TEMPLATE_TYPES.join(', ')}`,
+    templateType: templateTypeName.required().messages({
         'any.required': 'Template type is required'
     }),
     content: Joi.string().min(1).max(1000000).required().messages({
         'string.empty': 'Content cannot be empty',
         'string.max': 'Content cannot exceed 1MB',
         'any.required': 'Content is required'
-    })
+    }),
+    // Optimistic concurrency: version the edit was based on (0 = no template yet)
+    expectedVersion: Joi.number().integer().min(0).optional(),
+    // Reject system prompts whose placeholders fail linting
+    strict: Joi.boolean().optional().default(false)
+});
+
+// Template lint validation
+const templateLintSchema = Joi.object({
+    username: Joi.string().min(1).max(255).optional(),
+    templateType: templateTypeName.required(),
+    content: Joi.string().allow('').max(1000000).required(),
+    variables: Joi.object().optional()
 });
 
+// Template preview validation - a stored version or inline content (default: active template)
+const templatePreviewSchema = Joi.object({
+    username: Joi.string().min(1).max(255).required(),
+    templateType: templateTypeName.required(),
+    version: Joi.number().integer().min(1).optional(),
+    content: Joi.string().allow('').max(1000000).optional(),
+    variables: Joi.object().optional(),
+    conceptId: Joi.number().integer().min(1).optional(),
+    llmProvider: Joi.string().min(1).max(50).optional(),
+    userInput: Joi.string().allow('').optional().default('')
+}).oxor('version', 'content');
+
 // Template query validation
 const templateQuerySchema = Joi.object({
     username: Joi.string().min(1).max(255).required(),
-    templateType: Joi.string().valid(...VALID_TEMPLATE_TYPES).required(),
+    templateType: templateTypeName.required(),
     version: Joi.number().integer().min(1).optional(),
     includeHistory: Joi.string().valid('true', 'false').optional()
 });
 
+// Template diff validation
+const templateDiffSchema = Joi.object({
+    username: Joi.string().min(1).max(255).required(),
+    templateType: templateTypeName.required(),
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1).required()
+});
+
+// Template bundle export / import validation
+const templateExportSchema = Joi.object({
+    username: Joi.string().min(1).max(255).required(),
+    templateType: templateTypeName.optional()
+});
+
+// Full-text search: q uses web search syntax ("exact phrase", or, -excluded)
+const templateSearchQuerySchema = Joi.object({
+    q: Joi.string().trim().min(1).max(200).required(),
+    username: Joi.string().min(1).max(255).optional(),
+    templateType: templateTypeName.optional(),
+    activeOnly: Joi.boolean().optional().default(false),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20),
+    offset: Joi.number().integer().min(0).optional().default(0)
+});
+
+const templateBundleSchema = Joi.object({
+    format: Joi.string().valid('tinymagiq-template-bundle').required(),
+    formatVersion: Joi.number().integer().valid(1).required(),
+    exportedAt: Joi.date().iso().optional(),
+    source: Joi.object({
+        username: Joi.string().max(255),
+        environment: Joi.string().max(50)
+    }).optional(),
+    templates: Joi.array().items(Joi.object({
+        templateType: templateTypeName.required(),
+        versions: Joi.array().items(Joi.object({
+            version: Joi.number().integer().min(1).required(),
+            content: Joi.string().min(1).max(1000000).required(),
+            isActive: Joi.boolean().required(),
+            status: Joi.string().valid('draft', 'in_review', 'published').optional(),
+            createdAt: Joi.date().iso().optional(),
+            updatedAt: Joi.date().iso().optional()
+        })).min(1).unique('version').required()
+    })).min(1).required()
+});
+
+const templateImportSchema = Joi.object({
+    username: Joi.string().min(1).max(255).required(),
+    bundle: templateBundleSchema.required(),
+    mode: Joi.string().valid('merge', 'replace').optional().default('merge'),
+    dryRun: Joi.boolean().optional().default(false)
+});
+
+// Template copy and sharing validation
+const templateCopySchema = Joi.object({
+    fromUsername: Joi.string().min(1).max(255).required(),
+    toUsername: Joi.string().min(1).max(255).required(),
+    templateType: templateTypeName.required(),
+    version: Joi.number().integer().min(1).optional()
+});
+
+const shareCreateSchema = Joi.object({
+    username: Joi.string().min(1).max(255).required(),
+    templateType: templateTypeName.required(),
+    grantees: Joi.array().items(Joi.string().min(1).max(255)).min(1).unique().required(),
+    permission: Joi.string().valid('view', 'fork').optional().default('view')
+});
+
+const shareListQuerySchema = Joi.object({
+    username: Joi.string().min(1).max(255).required()
+});
+
+const shareDeleteSchema = Joi.object({
+    username: Joi.string().min(1).max(255).required(),
+    templateType: templateTypeName.required(),
+    grantee: Joi.string().min(1).max(255).required()
+});
+
+const sharedTemplateQuerySchema = Joi.object({
+    username: Joi.string().min(1).max(255).required(),
+    owner: Joi.string().min(1).max(255).required(),
+    templateType: templateTypeName.required(),
+    version: Joi.number().integer().min(1).optional()
+});
+
+// Version label validation (e.g. stable, beta, experiment-b)
+const templateLabel = Joi.string().max(50).pattern(/^[a-z0-9][a-z0-9._-]*$/i).messages({
+    'string.pattern.base': 'label may only contain letters, digits, ".", "_" and "-"'
+});
+
+const labelSetSchema = Joi.object({
+    username: Joi.string().min(1).max(255).required(),
+    templateType: templateTypeName.required(),
+    label: templateLabel.required(),
+    version: Joi.number().integer().min(1).required()
+});
+
+const labelListQuerySchema = Joi.object({
+    username: Joi.string().min(1).max(255).required(),
+    templateType: templateTypeName.optional()
+});
+
+const labelDeleteSchema = Joi.object({
+    username: Joi.string().min(1).max(255).required(),
+    templateType: templateTypeName.required(),
+    label: templateLabel.required()
+});
+
+// Publishing workflow validation
+const templateSubmitSchema = Joi.object({
+    username: Joi.string().min(1).max(255).required(),
+    templateType: templateTypeName.required(),
+    version: Joi.number().integer().min(1).required(),
+    reviewer: Joi.string().min(1).max(255).optional()
+});
+
+const templateReviewSchema = Joi.object({
+    username: Joi.string().min(1).max(255).required(),
+    templateType: templateTypeName.required(),
+    version: Joi.number().integer().min(1).required(),
+    reviewer: Joi.string().min(1).max(255).required(),
+    decision: Joi.string().valid('approve', 'reject').required(),
+    comment: Joi.string().max(5000).allow('').optional()
+});
+
+const templatePublishSchema = Joi.object({
+    username: Joi.string().min(1).max(255).required(),
+    templateType: templateTypeName.required(),
+    version: Joi.number().integer().min(1).required()
+});
+
 // Template deletion validation
 const templateDeleteSchema = Joi.object({
     username: Joi.string().min(1).max(255).required(),
-    templateType: Joi.string().valid(...VALID_TEMPLATE_TYPES).required(),
+    templateType: templateTypeName.required(),
     version: Joi.number().integer().min(1).optional(),
     deleteAll: Joi.boolean().optional().default(false)
 });
@@ -41,27 +199,252 @@ const templateDeleteSchema = Joi.object({
 // Template restore validation
 const templateRestoreSchema = Joi.object({
     username: Joi.string().min(1).max(255).required(),
-    templateType: Joi.string().valid(...VALID_TEMPLATE_TYPES).required(),
-    version: Joi.number().integer().min(1).required()
+    templateType: templateTypeName.required(),
+    version: Joi.number().integer().min(1).required(),
+    expectedVersion: Joi.number().integer().min(0).optional()
 });
 
 // Prompt processing validation - FIXED with explicit empty string allowance
 const promptProcessSchema = Joi.object({
     username: Joi.string().min(1).max(255).required(),
-    promptType: Joi.string().valid(...VALID_TEMPLATE_TYPES).required(),
-    llmProvider: Joi.string().min(1).max(50).optional().default('default'),
-    userInput: Joi.string().allow('').optional().default('')  // Explicitly allow empty strings
+    promptType: templateTypeName.required(),
+    llmProvider: Joi.string().min(1).max(50).optional(),
+    // Reject unknown or disabled providers instead of falling back to 'default'
+    strictProvider: Joi.boolean().optional().default(false),
+    // 'messages' (default) or a provider API (openai, anthropic, groq, mistral) to get a ready-to-send body
+    outputFormat: Joi.string().min(1).max(50).lowercase().optional(),
+    userInput: Joi.string().allow('').optional().default(''),  // Explicitly allow empty strings
+    conceptId: Joi.number().integer().min(1).optional(),
+    // Use the version carrying this label instead of the active one
+    label: templateLabel.optional(),
+    // Per-request overrides, the highest variable layer
+    variables: Joi.object().optional(),
+    // Earlier turns, inserted between the system prompt and userInput
+    chat_id: Joi.number().integer().min(1).optional(),
+    history: Joi.array().items(Joi.object().unknown(true)).max(500).optional(),
+    // 'messages' replays the turns; 'transcript' fills {{CONVERSATION_TRANSCRIPT}}
+    historyMode: Joi.string().valid('messages', 'transcript').optional(),
+    transcript: Joi.object({
+        userLabel: Joi.string().min(1).max(50),
+        assistantLabel: Joi.string().min(1).max(50),
+        from: Joi.number().integer().min(1),
+        to: Joi.number().integer().min(1).when('from', { is: Joi.exist(), then: Joi.number().min(Joi.ref('from')) }),
+        last: Joi.number().integer().min(1)
+    }).without('last', ['from', 'to']).optional()
+}).oxor('chat_id', 'history');
+
+// Server-side completion: the processPrompt fields plus how to deliver and keep the reply
+const llmCompleteSchema = promptProcessSchema.keys({
+    outputFormat: Joi.forbidden(),
+    stream: Joi.boolean().optional().default(true),
+    // Append the user input and the reply to chat_id's conversation
+    saveToChat: Joi.boolean().optional().default(false),
+    chat_id: Joi.number().integer().min(1).when('saveToChat', { is: true, then: Joi.required() })
 });
 
 // Reset to default validation
 const resetDefaultSchema = Joi.object({
     username: Joi.string().min(1).max(255).required(),
-    templateType: Joi.string().valid(...VALID_TEMPLATE_TYPES).required(),
+    templateType: templateTypeName.required(),
     resetToDefault: Joi.boolean().valid(true).required().messages({
         'any.only': 'resetToDefault must be true to perform reset operation'
     })
 });
 
+// Bulk default rollout validation
+const updateAllUsersSchema = Joi.object({
+    confirmUpdate: Joi.boolean().optional().default(false),
+    dryRun: Joi.boolean().optional().default(false),
+    // Default the users' values were based on; defaults to the last rolled-out snapshot
+    previousDefault: Joi.alternatives().try(Joi.object(), Joi.string()).optional(),
+    onConflict: Joi.string().valid('keepUser', 'useDefault').optional().default('keepUser')
+});
+
+// Rollout validation - exactly one way of choosing users
+const rolloutCreateSchema = Joi.object({
+    templateType: templateTypeName.required(),
+    target: Joi.object({
+        usernames: Joi.array().items(Joi.string().min(1).max(255)).min(1),
+        pattern: Joi.string().min(1).max(255),
+        percentage: Joi.number().integer().min(1).max(100)
+    }).xor('usernames', 'pattern', 'percentage').required(),
+    dryRun: Joi.boolean().optional().default(false),
+    onConflict: Joi.string().valid('keepUser', 'useDefault').optional().default('keepUser'),
+    createdBy: Joi.string().min(1).max(255).optional()
+});
+
+const rolloutListQuerySchema = Joi.object({
+    templateType: templateTypeName.optional(),
+    limit: Joi.number().integer().min(1).max(100).optional().default(50),
+    offset: Joi.number().integer().min(0).optional().default(0)
+});
+
+const rolloutParamsSchema = Joi.object({
+    id: Joi.number().integer().min(1).required()
+});
+
+// Experiment validation - variants with owner + version serve that stored version,
+// variants without them are controls that keep the user's own template
+const experimentCreateSchema = Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    templateType: templateTypeName.required(),
+    description: Joi.string().max(2000).allow('', null).optional(),
+    variants: Joi.array().items(Joi.object({
+        name: Joi.string().min(1).max(50).required(),
+        owner: Joi.string().min(1).max(255),
+        version: Joi.number().integer().min(1),
+        weight: Joi.number().integer().min(1).max(10000).optional().default(1)
+    }).and('owner', 'version')).min(2).unique('name').required(),
+    createdBy: Joi.string().min(1).max(255).optional()
+});
+
+const experimentListQuerySchema = Joi.object({
+    templateType: templateTypeName.optional(),
+    status: Joi.string().valid('running', 'stopped').optional(),
+    limit: Joi.number().integer().min(1).max(100).optional().default(50),
+    offset: Joi.number().integer().min(0).optional().default(0)
+});
+
+const experimentParamsSchema = Joi.object({
+    id: Joi.number().integer().min(1).required()
+});
+
+// Template type registry validation
+const templateTypeFields = {
+    defaultFile: Joi.string().pattern(/^[\w-]+(\.[\w-]+)*$/).max(255).allow(null).messages({
+        'string.pattern.base': 'defaultFile must be a plain file name inside src/data'
+    }),
+    defaultContent: Joi.string().max(1000000).allow(null),
+    contentKind: Joi.string().valid('text', 'json'),
+    role: Joi.string().valid('system_prompt', 'variables', 'partial'),
+    description: Joi.string().max(1000).allow('', null),
+    requiresReview: Joi.boolean()
+};
+
+const templateTypeCreateSchema = Joi.object({
+    name: templateTypeName.required(),
+    ...templateTypeFields,
+    contentKind: templateTypeFields.contentKind.default('text'),
+    role: templateTypeFields.role.default('system_prompt')
+});
+
+const templateTypeUpdateSchema = Joi.object({
+    ...templateTypeFields,
+    isActive: Joi.boolean()
+}).min(1);
+
+const templateTypeParamsSchema = Joi.object({
+    name: templateTypeName.required()
+});
+
+// LLM provider config validation
+const llmConfigName = Joi.string().max(50).pattern(/^[a-z0-9][a-z0-9._-]*$/).invalid('preferences').messages({
+    'string.pattern.base': 'name may only contain lowercase letters, digits, ".", "_" and "-"'
+});
+
+const llmConfigFields = {
+    model: Joi.string().min(1).max(255),
+    temperature: Joi.number().min(0).max(2),
+    maxTokens: Joi.number().integer().min(1).max(1000000),
+    topP: Joi.number().greater(0).max(1),
+    contextWindow: Joi.number().integer().min(1).max(10000000).allow(null),
+    tokenizer: Joi.string().valid('openai', 'llama', 'mistral', 'generic').allow(null)
+};
+
+const llmConfigCreateSchema = Joi.object({
+    name: llmConfigName.required(),
+    ...llmConfigFields,
+    model: llmConfigFields.model.required(),
+    maxTokens: llmConfigFields.maxTokens.required(),
+    temperature: llmConfigFields.temperature.default(1),
+    topP: llmConfigFields.topP.default(1)
+});
+
+const llmConfigUpdateSchema = Joi.object({
+    ...llmConfigFields,
+    isActive: Joi.boolean()
+}).min(1);
+
+const llmConfigParamsSchema = Joi.object({
+    name: llmConfigName.required()
+});
+
+const llmPreferenceParamsSchema = Joi.object({
+    username: Joi.string().min(1).max(255).required()
+});
+
+const llmPreferenceSchema = Joi.object({
+    provider: Joi.string().min(1).max(50).required()
+});
+
+// Template variable documents (concepts, variable layers)
+const templateVariables = Joi.object().pattern(
+    /^[A-Z][A-Z0-9_]*$/,
+    Joi.alternatives().try(Joi.string().allow('').max(1000000), Joi.array().items(Joi.string()))
+).options({ stripUnknown: false }).messages({
+    'object.unknown': 'Variable names must be UPPER_SNAKE_CASE'
+});
+
+// Concept library validation
+const conceptCreateSchema = Joi.object({
+    name: Joi.string().min(1).max(255).required(),
+    description: Joi.string().max(1000).allow('', null).optional(),
+    variables: templateVariables.optional().default({}),
+    createdBy: Joi.string().min(1).max(255).optional()
+});
+
+const conceptUpdateSchema = Joi.object({
+    name: Joi.string().min(1).max(255),
+    description: Joi.string().max(1000).allow('', null),
+    variables: templateVariables,
+    replaceVariables: Joi.boolean().optional().default(false),
+    isActive: Joi.boolean()
+}).or('name', 'description', 'variables', 'isActive');
+
+const conceptParamsSchema = Joi.object({
+    id: Joi.number().integer().min(1).required()
+});
+
+const conceptListQuerySchema = Joi.object({
+    search: Joi.string().max(255).optional(),
+    includeInactive: Joi.boolean().optional().default(false),
+    limit: Joi.number().integer().min(1).max(100).optional().default(50),
+    offset: Joi.number().integer().min(0).optional().default(0)
+});
+
+// Variable layer validation
+const variableLayerCreateSchema = Joi.object({
+    scope: Joi.string().valid('organization', 'cohort').required(),
+    name: Joi.string().min(1).max(255).required(),
+    description: Joi.string().max(1000).allow('', null).optional(),
+    variables: templateVariables.optional().default({})
+});
+
+const variableLayerUpdateSchema = Joi.object({
+    name: Joi.string().min(1).max(255),
+    description: Joi.string().max(1000).allow('', null),
+    variables: templateVariables,
+    replaceVariables: Joi.boolean().optional().default(false)
+}).or('name', 'description', 'variables');
+
+const variableLayerParamsSchema = Joi.object({
+    id: Joi.number().integer().min(1).required()
+});
+
+const variableLayerListQuerySchema = Joi.object({
+    scope: Joi.string().valid('organization', 'cohort').optional(),
+    username: Joi.string().min(1).max(255).optional()
+});
+
+const variableLayerMembersSchema = Joi.object({
+    usernames: Joi.array().items(Joi.string().min(1).max(255)).min(1).unique().required()
+});
+
+const variableLayerMemberParamsSchema = Joi.object({
+    id: Joi.number().integer().min(1).required(),
+    username: Joi.string().min(1).max(255).required()
+});
+
 // Chat validation schemas
 const chatCreateSchema = Joi.object({
     user_id: Joi.string().min(1).max(255).required().messages({
@@ -128,13 +511,103 @@ const validate = (schema, source = 'body') => {
     };
 };
 
+// Registry check for a template type field, run after the Joi schema.
+// `role` (one role or a list) restricts the check, e.g. to system prompts.
+const checkTemplateType = (field = 'templateType', source = 'body', role = null) => {
+    const roles = role ? [].concat(role) : null;
+
+    return async (req, res, next) => {
+        const data = source === 'query' ? req.query : req.body;
+        const value = data[field];
+
+        if (!value) {
+            return next();
+        }
+
+        try {
+            const types = await templateTypeRegistry.listTemplateTypes();
+            const validTypes = types
+                .filter(type => !roles || roles.includes(type.role))
+                .map(type => type.name);
+
+            if (!validTypes.includes(value)) {
+                const message = `${field} must be one of: ${validTypes.join(', ')}`;
+                return res.status(400).json({
+                    error: 'Validation error',
+                    details: [{ field, message, value }],
+                    message
+                });
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
 // Specific validation middlewares
-const validateTemplate = validate(templateSchema);
-const validateTemplateQuery = validate(templateQuerySchema, 'query');
-const validateTemplateDelete = validate(templateDeleteSchema);
-const validateTemplateRestore = validate(templateRestoreSchema);
-const validatePromptProcess = validate(promptProcessSchema);
-const validateResetDefault = validate(resetDefaultSchema);
+const validateTemplate = [validate(templateSchema), checkTemplateType()];
+const validateTemplateQuery = [validate(templateQuerySchema, 'query'), checkTemplateType('templateType', 'query')];
+const validateTemplateLint = [validate(templateLintSchema), checkTemplateType('templateType', 'body', ['system_prompt', 'partial'])];
+const validateTemplatePreview = [validate(templatePreviewSchema), checkTemplateType('templateType', 'body', 'system_prompt')];
+const validateTemplateDiff = [validate(templateDiffSchema, 'query'), checkTemplateType('templateType', 'query')];
+const validateTemplateExport = [validate(templateExportSchema, 'query'), checkTemplateType('templateType', 'query')];
+const validateTemplateSearch = [validate(templateSearchQuerySchema, 'query'), checkTemplateType('templateType', 'query')];
+const validateTemplateImport = validate(templateImportSchema);
+const validateTemplateCopy = [validate(templateCopySchema), checkTemplateType()];
+const validateShareCreate = [validate(shareCreateSchema), checkTemplateType()];
+const validateShareListQuery = validate(shareListQuerySchema, 'query');
+const validateShareDelete = validate(shareDeleteSchema);
+const validateSharedTemplateQuery = validate(sharedTemplateQuerySchema, 'query');
+const validateLabelSet = [validate(labelSetSchema), checkTemplateType()];
+const validateLabelListQuery = [validate(labelListQuerySchema, 'query'), checkTemplateType('templateType', 'query')];
+const validateLabelDelete = validate(labelDeleteSchema);
+const validateTemplateSubmit = [validate(templateSubmitSchema), checkTemplateType()];
+const validateTemplateReview = [validate(templateReviewSchema), checkTemplateType()];
+const validateTemplatePublish = [validate(templatePublishSchema), checkTemplateType()];
+const validateTemplateDelete = [validate(templateDeleteSchema), checkTemplateType()];
+const validateTemplateRestore = [validate(templateRestoreSchema), checkTemplateType()];
+const validatePromptProcess = [validate(promptProcessSchema), checkTemplateType('promptType', 'body', 'system_prompt')];
+const validateLlmComplete = [validate(llmCompleteSchema), checkTemplateType('promptType', 'body', 'system_prompt')];
+const validateResetDefault = [validate(resetDefaultSchema), checkTemplateType()];
+const validateUpdateAllUsers = validate(updateAllUsersSchema);
+
+// Rollout middlewares
+const validateRolloutCreate = [validate(rolloutCreateSchema), checkTemplateType()];
+const validateRolloutListQuery = validate(rolloutListQuerySchema, 'query');
+const validateRolloutParams = validate(rolloutParamsSchema, 'params');
+
+// Experiment middlewares
+const validateExperimentCreate = [validate(experimentCreateSchema), checkTemplateType('templateType', 'body', 'system_prompt')];
+const validateExperimentListQuery = [validate(experimentListQuerySchema, 'query'), checkTemplateType('templateType', 'query')];
+const validateExperimentParams = validate(experimentParamsSchema, 'params');
+
+// Template type registry middlewares
+const validateTemplateTypeCreate = validate(templateTypeCreateSchema);
+const validateTemplateTypeUpdate = [validate(templateTypeParamsSchema, 'params'), validate(templateTypeUpdateSchema)];
+const validateTemplateTypeParams = validate(templateTypeParamsSchema, 'params');
+
+// LLM provider config middlewares
+const validateLlmConfigCreate = validate(llmConfigCreateSchema);
+const validateLlmConfigUpdate = [validate(llmConfigParamsSchema, 'params'), validate(llmConfigUpdateSchema)];
+const validateLlmConfigParams = validate(llmConfigParamsSchema, 'params');
+const validateLlmPreferenceParams = validate(llmPreferenceParamsSchema, 'params');
+const validateLlmPreferenceUpdate = [validate(llmPreferenceParamsSchema, 'params'), validate(llmPreferenceSchema)];
+
+// Concept library middlewares
+const validateConceptCreate = validate(conceptCreateSchema);
+const validateConceptUpdate = [validate(conceptParamsSchema, 'params'), validate(conceptUpdateSchema)];
+const validateConceptParams = validate(conceptParamsSchema, 'params');
+const validateConceptListQuery = validate(conceptListQuerySchema, 'query');
+
+// Variable layer middlewares
+const validateVariableLayerCreate = validate(variableLayerCreateSchema);
+const validateVariableLayerUpdate = [validate(variableLayerParamsSchema, 'params'), validate(variableLayerUpdateSchema)];
+const validateVariableLayerParams = validate(variableLayerParamsSchema, 'params');
+const validateVariableLayerListQuery = validate(variableLayerListQuerySchema, 'query');
+const validateVariableLayerMembers = [validate(variableLayerParamsSchema, 'params'), validate(variableLayerMembersSchema)];
+const validateVariableLayerMemberParams = validate(variableLayerMemberParamsSchema, 'params');
 
 // Chat validation middlewares
 const validateChatCreate = validate(chatCreateSchema);
@@ -161,14 +634,19 @@ const validateListQuery = (req, res, next) => {
 };
 
 // Custom validation for defaults endpoint
-const validateDefaultsQuery = (req, res, next) => {
+const validateDefaultsQuery = async (req, res, next) => {
     const { templateType, format } = req.query;
     
-    if (templateType && !VALID_TEMPLATE_TYPES.includes(templateType)) {
-        return res.status(400).json({
-            error: 'Invalid template type',
-            message: `Template type must be one of: ${VALID_TEMPLATE_TYPES.join(', ')}`
-        });
+    try {
+        if (templateType && !(await templateTypeRegistry.getTemplateType(templateType))) {
+            const validTypes = await templateTypeRegistry.getTemplateTypeNames();
+            return res.status(400).json({
+                error: 'Invalid template type',
+                message: `Template type must be one of: ${validTypes.join(', ')}`
+            });
+        }
+    } catch (error) {
+        return next(error);
     }
     
     if (format && !['json', 'raw', 'info'].includes(format)) {
@@ -192,6 +670,16 @@ const sanitizeInput = (input) => {
         .substring(0, 1000000); // Limit to 1MB
 };
 
+// Template content keeps '<' and '>': {{> partial}} includes need them, and templates are
+// sent to the LLM as text, never rendered as HTML
+const sanitizeTemplateContent = (content) => {
+    if (typeof content !== 'string') return content;
+
+    return content
+        .trim()
+        .substring(0, 1000000); // Limit to 1MB
+};
+
 const sanitizeUsername = (username) => {
     if (typeof username !== 'string') return username;
     
@@ -207,8 +695,8 @@ const validateContentLength = (content, maxLength = 1000000) => {
     return content.length <= maxLength;
 };
 
-const validateTemplateType = (templateType) => {
-    return VALID_TEMPLATE_TYPES.includes(templateType);
+const validateTemplateType = async (templateType) => {
+    return Boolean(await templateTypeRegistry.getTemplateType(templateType));
 };
 
 // Request sanitization middleware
@@ -219,7 +707,7 @@ const sanitizeRequest = (req, res, next) => {
             req.body.username = sanitizeUsername(req.body.username);
         }
         if (req.body.content) {
-            req.body.content = sanitizeInput(req.body.content);
+            req.body.content = sanitizeTemplateContent(req.body.content);
         }
         if (req.body.userInput) {
             req.body.userInput = sanitizeInput(req.body.userInput);
@@ -240,19 +728,63 @@ module.exports = {
     validate,
     validateTemplate,
     validateTemplateQuery,
+    validateTemplateDiff,
+    validateTemplateLint,
+    validateTemplatePreview,
+    validateTemplateExport,
+    validateTemplateSearch,
+    validateTemplateImport,
+    validateTemplateCopy,
+    validateShareCreate,
+    validateShareListQuery,
+    validateShareDelete,
+    validateSharedTemplateQuery,
+    validateLabelSet,
+    validateLabelListQuery,
+    validateLabelDelete,
+    validateTemplateSubmit,
+    validateTemplateReview,
+    validateTemplatePublish,
     validateTemplateDelete,
     validateTemplateRestore,
     validatePromptProcess,
+    validateLlmComplete,
     validateResetDefault,
+    validateUpdateAllUsers,
+    validateRolloutCreate,
+    validateRolloutListQuery,
+    validateRolloutParams,
     validateListQuery,
     validateDefaultsQuery,
+    validateExperimentCreate,
+    validateExperimentListQuery,
+    validateExperimentParams,
+    validateTemplateTypeCreate,
+    validateTemplateTypeUpdate,
+    validateTemplateTypeParams,
+    validateLlmConfigCreate,
+    validateLlmConfigUpdate,
+    validateLlmConfigParams,
+    validateLlmPreferenceParams,
+    validateLlmPreferenceUpdate,
+    validateConceptCreate,
+    validateConceptUpdate,
+    validateConceptParams,
+    validateConceptListQuery,
+    validateVariableLayerCreate,
+    validateVariableLayerUpdate,
+    validateVariableLayerParams,
+    validateVariableLayerListQuery,
+    validateVariableLayerMembers,
+    validateVariableLayerMemberParams,
     validateChatCreate,
     validateChatUserParams,
     validateChatUpdate,
     sanitizeRequest,
     sanitizeInput,
+    sanitizeTemplateContent,
     sanitizeUsername,
     validateContentLength,
     validateTemplateType,
-    VALID_TEMPLATE_TYPES
+    checkTemplateType
 };
\ No newline at end of file
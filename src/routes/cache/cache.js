@@ -0,0 +1,13 @@
+// src/routes/cache/cache.js - Prompt cache statistics
+const express = require('express');
+const cacheController = require('../../controllers/cacheController');
+
+const router = express.Router();
+
+// GET /api/cache/stats - Hits, misses, size and invalidations per cache
+router.get('/stats', cacheController.getStats);
+
+// DELETE /api/cache - Clear the data file and active template caches
+router.delete('/', cacheController.clearCaches);
+
+module.exports = router;
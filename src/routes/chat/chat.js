@@ -9,6 +9,8 @@ const chatController = require('../../controllers/chatController');
 router.get('/session-status/:user_id', chatController.getSessionStatus);
 
 // Create/Save new chat conversation
+// Body: { user_id, conversation, status?, variant_id? } - variant_id from /api/templates/process metadata.experiment;
+// the chat records the variant the server assigned the user in that experiment
 router.post('/', chatController.createChat);
 
 // Update existing conversation (for resuming and continuing)
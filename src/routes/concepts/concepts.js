@@ -0,0 +1,31 @@
+// src/routes/concepts/concepts.js - Concept library
+const express = require('express');
+const conceptController = require('../../controllers/conceptController');
+const {
+    validateConceptCreate,
+    validateConceptUpdate,
+    validateConceptParams,
+    validateConceptListQuery
+} = require('../../middleware/validation');
+
+const router = express.Router();
+
+// GET /api/concepts - List concepts
+// Query params: search?, includeInactive?, limit?, offset?
+router.get('/', validateConceptListQuery, conceptController.listConcepts);
+
+// POST /api/concepts - Create a concept
+// Body: { name, description?, variables: { CONCEPT_CONTENT, STAGE_1_CONTENT, ... }, createdBy? }
+router.post('/', validateConceptCreate, conceptController.createConcept);
+
+// GET /api/concepts/:id - Get a concept with its variables
+router.get('/:id', validateConceptParams, conceptController.getConcept);
+
+// PUT /api/concepts/:id - Update a concept
+// Body: { name?, description?, variables?, replaceVariables?, isActive? }
+router.put('/:id', validateConceptUpdate, conceptController.updateConcept);
+
+// DELETE /api/concepts/:id - Delete a concept
+router.delete('/:id', validateConceptParams, conceptController.deleteConcept);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+// src/routes/experiments/experiments.js - A/B experiments on prompt templates (admin)
+const express = require('express');
+const experimentController = require('../../controllers/experimentController');
+const {
+    validateExperimentCreate,
+    validateExperimentListQuery,
+    validateExperimentParams
+} = require('../../middleware/validation');
+
+const router = express.Router();
+
+// GET /api/experiments - List experiments
+// Query params: templateType?, status?, limit?, offset?
+router.get('/', validateExperimentListQuery, experimentController.listExperiments);
+
+// POST /api/experiments - Start an experiment on a system prompt type
+// Body: { name, templateType, description?, variants: [{ name, owner?, version?, weight? }], createdBy? }
+router.post('/', validateExperimentCreate, experimentController.createExperiment);
+
+// GET /api/experiments/:id - Experiment with variants and assignment counts
+router.get('/:id', validateExperimentParams, experimentController.getExperiment);
+
+// GET /api/experiments/:id/results - Chat completion by variant
+router.get('/:id/results', validateExperimentParams, experimentController.getExperimentResults);
+
+// POST /api/experiments/:id/stop - Stop assigning variants
+router.post('/:id/stop', validateExperimentParams, experimentController.stopExperiment);
+
+module.exports = router;
@@ -3,6 +3,16 @@ const express = require('express');
 
 // Import routes
 const templateRoutes = require('./templates/templates');
+const rolloutRoutes = require('./rollouts/rollouts');
+const shareRoutes = require('./shares/shares');
+const labelRoutes = require('./labels/labels');
+const templateTypeRoutes = require('./templateTypes/templateTypes');
+const llmConfigRoutes = require('./llmConfigs/llmConfigs');
+const llmRoutes = require('./llm/llm');
+const cacheRoutes = require('./cache/cache');
+const conceptRoutes = require('./concepts/concepts');
+const experimentRoutes = require('./experiments/experiments');
+const variableLayerRoutes = require('./variableLayers/variableLayers');
 
 // Import sanitization middleware with error handling
 let sanitizeRequest;
@@ -31,8 +41,31 @@ router.get('/', (req, res) => {
             templates: '/api/templates',
             defaults: '/api/templates/defaults',
             list: '/api/templates/list',
+            search: '/api/templates/search',
+            diff: '/api/templates/diff',
+            export: '/api/templates/export',
+            import: '/api/templates/import',
+            copy: '/api/templates/copy',
+            shares: '/api/templates/shares',
+            labels: '/api/templates/labels',
+            lint: '/api/templates/lint',
+            preview: '/api/templates/preview',
             process: '/api/templates/process',
             restore: '/api/templates/restore',
+            submit: '/api/templates/submit',
+            review: '/api/templates/review',
+            publish: '/api/templates/publish',
+            rollouts: '/api/templates/rollouts',
+            rollback: '/api/templates/rollouts/:id/rollback',
+            templateTypes: '/api/template-types',
+            llmConfigs: '/api/llm-configs',
+            llmPreferences: '/api/llm-configs/preferences/:username',
+            llmComplete: '/api/llm/complete',
+            cacheStats: '/api/cache/stats',
+            concepts: '/api/concepts',
+            experiments: '/api/experiments',
+            experimentResults: '/api/experiments/:id/results',
+            variableLayers: '/api/variable-layers',
             
             // Chat endpoints
             chat: '/api/chat',
@@ -48,7 +81,17 @@ router.get('/', (req, res) => {
 });
 
 // Template management routes
+router.use('/templates/rollouts', rolloutRoutes);
+router.use('/templates/shares', shareRoutes);
+router.use('/templates/labels', labelRoutes);
 router.use('/templates', templateRoutes);
+router.use('/template-types', templateTypeRoutes);
+router.use('/llm-configs', llmConfigRoutes);
+router.use('/llm', llmRoutes);
+router.use('/cache', cacheRoutes);
+router.use('/concepts', conceptRoutes);
+router.use('/experiments', experimentRoutes);
+router.use('/variable-layers', variableLayerRoutes);
 
 // Chat routes - with error handling
 try {
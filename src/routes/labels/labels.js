@@ -0,0 +1,24 @@
+// src/routes/labels/labels.js - Named labels on template versions
+const express = require('express');
+const templateLabelController = require('../../controllers/templateLabelController');
+const {
+    validateLabelSet,
+    validateLabelListQuery,
+    validateLabelDelete
+} = require('../../middleware/validation');
+
+const router = express.Router();
+
+// GET /api/templates/labels - Labels set by a user
+// Query params: username, templateType?
+router.get('/', validateLabelListQuery, templateLabelController.listLabels);
+
+// PUT /api/templates/labels - Set a label on a published version, or move it to another one
+// Body: { username, templateType, label, version }
+router.put('/', validateLabelSet, templateLabelController.setLabel);
+
+// DELETE /api/templates/labels - Remove a label
+// Body: { username, templateType, label }
+router.delete('/', validateLabelDelete, templateLabelController.deleteLabel);
+
+module.exports = router;
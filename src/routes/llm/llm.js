@@ -0,0 +1,15 @@
+// src/routes/llm/llm.js - Server-side LLM completions
+const express = require('express');
+const llmGatewayController = require('../../controllers/llmGatewayController');
+const { validateLlmComplete } = require('../../middleware/validation');
+
+const router = express.Router();
+
+// POST /api/llm/complete - Build the prompt and call the provider; streams server-sent events by default
+// Body: { username, promptType, userInput?, llmProvider?, strictProvider?, conceptId?, variables?, label?,
+//         chat_id? | history?, historyMode?, transcript?, stream?: true, saveToChat?: false }
+// Events: start (metadata, tokens), delta ({ text }), done ({ finishReason, usage, chat }) or error
+// A conversation the provider API cannot take (anthropic: none, or starting with the assistant) is a 400 before any event
+router.post('/complete', validateLlmComplete, llmGatewayController.complete);
+
+module.exports = router;
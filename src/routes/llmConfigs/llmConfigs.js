@@ -0,0 +1,42 @@
+// src/routes/llmConfigs/llmConfigs.js - LLM provider configs (admin) and per-user preferences
+const express = require('express');
+const llmConfigController = require('../../controllers/llmConfigController');
+const {
+    validateLlmConfigCreate,
+    validateLlmConfigUpdate,
+    validateLlmConfigParams,
+    validateLlmPreferenceParams,
+    validateLlmPreferenceUpdate
+} = require('../../middleware/validation');
+
+const router = express.Router();
+
+// GET /api/llm-configs - List providers
+// Query params: includeInactive?
+router.get('/', llmConfigController.listLlmConfigs);
+
+// POST /api/llm-configs - Add a provider
+// Body: { name, model, maxTokens, temperature?, topP?, contextWindow?, tokenizer? }
+router.post('/', validateLlmConfigCreate, llmConfigController.createLlmConfig);
+
+// GET /api/llm-configs/preferences/:username - A user's preferred provider
+router.get('/preferences/:username', validateLlmPreferenceParams, llmConfigController.getPreference);
+
+// PUT /api/llm-configs/preferences/:username - Set a user's preferred provider
+// Body: { provider }
+router.put('/preferences/:username', validateLlmPreferenceUpdate, llmConfigController.setPreference);
+
+// DELETE /api/llm-configs/preferences/:username - Go back to the default provider
+router.delete('/preferences/:username', validateLlmPreferenceParams, llmConfigController.deletePreference);
+
+// GET /api/llm-configs/:name - Get a provider
+router.get('/:name', validateLlmConfigParams, llmConfigController.getLlmConfig);
+
+// PUT /api/llm-configs/:name - Update a provider
+// Body: { model?, temperature?, maxTokens?, topP?, contextWindow?, tokenizer?, isActive? }
+router.put('/:name', validateLlmConfigUpdate, llmConfigController.updateLlmConfig);
+
+// DELETE /api/llm-configs/:name - Disable a provider
+router.delete('/:name', validateLlmConfigParams, llmConfigController.disableLlmConfig);
+
+module.exports = router;
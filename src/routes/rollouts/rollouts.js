@@ -0,0 +1,27 @@
+// src/routes/rollouts/rollouts.js - Targeted, reversible default rollouts
+const express = require('express');
+const rolloutController = require('../../controllers/rolloutController');
+const {
+    validateRolloutCreate,
+    validateRolloutListQuery,
+    validateRolloutParams
+} = require('../../middleware/validation');
+
+const router = express.Router();
+
+// GET /api/templates/rollouts - List rollouts
+// Query params: templateType?, limit?, offset?
+router.get('/', validateRolloutListQuery, rolloutController.listRollouts);
+
+// POST /api/templates/rollouts - Push the current default of a template type to users
+// Body: { templateType, target: { usernames } | { pattern } | { percentage }, dryRun?, onConflict?, createdBy? }
+// Types that require review can only be dry-run (409 otherwise)
+router.post('/', validateRolloutCreate, rolloutController.createRollout);
+
+// GET /api/templates/rollouts/:id - Get a rollout and the users it changed
+router.get('/:id', validateRolloutParams, rolloutController.getRollout);
+
+// POST /api/templates/rollouts/:id/rollback - Restore every affected user's previous version
+router.post('/:id/rollback', validateRolloutParams, rolloutController.rollbackRollout);
+
+module.exports = router;
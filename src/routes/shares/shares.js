@@ -0,0 +1,29 @@
+// src/routes/shares/shares.js - Read-only template sharing
+const express = require('express');
+const templateShareController = require('../../controllers/templateShareController');
+const {
+    validateShareCreate,
+    validateShareListQuery,
+    validateShareDelete,
+    validateSharedTemplateQuery
+} = require('../../middleware/validation');
+
+const router = express.Router();
+
+// GET /api/templates/shares - Shares granted by and to a user
+// Query params: username
+router.get('/', validateShareListQuery, templateShareController.listShares);
+
+// POST /api/templates/shares - Let other users view or fork a template
+// Body: { username, templateType, grantees: [...], permission?: 'view' | 'fork' }
+router.post('/', validateShareCreate, templateShareController.createShare);
+
+// DELETE /api/templates/shares - Stop sharing a template with a user
+// Body: { username, templateType, grantee }
+router.delete('/', validateShareDelete, templateShareController.deleteShare);
+
+// GET /api/templates/shares/view - Read a published version of a template shared with the user
+// Query params: username, owner, templateType, version?
+router.get('/view', validateSharedTemplateQuery, templateShareController.viewSharedTemplate);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+// src/routes/templateTypes/templateTypes.js - Template type registry (admin)
+const express = require('express');
+const templateTypeController = require('../../controllers/templateTypeController');
+const {
+    validateTemplateTypeCreate,
+    validateTemplateTypeUpdate,
+    validateTemplateTypeParams
+} = require('../../middleware/validation');
+
+const router = express.Router();
+
+// GET /api/template-types - List registered template types
+// Query params: includeInactive?
+router.get('/', templateTypeController.listTemplateTypes);
+
+// POST /api/template-types - Register a template type
+// Body: { name, defaultFile?, defaultContent?, contentKind?, role?, description?, requiresReview? }
+// {{> name}} includes resolve to the user's published template of type `name`, then its default,
+// so a partial has to be registered here (role 'partial') before templates can include it
+router.post('/', validateTemplateTypeCreate, templateTypeController.createTemplateType);
+
+// GET /api/template-types/:name - Get a template type
+router.get('/:name', validateTemplateTypeParams, templateTypeController.getTemplateType);
+
+// PUT /api/template-types/:name - Update a template type
+// Body: { defaultFile?, defaultContent?, contentKind?, role?, description?, requiresReview?, isActive? }
+router.put('/:name', validateTemplateTypeUpdate, templateTypeController.updateTemplateType);
+
+// DELETE /api/template-types/:name - Delete an unused template type
+router.delete('/:name', validateTemplateTypeParams, templateTypeController.deleteTemplateType);
+
+module.exports = router;
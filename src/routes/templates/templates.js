@@ -4,10 +4,21 @@ const templateController = require('../../controllers/templateController');
 const { 
     validateTemplate, 
     validateTemplateQuery, 
+    validateTemplateDiff,
+    validateTemplateLint,
+    validateTemplatePreview,
+    validateTemplateExport,
+    validateTemplateSearch,
+    validateTemplateImport,
+    validateTemplateCopy,
+    validateTemplateSubmit,
+    validateTemplateReview,
+    validateTemplatePublish,
     validateTemplateDelete,
     validateTemplateRestore,
     validatePromptProcess,
     validateResetDefault,
+    validateUpdateAllUsers,
     validateListQuery,
     validateDefaultsQuery
 } = require('../../middleware/validation');
@@ -19,7 +30,8 @@ const router = express.Router();
 router.get('/', validateTemplateQuery, templateController.getTemplate);
 
 // POST /api/templates - Create/Update template
-// Body: { username, templateType, content }
+// Body: { username, templateType, content, expectedVersion?, strict? }
+// Headers: If-Match? (ETag from GET /api/templates) - stale writes get 409
 router.post('/', validateTemplate, templateController.updateTemplate);
 
 // PUT /api/templates - Alternative endpoint for updates
@@ -29,12 +41,54 @@ router.put('/', validateTemplate, templateController.updateTemplate);
 // Query params: username
 router.get('/list', validateListQuery, templateController.listTemplates);
 
+// POST /api/templates/lint - Check {{PLACEHOLDER}} tokens without saving
+// Body: { templateType, content, username?, variables? } - system prompts and partials
+router.post('/lint', validateTemplateLint, templateController.lintTemplate);
+
+// POST /api/templates/preview - Render a version or unsaved content as the LLM would receive it
+// Body: { username, templateType, version? | content?, variables?, conceptId?, llmProvider?, userInput? }
+router.post('/preview', validateTemplatePreview, templateController.previewTemplate);
+
+// GET /api/templates/diff - Unified diff between two versions
+// Query params: username, templateType, from, to
+router.get('/diff', validateTemplateDiff, templateController.diffTemplates);
+
+// GET /api/templates/search - Full-text search across every user's stored versions (first 500k characters of each)
+// Query params: q, username?, templateType?, activeOnly?, from?, to?, limit?, offset?
+router.get('/search', validateTemplateSearch, templateController.searchTemplates);
+
+// GET /api/templates/export - Download all of a user's templates (every version) as a JSON bundle
+// Query params: username, templateType?
+router.get('/export', validateTemplateExport, templateController.exportTemplates);
+
+// POST /api/templates/import - Load a bundle into a user
+// Body: { username, bundle, mode?: 'merge' | 'replace', dryRun? }
+// Replace is refused (409) while an experiment variant uses one of the versions it would change
+router.post('/import', validateTemplateImport, templateController.importTemplates);
+
+// POST /api/templates/copy - Copy a version to another user as a new version
+// Body: { fromUsername, toUsername, templateType, version? } - another user's version must be published
+router.post('/copy', validateTemplateCopy, templateController.copyTemplate);
+
 // DELETE /api/templates - Delete template(s)
 // Body: { username, templateType, version?, deleteAll? }
 router.delete('/', validateTemplateDelete, templateController.deleteTemplate);
 
-// POST /api/templates/restore - Restore previous version
+// POST /api/templates/submit - Send a draft for review
+// Body: { username, templateType, version, reviewer? }
+router.post('/submit', validateTemplateSubmit, templateController.submitForReview);
+
+// POST /api/templates/review - Approve or reject a version in review
+// Body: { username, templateType, version, reviewer, decision: 'approve' | 'reject', comment? }
+router.post('/review', validateTemplateReview, templateController.reviewTemplate);
+
+// POST /api/templates/publish - Make a version the live (published) one
 // Body: { username, templateType, version }
+router.post('/publish', validateTemplatePublish, templateController.publishTemplate);
+
+// POST /api/templates/restore - Restore a previously published version
+// Body: { username, templateType, version, expectedVersion? }
+// Headers: If-Match? (ETag from GET /api/templates) - stale restores get 409
 router.post('/restore', validateTemplateRestore, templateController.restoreTemplate);
 
 // GET /api/templates/defaults - Get default templates
@@ -42,11 +96,13 @@ router.post('/restore', validateTemplateRestore, templateController.restoreTempl
 router.get('/defaults', validateDefaultsQuery, templateController.getDefaultTemplates);
 
 // POST /api/templates/defaults - Reset template to default
-// Body: { username, templateType, resetToDefault: true }
+// Body: { username, templateType, resetToDefault: true } - types that require review get a draft instead
 router.post('/defaults', validateResetDefault, templateController.resetToDefault);
 
 // POST /api/templates/process - Process prompt with templates
-// Body: { username, promptType, llmProvider?, userInput? }
+// Body: { username, promptType, llmProvider?, strictProvider?, userInput?, conceptId?, variables?, label?,
+//         chat_id? | history?, historyMode?: 'messages' | 'transcript', outputFormat?,
+//         transcript?: { userLabel?, assistantLabel?, from?, to? | last? } }
 router.post('/process', validatePromptProcess, templateController.processPrompt);
 
 // Legacy route compatibility (from your Next.js API)
@@ -61,7 +117,7 @@ router.delete('/delete', validateTemplateDelete, templateController.deleteTempla
 
 // Update ALL users with latest default template
 // POST /api/templates/update-all-users  
-// Body: { confirmUpdate: true }
-router.post('/update-all-users', templateController.updateAllUsersToLatestDefaults);
+// Body: { confirmUpdate: true } or { dryRun: true }, previousDefault?, onConflict?: 'keepUser' | 'useDefault'
+router.post('/update-all-users', validateUpdateAllUsers, templateController.updateAllUsersToLatestDefaults);
 
 module.exports = router;
\ No newline at end of file
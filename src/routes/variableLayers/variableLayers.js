@@ -0,0 +1,40 @@
+// src/routes/variableLayers/variableLayers.js - Organisation and cohort variable layers
+const express = require('express');
+const variableLayerController = require('../../controllers/variableLayerController');
+const {
+    validateVariableLayerCreate,
+    validateVariableLayerUpdate,
+    validateVariableLayerParams,
+    validateVariableLayerListQuery,
+    validateVariableLayerMembers,
+    validateVariableLayerMemberParams
+} = require('../../middleware/validation');
+
+const router = express.Router();
+
+// GET /api/variable-layers - List layers
+// Query params: scope?, username?
+router.get('/', validateVariableLayerListQuery, variableLayerController.listLayers);
+
+// POST /api/variable-layers - Create a layer
+// Body: { scope: 'organization' | 'cohort', name, description?, variables? }
+router.post('/', validateVariableLayerCreate, variableLayerController.createLayer);
+
+// GET /api/variable-layers/:id - Get a layer with its members
+router.get('/:id', validateVariableLayerParams, variableLayerController.getLayer);
+
+// PUT /api/variable-layers/:id - Update a layer
+// Body: { name?, description?, variables?, replaceVariables? }
+router.put('/:id', validateVariableLayerUpdate, variableLayerController.updateLayer);
+
+// DELETE /api/variable-layers/:id - Delete a layer
+router.delete('/:id', validateVariableLayerParams, variableLayerController.deleteLayer);
+
+// POST /api/variable-layers/:id/members - Add users to a layer
+// Body: { usernames: [...] }
+router.post('/:id/members', validateVariableLayerMembers, variableLayerController.addMembers);
+
+// DELETE /api/variable-layers/:id/members/:username - Remove a user from a layer
+router.delete('/:id/members/:username', validateVariableLayerMemberParams, variableLayerController.removeMember);
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// src/services/activeTemplateCache.js - LRU of users' published active templates
+//
+// Prompts look up the same user's system prompt, variables documents and partials on
+// every learner message. Controllers that change which version is active call
+// invalidate() after COMMIT; the TTL covers writes made by other server instances.
+const { pool } = require('../config/database');
+
+const MAX_ENTRIES = parseInt(process.env.TEMPLATE_CACHE_SIZE) || 1000;
+const TTL_MS = parseInt(process.env.TEMPLATE_CACHE_TTL_MS) || 5 * 60 * 1000;
+
+const entries = new Map(); // `${username}\n${templateType}` -> { template, cachedAt }, least recent first
+const stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+// Bumped by every invalidation so a query that was in flight cannot store a stale row
+let generation = 0;
+
+function cacheKey(username, templateType) {
+    return `${username}\n${templateType}`;
+}
+
+// { content, version } of the user's published active template, or null if they have none
+async function getActiveTemplate(username, templateType) {
+    const key = cacheKey(username, templateType);
+    const entry = entries.get(key);
+
+    if (entry && Date.now() - entry.cachedAt < TTL_MS) {
+        // Re-insert to mark as most recently used
+        entries.delete(key);
+        entries.set(key, entry);
+        stats.hits++;
+        return entry.template;
+    }
+
+    stats.misses++;
+    const startedAt = generation;
+    const result = await pool.query(
+        `SELECT content, version FROM prompt_templates WHERE username = $1 AND template_type = $2 AND is_active = TRUE AND status = 'published'`,
+        [username, templateType]
+    );
+    const template = result.rows.length > 0
+        ? { content: result.rows[0].content, version: result.rows[0].version }
+        : null;
+
+    if (startedAt === generation) {
+        entries.delete(key);
+        entries.set(key, { template, cachedAt: Date.now() });
+
+        if (entries.size > MAX_ENTRIES) {
+            entries.delete(entries.keys().next().value);
+            stats.evictions++;
+        }
+    }
+
+    return template;
+}
+
+// Drop cached templates: one user's type, all of a user's types, one type for every
+// user, or everything when neither is given
+function invalidate({ username = null, templateType = null } = {}) {
+    generation++;
+
+    if (username && templateType) {
+        if (entries.delete(cacheKey(username, templateType))) {
+            stats.invalidations++;
+        }
+        return;
+    }
+
+    for (const key of [...entries.keys()]) {
+        const [entryUsername, entryType] = key.split('\n');
+        if ((!username || entryUsername === username) && (!templateType || entryType === templateType)) {
+            entries.delete(key);
+            stats.invalidations++;
+        }
+    }
+}
+
+function getStats() {
+    const lookups = stats.hits + stats.misses;
+    return {
+        size: entries.size,
+        maxEntries: MAX_ENTRIES,
+        ttlMs: TTL_MS,
+        hits: stats.hits,
+        misses: stats.misses,
+        evictions: stats.evictions,
+        invalidations: stats.invalidations,
+        hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : null
+    };
+}
+
+module.exports = {
+    getActiveTemplate,
+    invalidate,
+    getStats
+};
@@ -0,0 +1,49 @@
+// src/services/conceptLibrary.js - Concept variables for prompt rendering
+const { pool } = require('../config/database');
+
+// Template variables that describe a single concept
+const CONCEPT_VARIABLE_KEYS = [
+    'CONCEPT_CONTENT',
+    'CONCEPT_ENDURING_UNDERSTANDINGS',
+    'CONCEPT_ESSENTIAL_QUESTIONS',
+    'CONCEPT_KNOWLEDGE_SKILLS',
+    'STAGE_1_CONTENT',
+    'STAGE_2_CONTENT',
+    'STAGE_3_CONTENT',
+    'STAGE_4_CONTENT',
+    'STAGE_5_CONTENT',
+    'CONCEPT_UNDERSTANDING_RUBRIC',
+    'UNDERSTANDING_SKILLS_RUBRIC'
+];
+
+// Variables contributed by a concept: its stored variables plus CONCEPT_NAME
+function toTemplateVariables(concept) {
+    return {
+        ...concept.variables,
+        CONCEPT_NAME: concept.name
+    };
+}
+
+// Active concept with its template variables, or null
+async function getConceptVariables(conceptId) {
+    const result = await pool.query(
+        'SELECT id, name, variables FROM concepts WHERE id = $1 AND is_active = TRUE',
+        [conceptId]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const concept = result.rows[0];
+    return {
+        concept: { id: concept.id, name: concept.name },
+        variables: toTemplateVariables(concept)
+    };
+}
+
+module.exports = {
+    CONCEPT_VARIABLE_KEYS,
+    toTemplateVariables,
+    getConceptVariables
+};
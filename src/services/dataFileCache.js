@@ -0,0 +1,99 @@
+// src/services/dataFileCache.js - In-memory copies of the files in src/data
+//
+// Default templates, promptTemplate.json and partials are read on every prompt. Each file
+// is read once and kept until its directory's watcher reports a change, so editing a
+// file on disk takes effect without a restart. Missing files are cached as null too.
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(process.cwd(), 'src/data');
+
+const entries = new Map(); // absolute path -> content or null
+const watchers = new Map(); // directory -> fs.FSWatcher
+const stats = { hits: 0, misses: 0, invalidations: 0 };
+
+function forgetDirectory(directory) {
+    for (const filePath of entries.keys()) {
+        if (path.dirname(filePath) === directory) {
+            entries.delete(filePath);
+            stats.invalidations++;
+        }
+    }
+}
+
+// Watch a directory once; any event drops the cached file it names
+function watchDirectory(directory) {
+    if (watchers.has(directory) || !fs.existsSync(directory)) {
+        return watchers.has(directory);
+    }
+
+    try {
+        const watcher = fs.watch(directory, (eventType, fileName) => {
+            if (!fileName) {
+                forgetDirectory(directory);
+                return;
+            }
+            if (entries.delete(path.join(directory, fileName.toString()))) {
+                stats.invalidations++;
+            }
+        });
+
+        watcher.on('error', (error) => {
+            console.warn(`⚠️  Stopped watching ${directory} (${error.message}), its files will be re-read`);
+            watcher.close();
+            watchers.delete(directory);
+            forgetDirectory(directory);
+        });
+
+        // Watching must not keep the process alive (scripts, graceful shutdown)
+        watcher.unref();
+        watchers.set(directory, watcher);
+        return true;
+    } catch (error) {
+        console.warn(`⚠️  Unable to watch ${directory} (${error.message}), its files will not be cached`);
+        return false;
+    }
+}
+
+// File contents (utf8) by path relative to src/data, or null when it does not exist
+function readDataFile(relativePath) {
+    const filePath = path.join(DATA_DIR, relativePath);
+
+    if (entries.has(filePath)) {
+        stats.hits++;
+        return entries.get(filePath);
+    }
+
+    stats.misses++;
+    const content = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+
+    // Only cache what a watcher will tell us about
+    if (watchDirectory(path.dirname(filePath))) {
+        entries.set(filePath, content);
+    }
+    return content;
+}
+
+function clear() {
+    stats.invalidations += entries.size;
+    entries.clear();
+}
+
+function getStats() {
+    const lookups = stats.hits + stats.misses;
+    return {
+        size: entries.size,
+        hits: stats.hits,
+        misses: stats.misses,
+        invalidations: stats.invalidations,
+        hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : null,
+        watchedDirectories: [...watchers.keys()].map(directory => path.relative(process.cwd(), directory) || '.')
+    };
+}
+
+module.exports = {
+    DATA_DIR,
+    readDataFile,
+    clear,
+    getStats
+};
@@ -0,0 +1,78 @@
+// src/services/experiments.js - A/B experiment variant assignment
+const { pool } = require('../config/database');
+const { hashBucket } = require('../utils/hashBucket');
+
+// Pick a variant by traffic weight. The experiment id seeds the hash, so the same
+// user lands independently in each experiment.
+function pickVariant(experimentId, variants, username) {
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let bucket = hashBucket(`experiment:${experimentId}`, username, totalWeight);
+
+    for (const variant of variants) {
+        if (bucket < variant.weight) {
+            return variant;
+        }
+        bucket -= variant.weight;
+    }
+    return variants[variants.length - 1];
+}
+
+// The running experiment on templateType and the user's variant in it, assigned on
+// first use. Assignments are stored, so changing weights later only affects new users.
+// Returns null when no experiment is running.
+async function getExperimentAssignment(username, templateType) {
+    let experimentResult;
+    try {
+        experimentResult = await pool.query(
+            `SELECT id, name FROM experiments WHERE template_type = $1 AND status = 'running'`,
+            [templateType]
+        );
+    } catch (error) {
+        // Table missing (42P01, migrations not run yet) or database unreachable
+        console.warn(`⚠️  Unable to load experiments for ${templateType} (${error.code || error.message})`);
+        return null;
+    }
+
+    if (experimentResult.rows.length === 0) {
+        return null;
+    }
+
+    const experiment = experimentResult.rows[0];
+    const variantsResult = await pool.query(
+        'SELECT * FROM experiment_variants WHERE experiment_id = $1 ORDER BY id',
+        [experiment.id]
+    );
+    const variants = variantsResult.rows;
+
+    if (variants.length === 0) {
+        return null;
+    }
+
+    const assignmentResult = await pool.query(
+        'SELECT variant_id FROM experiment_assignments WHERE experiment_id = $1 AND username = $2',
+        [experiment.id, username]
+    );
+
+    let variant = assignmentResult.rows.length > 0
+        ? variants.find(candidate => candidate.id === assignmentResult.rows[0].variant_id)
+        : null;
+
+    if (!variant) {
+        variant = pickVariant(experiment.id, variants, username);
+        // Concurrent first requests hash to the same variant, so losing the race is harmless
+        await pool.query(
+            `INSERT INTO experiment_assignments (experiment_id, variant_id, username)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (experiment_id, username) DO NOTHING`,
+            [experiment.id, variant.id, username]
+        );
+        console.log(`🧪 Assigned ${username} to variant '${variant.name}' of experiment '${experiment.name}'`);
+    }
+
+    return { experiment, variant };
+}
+
+module.exports = {
+    pickVariant,
+    getExperimentAssignment
+};
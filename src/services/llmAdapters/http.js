@@ -0,0 +1,120 @@
+// src/services/llmAdapters/http.js - Streaming calls to the hosted provider APIs
+//
+// Request bodies come from the providerFormats adapters; this module adds the API key,
+// turns streaming on and reads the server-sent events back as text chunks.
+const providerFormats = require('../providerFormats');
+
+// Anthropic streams typed events; the others use the OpenAI chunk shape
+function readAnthropicEvent(event) {
+    if (event.type === 'content_block_delta' && event.delta) {
+        return { text: event.delta.text };
+    }
+    if (event.type === 'message_delta' && event.delta) {
+        return { finishReason: event.delta.stop_reason };
+    }
+    if (event.type === 'error') {
+        const error = new Error(`Provider stream error: ${event.error ? event.error.message : 'unknown error'}`);
+        error.status = 502;
+        throw error;
+    }
+    return {};
+}
+
+function readOpenAiEvent(event) {
+    const choice = event.choices && event.choices[0];
+    if (!choice) {
+        return {};
+    }
+    return {
+        text: choice.delta ? choice.delta.content : undefined,
+        finishReason: choice.finish_reason || undefined
+    };
+}
+
+// The `data:` payload of each server-sent event in a fetch response body
+async function* readServerSentEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let boundary;
+        while ((boundary = /\r?\n\r?\n/.exec(buffer)) !== null) {
+            const rawEvent = buffer.slice(0, boundary.index);
+            buffer = buffer.slice(boundary.index + boundary[0].length);
+
+            const data = rawEvent
+                .split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n');
+
+            if (data) {
+                yield data;
+            }
+        }
+    }
+}
+
+function createHttpAdapter(formatName, apiKeyVariable) {
+    const format = providerFormats.getFormat(formatName);
+    const isAnthropic = format.name === 'anthropic';
+
+    return {
+        name: format.name,
+        apiKeyVariable,
+
+        isConfigured() {
+            return Boolean(process.env[apiKeyVariable]);
+        },
+
+        async *stream(messages, llmConfig, { signal } = {}) {
+            const apiKey = process.env[apiKeyVariable];
+            const headers = { 'Content-Type': 'application/json' };
+            if (isAnthropic) {
+                headers['x-api-key'] = apiKey;
+                headers['anthropic-version'] = '2023-06-01';
+            } else {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            const response = await fetch(format.endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ ...format.formatRequest(messages, llmConfig), stream: true }),
+                signal
+            });
+
+            if (!response.ok) {
+                const detail = await response.text();
+                const error = new Error(`${format.name} returned ${response.status}: ${detail.slice(0, 500)}`);
+                // Pass rate limiting through so clients can back off; anything else is the gateway's problem
+                error.status = response.status === 429 ? 429 : 502;
+                throw error;
+            }
+
+            for await (const data of readServerSentEvents(response.body)) {
+                if (data === '[DONE]') {
+                    break;
+                }
+
+                const { text, finishReason } = isAnthropic
+                    ? readAnthropicEvent(JSON.parse(data))
+                    : readOpenAiEvent(JSON.parse(data));
+
+                if (text) {
+                    yield { text };
+                }
+                if (finishReason) {
+                    yield { finishReason };
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    createHttpAdapter,
+    readServerSentEvents
+};
@@ -0,0 +1,67 @@
+// src/services/llmAdapters/index.js - Server-side calls to LLM providers
+//
+// An adapter is a module exporting { name, isConfigured(), stream(messages, llmConfig, { signal }) }.
+// stream is an async generator yielding { text } chunks and a final { finishReason }.
+const mock = require('./mock');
+const { createHttpAdapter } = require('./http');
+
+const adapters = new Map();
+
+function registerAdapter(adapter) {
+    adapters.set(adapter.name, adapter);
+}
+
+[
+    mock,
+    createHttpAdapter('openai', 'OPENAI_API_KEY'),
+    createHttpAdapter('anthropic', 'ANTHROPIC_API_KEY'),
+    createHttpAdapter('groq', 'GROQ_API_KEY'),
+    createHttpAdapter('mistral', 'MISTRAL_API_KEY')
+].forEach(registerAdapter);
+
+function getAdapter(name) {
+    return adapters.get(String(name).toLowerCase()) || null;
+}
+
+function listAdapters() {
+    return [...adapters.keys()];
+}
+
+// Which API serves a model; Llama models are hosted on Groq
+function adapterNameForModel(model) {
+    const name = String(model || '').toLowerCase();
+    if (name.startsWith('mock')) {
+        return 'mock';
+    }
+    if (name.startsWith('claude')) {
+        return 'anthropic';
+    }
+    if (name.includes('llama')) {
+        return 'groq';
+    }
+    if (/mistral|mixtral|saba|codestral/.test(name)) {
+        return 'mistral';
+    }
+    return 'openai';
+}
+
+// Adapter for a provider config. LLM_ADAPTER overrides it for every provider
+// (LLM_ADAPTER=mock runs everything offline); throws (error.status 500) if unknown.
+function resolveAdapter(llmConfig) {
+    const name = process.env.LLM_ADAPTER || adapterNameForModel(llmConfig.model);
+    const adapter = getAdapter(name);
+    if (!adapter) {
+        const error = new Error(`Unknown LLM adapter '${name}'. Must be one of: ${listAdapters().join(', ')}.`);
+        error.status = 500;
+        throw error;
+    }
+    return adapter;
+}
+
+module.exports = {
+    registerAdapter,
+    getAdapter,
+    listAdapters,
+    adapterNameForModel,
+    resolveAdapter
+};
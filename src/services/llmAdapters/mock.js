@@ -0,0 +1,58 @@
+// src/services/llmAdapters/mock.js - Deterministic offline provider for development and tests
+//
+// The reply depends only on the messages and the model, so the same request always
+// streams the same text. MOCK_LLM_DELAY_MS spaces the chunks out to exercise streaming
+// clients; a user message containing [mock:error] fails like an unreachable provider.
+
+const ERROR_TRIGGER = '[mock:error]';
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function buildReply(messages, llmConfig) {
+    const turns = messages.filter(message => message.role !== 'system');
+    const lastUser = [...turns].reverse().find(message => message.role === 'user');
+    const systemLength = messages
+        .filter(message => message.role === 'system')
+        .reduce((sum, message) => sum + message.content.length, 0);
+
+    const said = lastUser ? lastUser.content.replace(/\s+/g, ' ').trim() : '';
+    const excerpt = said.length > 200 ? `${said.slice(0, 200)}...` : said;
+
+    return `This is a mock reply from ${llmConfig.model}. ` +
+        `You said: "${excerpt || '(nothing)'}". ` +
+        `The system prompt is ${systemLength} characters long and ${turns.length - (lastUser ? 1 : 0)} earlier turns were sent.`;
+}
+
+module.exports = {
+    name: 'mock',
+
+    isConfigured() {
+        return true;
+    },
+
+    async *stream(messages, llmConfig, { signal } = {}) {
+        const lastUser = [...messages].reverse().find(message => message.role === 'user');
+        if (lastUser && lastUser.content.includes(ERROR_TRIGGER)) {
+            const error = new Error(`Mock provider failure requested with ${ERROR_TRIGGER}`);
+            error.status = 502;
+            throw error;
+        }
+
+        const delay = parseInt(process.env.MOCK_LLM_DELAY_MS) || 0;
+
+        // One chunk per word, trailing whitespace included, like provider deltas
+        for (const [piece] of buildReply(messages, llmConfig).matchAll(/\S+\s*/g)) {
+            if (signal && signal.aborted) {
+                return;
+            }
+            if (delay > 0) {
+                await wait(delay);
+            }
+            yield { text: piece };
+        }
+
+        yield { finishReason: 'stop' };
+    }
+};
@@ -0,0 +1,165 @@
+// src/services/llmConfigRegistry.js - LLM provider configs backed by the llm_configs table
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(process.cwd(), 'src/data');
+const CACHE_TTL_MS = 30 * 1000;
+const DEFAULT_PROVIDER = 'default';
+
+// llmConfigs.json seeds the table and is the fallback until the table exists
+function readBuiltInConfigs() {
+    const filePath = path.join(DATA_DIR, 'llmConfigs.json');
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    const configs = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Object.entries(configs).map(([name, config]) => ({
+        name,
+        model: config.model,
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        topP: config.topP,
+        contextWindow: config.contextWindow || null,
+        tokenizer: config.tokenizer || null,
+        isActive: true
+    }));
+}
+
+const BUILT_IN_LLM_CONFIGS = readBuiltInConfigs();
+
+let cachedConfigs = null;
+let cachedAt = 0;
+
+function mapRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        model: row.model,
+        temperature: row.temperature,
+        maxTokens: row.max_tokens,
+        topP: row.top_p,
+        contextWindow: row.context_window,
+        tokenizer: row.tokenizer,
+        isActive: row.is_active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Load all provider configs (active and disabled), cached briefly
+async function loadLlmConfigs() {
+    if (cachedConfigs && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return cachedConfigs;
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT * FROM llm_configs ORDER BY id'
+        );
+        cachedConfigs = result.rows.map(mapRow);
+        cachedAt = Date.now();
+    } catch (error) {
+        // Table missing (42P01, migrations not run yet) or database unreachable
+        console.warn(`⚠️  Unable to load llm_configs (${error.code || error.message}), using llmConfigs.json`);
+        return BUILT_IN_LLM_CONFIGS;
+    }
+
+    return cachedConfigs;
+}
+
+function invalidate() {
+    cachedConfigs = null;
+    cachedAt = 0;
+}
+
+async function listLlmConfigs({ includeInactive = false } = {}) {
+    const configs = await loadLlmConfigs();
+    return includeInactive ? configs : configs.filter(config => config.isActive);
+}
+
+// Active provider config by name (case-insensitive), or null
+async function getLlmConfig(name) {
+    const configs = await listLlmConfigs();
+    const wanted = String(name).toLowerCase();
+    return configs.find(config => config.name.toLowerCase() === wanted) || null;
+}
+
+// The settings sent to the provider, in the shape llmConfigs.json has always used.
+// contextWindow and tokenizer only size the prompt, so they stay on the full config.
+function toLlmConfig(config) {
+    return {
+        model: config.model,
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        topP: config.topP
+    };
+}
+
+// The user's preferred provider name, or null
+async function getPreferredProvider(username) {
+    if (!username) {
+        return null;
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT provider FROM user_llm_preferences WHERE username = $1',
+            [username]
+        );
+        return result.rows.length > 0 ? result.rows[0].provider : null;
+    } catch (error) {
+        console.warn(`⚠️  Unable to load the preferred LLM provider for ${username} (${error.code || error.message})`);
+        return null;
+    }
+}
+
+// Pick the provider for a request: the requested one, else the user's preference,
+// else 'default'. Unknown or disabled requested providers fall back to 'default'
+// unless `strict` is set, in which case they are an error (error.status 400). A missing
+// or disabled 'default' config is error.status 404.
+// Returns { name, source: 'request' | 'user' | 'default', fallbackFrom, config }.
+async function resolveLlmProvider(requested, { username = null, strict = false } = {}) {
+    if (requested) {
+        const config = await getLlmConfig(requested);
+        if (config) {
+            return { name: config.name, source: 'request', fallbackFrom: null, config };
+        }
+
+        if (strict) {
+            const available = (await listLlmConfigs()).map(candidate => `'${candidate.name}'`);
+            const error = new Error(`Unknown or disabled llmProvider '${requested}'. Must be one of: ${available.join(', ')}.`);
+            error.status = 400;
+            throw error;
+        }
+    }
+
+    if (!requested) {
+        const preferred = await getPreferredProvider(username);
+        const config = preferred ? await getLlmConfig(preferred) : null;
+        if (config) {
+            return { name: config.name, source: 'user', fallbackFrom: null, config };
+        }
+    }
+
+    const config = await getLlmConfig(DEFAULT_PROVIDER);
+    if (!config) {
+        const error = new Error(`No active '${DEFAULT_PROVIDER}' LLM config. Create or re-enable it through /api/llm-configs.`);
+        error.status = 404;
+        throw error;
+    }
+
+    return { name: config.name, source: 'default', fallbackFrom: requested || null, config };
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    BUILT_IN_LLM_CONFIGS,
+    listLlmConfigs,
+    getLlmConfig,
+    toLlmConfig,
+    getPreferredProvider,
+    resolveLlmProvider,
+    invalidate
+};
@@ -0,0 +1,381 @@
+// src/services/promptBuilder.js - Builds the LLM messages for a system prompt
+const { pool } = require('../config/database');
+const templateTypeRegistry = require('./templateTypeRegistry');
+const { readDataFile } = require('./dataFileCache');
+const { getActiveTemplate } = require('./activeTemplateCache');
+const { getConceptVariables } = require('./conceptLibrary');
+const { resolveVariables } = require('./variableLayers');
+const { getExperimentAssignment } = require('./experiments');
+const { resolveLlmProvider, toLlmConfig } = require('./llmConfigRegistry');
+const { renderTemplateWithPartials, TemplateRenderError } = require('../utils/templateRenderer');
+const { measurePrompt } = require('../utils/tokenCounter');
+const { normalizeHistory, formatTranscript } = require('../utils/chatHistory');
+
+// Placeholder that receives the conversation as a transcript (e.g. in assessmentPrompt)
+const TRANSCRIPT_VARIABLE = 'CONVERSATION_TRANSCRIPT';
+const TRANSCRIPT_PATTERN = /{{[^}]*\bCONVERSATION_TRANSCRIPT\b/;
+
+// A request that cannot be turned into a prompt; `body` is sent as the JSON response
+class PromptBuildError extends Error {
+    constructor(status, body) {
+        super(body.message || body.error);
+        this.name = 'PromptBuildError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+function readDataJson(fileName, errorMessage) {
+    const content = readDataFile(fileName);
+    if (content === null) {
+        throw new PromptBuildError(404, { error: errorMessage });
+    }
+    return JSON.parse(content);
+}
+
+// Resolve {{> name}} includes: the user's published template of that type, then the
+// registry type's default. A partial must be one of those; there are no built-in partial
+// files. Without a username only the defaults are used (e.g. linting against request variables).
+function createPartialLoader(username) {
+    return async (name) => {
+        const activeTemplate = username ? await getActiveTemplate(username, name) : null;
+        if (activeTemplate) {
+            return activeTemplate.content;
+        }
+
+        const typeConfig = await templateTypeRegistry.getTemplateType(name);
+        return typeConfig ? templateTypeRegistry.readDefaultContent(typeConfig) : null;
+    };
+}
+
+async function getSystemPromptType(promptType) {
+    const typeConfig = await templateTypeRegistry.getTemplateType(promptType);
+    if (!typeConfig || typeConfig.role !== 'system_prompt') {
+        const systemPromptTypes = (await templateTypeRegistry.listTemplateTypes())
+            .filter(type => type.role === 'system_prompt')
+            .map(type => `'${type.name}'`);
+        throw new PromptBuildError(400, {
+            error: `Invalid promptType '${promptType}'. Must be one of: ${systemPromptTypes.join(', ')}.`
+        });
+    }
+    return typeConfig;
+}
+
+// The version of promptType the user has labelled `label`; it must be published
+async function loadLabelledTemplate(username, typeConfig, label) {
+    const dbResult = await pool.query(
+        `SELECT pt.content, pt.version, pt.status
+         FROM template_labels tl
+         JOIN prompt_templates pt
+            ON pt.username = tl.username AND pt.template_type = tl.template_type AND pt.version = tl.version
+         WHERE tl.username = $1 AND tl.template_type = $2 AND tl.label = $3`,
+        [username, typeConfig.name, label]
+    );
+
+    if (dbResult.rows.length === 0) {
+        throw new PromptBuildError(404, {
+            error: 'Label not found',
+            message: `${username} has no '${label}' label on ${typeConfig.name}`
+        });
+    }
+
+    // setLabel only accepts published versions, but an import can replace the version behind a label
+    if (dbResult.rows[0].status !== 'published') {
+        throw new PromptBuildError(409, {
+            error: 'Label not published',
+            message: `'${label}' points at version ${dbResult.rows[0].version} of ${typeConfig.name}, which is ${dbResult.rows[0].status}`
+        });
+    }
+
+    console.log(`🏷️  Using '${label}' template for user: ${username}, type: ${typeConfig.name} (v${dbResult.rows[0].version})`);
+    return { content: dbResult.rows[0].content, source: 'database', version: dbResult.rows[0].version, label };
+}
+
+// The template of the user's experiment variant: the variant's stored version, or
+// the user's own template for a control variant. Null when nothing is running.
+async function loadExperimentTemplate(username, typeConfig) {
+    const assignment = await getExperimentAssignment(username, typeConfig.name);
+    if (!assignment) {
+        return null;
+    }
+
+    const { experiment, variant } = assignment;
+    const experimentInfo = { id: experiment.id, name: experiment.name, variantId: variant.id, variant: variant.name };
+
+    if (!variant.owner_username) {
+        return { ...await loadSystemTemplate(username, typeConfig), experiment: experimentInfo };
+    }
+
+    const dbResult = await pool.query(
+        `SELECT content, version FROM prompt_templates WHERE username = $1 AND template_type = $2 AND version = $3 AND status = 'published'`,
+        [variant.owner_username, typeConfig.name, variant.version]
+    );
+
+    if (dbResult.rows.length === 0) {
+        // The variant's version was deleted or replaced by an unpublished one (import);
+        // serve the user's own template outside the experiment
+        console.log(`⚠️  Variant '${variant.name}' of experiment '${experiment.name}' points at a missing or unpublished version, skipping`);
+        return null;
+    }
+
+    return {
+        content: dbResult.rows[0].content,
+        source: 'experiment',
+        version: dbResult.rows[0].version,
+        experiment: experimentInfo
+    };
+}
+
+// Earlier turns for a multi-turn prompt: a stored chat of the user's, or an inline array
+async function loadHistory(username, chatId, history) {
+    if (chatId) {
+        const chatResult = await pool.query(
+            'SELECT user_id, conversation FROM chat WHERE id = $1',
+            [chatId]
+        );
+
+        if (chatResult.rows.length === 0) {
+            throw new PromptBuildError(404, {
+                error: 'Chat not found',
+                message: `No chat with id ${chatId}`
+            });
+        }
+
+        const chat = chatResult.rows[0];
+        if (chat.user_id !== username) {
+            throw new PromptBuildError(403, {
+                error: 'Chat belongs to another user',
+                message: `Chat ${chatId} does not belong to ${username}`
+            });
+        }
+
+        const conversation = typeof chat.conversation === 'string' ? JSON.parse(chat.conversation) : chat.conversation;
+        return { source: 'chat', chatId, ...normalizeHistory(Array.isArray(conversation) ? conversation : []) };
+    }
+
+    if (history) {
+        return { source: 'inline', chatId: null, ...normalizeHistory(history) };
+    }
+
+    return null;
+}
+
+// The user's published template for promptType, falling back to the registry default
+async function loadSystemTemplate(username, typeConfig) {
+    try {
+        const activeTemplate = await getActiveTemplate(username, typeConfig.name);
+
+        if (activeTemplate) {
+            console.log(`✅ Using database template for user: ${username}, type: ${typeConfig.name}`);
+            return { content: activeTemplate.content, source: 'database', version: activeTemplate.version };
+        }
+    } catch (dbError) {
+        console.log(`⚠️  Database lookup failed for ${username}/${typeConfig.name}: ${dbError.message}`);
+    }
+
+    // Fallback to the registry default (stored content or file in src/data)
+    console.log(`ℹ️  No database template found for user ${username}, type ${typeConfig.name}. Using default template.`);
+
+    const content = templateTypeRegistry.readDefaultContent(typeConfig);
+    if (content === null) {
+        throw new PromptBuildError(404, {
+            error: `Default template file '${typeConfig.defaultFile}' not found.`
+        });
+    }
+    return { content, source: 'file', version: null };
+}
+
+// Build the messages processPrompt sends to the LLM.
+// `label` picks the version carrying that label instead of the active one; otherwise,
+// with `assignExperiment`, a running experiment on promptType picks the user's variant.
+// `systemTemplate` ({ content, source, version }) replaces the user's active template,
+// e.g. to preview an older version or unsaved content.
+// Earlier turns (`chatId` or `history`) are replayed as messages, or with historyMode
+// 'transcript' fill {{CONVERSATION_TRANSCRIPT}}; templates that use that placeholder
+// default to 'transcript'.
+async function buildPrompt({
+    username,
+    promptType,
+    llmProvider = null,
+    strictProvider = false,
+    userInput = '',
+    conceptId = null,
+    variables = null,
+    label = null,
+    chatId = null,
+    history = null,
+    historyMode = null,
+    transcriptOptions = {},
+    assignExperiment = false,
+    systemTemplate = null
+}) {
+    const processedUserInput = userInput || '';
+
+    // Load prompt template structure
+    const promptTemplate = readDataJson('promptTemplate.json', `'promptTemplate.json' not found.`);
+
+    // Step 1: The system prompt template (user's active version, or the default)
+    const typeConfig = await getSystemPromptType(promptType);
+    let template = systemTemplate;
+    if (!template && label) {
+        template = await loadLabelledTemplate(username, typeConfig, label);
+    }
+    if (!template && assignExperiment) {
+        template = await loadExperimentTemplate(username, typeConfig);
+    }
+    if (!template) {
+        template = await loadSystemTemplate(username, typeConfig);
+    }
+
+    // Step 2: Earlier turns, replayed as messages or formatted as a transcript
+    const priorTurns = await loadHistory(username, chatId, history);
+    const mode = historyMode || (TRANSCRIPT_PATTERN.test(template.content) ? 'transcript' : 'messages');
+
+    let chatVariables = null;
+    let transcriptRange = null;
+    if (mode === 'transcript') {
+        if (priorTurns) {
+            const { transcript, range } = formatTranscript(priorTurns.messages, transcriptOptions);
+            chatVariables = { [TRANSCRIPT_VARIABLE]: transcript };
+            transcriptRange = range;
+        } else {
+            // Always defined, so {{#if CONVERSATION_TRANSCRIPT}} sections drop out cleanly
+            chatVariables = { [TRANSCRIPT_VARIABLE]: '' };
+        }
+    }
+
+    // Step 3: Resolve template variables layer by layer
+    // (file defaults -> organisation -> cohort -> user -> concept -> chat -> request)
+    let concept = null;
+    if (conceptId) {
+        concept = await getConceptVariables(conceptId);
+        if (!concept) {
+            throw new PromptBuildError(404, {
+                error: 'Concept not found',
+                message: `No active concept with id ${conceptId}`
+            });
+        }
+    }
+
+    let resolved;
+    try {
+        resolved = await resolveVariables(username, { concept, chatVariables, requestVariables: variables });
+    } catch (variablesError) {
+        if (variablesError.status === 404) {
+            throw new PromptBuildError(404, { error: variablesError.message });
+        }
+        throw variablesError;
+    }
+
+    // Step 4: Render the system content (placeholders, conditionals, loops, filters, includes)
+    const partialContents = {};
+    const loadPartial = createPartialLoader(username);
+    let rendered;
+    try {
+        rendered = await renderTemplateWithPartials(
+            template.content,
+            resolved.variables,
+            async (name) => {
+                const content = await loadPartial(name);
+                if (content !== null) {
+                    partialContents[name] = content;
+                }
+                return content;
+            },
+            { rootName: promptType }
+        );
+    } catch (renderError) {
+        if (renderError instanceof TemplateRenderError) {
+            throw new PromptBuildError(422, {
+                error: 'Template render error',
+                message: renderError.message,
+                line: renderError.line,
+                column: renderError.column,
+                partial: renderError.partial,
+                templateSource: template.source
+            });
+        }
+        throw renderError;
+    }
+
+    // Step 5: LLM config for the requested provider, the user's preferred one, or 'default'
+    let provider;
+    try {
+        provider = await resolveLlmProvider(llmProvider, { username, strict: strictProvider });
+    } catch (providerError) {
+        if (providerError.status) {
+            throw new PromptBuildError(providerError.status, {
+                error: providerError.status === 404 ? 'Default LLM config missing' : 'Unknown LLM provider',
+                message: providerError.message
+            });
+        }
+        throw providerError;
+    }
+    const llmConfig = toLlmConfig(provider.config);
+
+    // Step 6: Build final messages, with any replayed turns before the new user input
+    const historyMessages = priorTurns && mode === 'messages' ? priorTurns.messages : [];
+
+    const messages = promptTemplate.flatMap(item => {
+        if (item.role === 'system') {
+            return [{ role: item.role, content: rendered.output }];
+        }
+        if (item.role === 'user') {
+            const lastTurn = historyMessages[historyMessages.length - 1];
+            if (!processedUserInput && lastTurn && lastTurn.role === 'user') {
+                // Continuing from the user's last stored turn
+                return historyMessages;
+            }
+            if (processedUserInput && lastTurn && lastTurn.role === 'user') {
+                return [
+                    ...historyMessages.slice(0, -1),
+                    { role: 'user', content: `${lastTurn.content}\n\n${processedUserInput}` }
+                ];
+            }
+            return [...historyMessages, { role: item.role, content: processedUserInput }];
+        }
+        return [item];
+    });
+
+    // Step 7: Estimate the prompt size against the model's context window
+    const tokens = measurePrompt(messages, provider.config);
+
+    return {
+        messages,
+        llmConfig,
+        llmProvider: provider.name,
+        llmProviderSource: provider.source,
+        tokens,
+        templateSource: template.source,
+        templateVersion: template.version,
+        templateLabel: template.label || null,
+        experiment: template.experiment || null,
+        systemTemplate: template.content,
+        systemContent: rendered.output,
+        partials: rendered.partials,
+        partialContents,
+        variables: resolved.variables,
+        variableSources: resolved.sources,
+        variableLayers: resolved.layers,
+        concept: concept ? concept.concept : null,
+        history: priorTurns
+            ? {
+                source: priorTurns.source,
+                chatId: priorTurns.chatId,
+                mode,
+                messages: priorTurns.messages.length,
+                dropped: priorTurns.dropped,
+                transcriptRange
+            }
+            : null,
+        userInputLength: processedUserInput.length
+    };
+}
+
+module.exports = {
+    TRANSCRIPT_VARIABLE,
+    PromptBuildError,
+    createPartialLoader,
+    getSystemPromptType,
+    buildPrompt
+};
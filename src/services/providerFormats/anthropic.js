@@ -0,0 +1,42 @@
+// src/services/providerFormats/anthropic.js - Anthropic messages API
+const { compactMessages, clamp } = require('./common');
+
+module.exports = {
+    name: 'anthropic',
+    endpoint: 'https://api.anthropic.com/v1/messages',
+
+    // The system prompt is a top-level field, turns must alternate, be non-empty and
+    // start with the user, and temperature only goes up to 1.
+    // Throws (error.status 400) for conversations the API would reject.
+    formatRequest(messages, llmConfig) {
+        const system = messages
+            .filter(message => message.role === 'system')
+            .map(message => message.content)
+            .join('\n\n');
+
+        const turns = compactMessages(messages.filter(message => message.role !== 'system'));
+        if (turns.length === 0 || turns[0].role !== 'user') {
+            const error = new Error(turns.length === 0
+                ? 'The anthropic API needs at least one non-empty user turn; send userInput or history'
+                : 'The anthropic API needs the conversation to start with a user turn, but it starts with an assistant turn');
+            error.status = 400;
+            throw error;
+        }
+
+        const body = {
+            model: llmConfig.model,
+            max_tokens: llmConfig.maxTokens,
+            system,
+            messages: turns
+        };
+
+        // Anthropic rejects temperature and top_p together; a narrowing top_p replaces temperature
+        if (llmConfig.topP !== undefined && llmConfig.topP < 1) {
+            body.top_p = llmConfig.topP;
+        } else {
+            body.temperature = clamp(llmConfig.temperature, 0, 1);
+        }
+
+        return body;
+    }
+};
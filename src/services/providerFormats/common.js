@@ -0,0 +1,31 @@
+// src/services/providerFormats/common.js - Helpers shared by the request adapters
+
+// Drop empty turns and merge consecutive turns by the same role, for APIs that
+// require strictly alternating user/assistant messages
+function compactMessages(messages) {
+    const compacted = [];
+
+    for (const message of messages) {
+        if (!message.content) {
+            continue;
+        }
+
+        const previous = compacted[compacted.length - 1];
+        if (previous && previous.role === message.role) {
+            previous.content = `${previous.content}\n\n${message.content}`;
+        } else {
+            compacted.push({ role: message.role, content: message.content });
+        }
+    }
+
+    return compacted;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+module.exports = {
+    compactMessages,
+    clamp
+};
@@ -0,0 +1,16 @@
+// src/services/providerFormats/groq.js - Groq (Llama models), OpenAI-compatible
+module.exports = {
+    name: 'groq',
+    aliases: ['llama'],
+    endpoint: 'https://api.groq.com/openai/v1/chat/completions',
+
+    formatRequest(messages, llmConfig) {
+        return {
+            model: llmConfig.model,
+            messages: messages.map(({ role, content }) => ({ role, content })),
+            temperature: llmConfig.temperature,
+            max_completion_tokens: llmConfig.maxTokens,
+            top_p: llmConfig.topP
+        };
+    }
+};
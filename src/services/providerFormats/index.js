@@ -0,0 +1,50 @@
+// src/services/providerFormats/index.js - Ready-to-send request bodies per provider API
+//
+// An adapter is a module exporting { name, aliases?, endpoint, formatRequest(messages, llmConfig) }.
+// formatRequest must be pure (no I/O), so each adapter can be checked against fixtures.
+const openai = require('./openai');
+const anthropic = require('./anthropic');
+const groq = require('./groq');
+const mistral = require('./mistral');
+
+const adapters = new Map();
+
+function registerFormat(adapter) {
+    for (const name of [adapter.name, ...(adapter.aliases || [])]) {
+        adapters.set(name, adapter);
+    }
+}
+
+[openai, anthropic, groq, mistral].forEach(registerFormat);
+
+// Adapter by name or alias, or null
+function getFormat(name) {
+    return adapters.get(String(name).toLowerCase()) || null;
+}
+
+function listFormats() {
+    return [...adapters.keys()];
+}
+
+// { format, endpoint, body } for the named API; throws (error.status 400) for unknown formats
+function formatRequest(name, messages, llmConfig) {
+    const adapter = getFormat(name);
+    if (!adapter) {
+        const error = new Error(`Unknown outputFormat '${name}'. Must be one of: messages, ${listFormats().join(', ')}.`);
+        error.status = 400;
+        throw error;
+    }
+
+    return {
+        format: adapter.name,
+        endpoint: adapter.endpoint,
+        body: adapter.formatRequest(messages, llmConfig)
+    };
+}
+
+module.exports = {
+    registerFormat,
+    getFormat,
+    listFormats,
+    formatRequest
+};
@@ -0,0 +1,21 @@
+// src/services/providerFormats/mistral.js - Mistral chat completions
+const { compactMessages } = require('./common');
+
+module.exports = {
+    name: 'mistral',
+    endpoint: 'https://api.mistral.ai/v1/chat/completions',
+
+    // Mistral rejects empty turns and two user turns in a row
+    formatRequest(messages, llmConfig) {
+        const system = messages.filter(message => message.role === 'system');
+        const turns = compactMessages(messages.filter(message => message.role !== 'system'));
+
+        return {
+            model: llmConfig.model,
+            messages: [...system.map(({ role, content }) => ({ role, content })), ...turns],
+            temperature: llmConfig.temperature,
+            max_tokens: llmConfig.maxTokens,
+            top_p: llmConfig.topP
+        };
+    }
+};
@@ -0,0 +1,15 @@
+// src/services/providerFormats/openai.js - OpenAI chat completions
+module.exports = {
+    name: 'openai',
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+
+    formatRequest(messages, llmConfig) {
+        return {
+            model: llmConfig.model,
+            messages: messages.map(({ role, content }) => ({ role, content })),
+            temperature: llmConfig.temperature,
+            max_tokens: llmConfig.maxTokens,
+            top_p: llmConfig.topP
+        };
+    }
+};
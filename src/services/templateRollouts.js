@@ -0,0 +1,264 @@
+// src/services/templateRollouts.js - Push registry defaults to selected users, reversibly
+const templateTypeRegistry = require('./templateTypeRegistry');
+const { mergeJsonKeys } = require('../utils/templateDiff');
+const { hashBucket } = require('../utils/hashBucket');
+
+function rolloutError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Glob-style username pattern: * matches any run of characters, ? a single one
+function patternToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+// Users targeted by a rollout. Patterns and percentages select from users who have
+// any stored template; percentages are stable per template type, so widening a
+// rollout from 10% to 20% keeps the first 10%.
+async function resolveTargetUsers(client, templateType, target) {
+    if (target.usernames) {
+        return [...new Set(target.usernames)].sort();
+    }
+
+    const usersResult = await client.query(
+        'SELECT DISTINCT username FROM prompt_templates ORDER BY username'
+    );
+    let usernames = usersResult.rows.map(row => row.username);
+
+    if (target.pattern) {
+        const matcher = patternToRegExp(target.pattern);
+        usernames = usernames.filter(username => matcher.test(username));
+    }
+
+    if (target.percentage !== undefined) {
+        usernames = usernames.filter(username => hashBucket(templateType, username) < target.percentage);
+    }
+
+    return usernames;
+}
+
+// Default the user's values were last based on: the latest applied rollout that
+// reached them, then the last all-users snapshot, then their first version
+async function getMergeBase(client, username, templateType) {
+    const rolloutResult = await client.query(
+        `SELECT r.default_content
+         FROM template_rollout_items i
+         JOIN template_rollouts r ON r.id = i.rollout_id
+         WHERE i.username = $1 AND r.template_type = $2 AND r.status = 'applied'
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT 1`,
+        [username, templateType]
+    );
+    if (rolloutResult.rows.length > 0) {
+        return { base: JSON.parse(rolloutResult.rows[0].default_content), baseSource: 'rollout' };
+    }
+
+    const snapshotResult = await client.query(
+        'SELECT content FROM template_default_snapshots WHERE template_type = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+        [templateType]
+    );
+    if (snapshotResult.rows.length > 0) {
+        return { base: JSON.parse(snapshotResult.rows[0].content), baseSource: 'snapshot' };
+    }
+
+    const firstResult = await client.query(
+        'SELECT content FROM prompt_templates WHERE username = $1 AND template_type = $2 ORDER BY version ASC LIMIT 1',
+        [username, templateType]
+    );
+    return { base: JSON.parse(firstResult.rows[0].content), baseSource: 'firstVersion' };
+}
+
+// What a rollout would do for one user. Text templates are replaced by the default;
+// JSON variables are merged key by key so user customisations survive.
+async function planUserRollout(client, username, typeConfig, defaultContent, { onConflict = 'keepUser' } = {}) {
+    const currentResult = await client.query(
+        'SELECT content, version FROM prompt_templates WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
+        [username, typeConfig.name]
+    );
+
+    if (currentResult.rows.length === 0) {
+        return { username, action: 'created', previousVersion: null, content: defaultContent, conflicts: [] };
+    }
+
+    const current = currentResult.rows[0];
+    const plan = { username, action: 'updated', previousVersion: current.version, content: defaultContent, conflicts: [] };
+
+    if (typeConfig.contentKind === 'json') {
+        const { base, baseSource } = await getMergeBase(client, username, typeConfig.name);
+        const userValues = JSON.parse(current.content);
+        const merge = mergeJsonKeys(base, JSON.parse(defaultContent), userValues, { onConflict });
+
+        plan.baseSource = baseSource;
+        plan.changes = { updated: merge.updated, added: merge.added, removed: merge.removed };
+        plan.conflicts = merge.conflicts;
+        plan.content = JSON.stringify(merge.merged, null, 2);
+
+        if (JSON.stringify(merge.merged) === JSON.stringify(userValues)) {
+            plan.action = 'unchanged';
+        }
+    } else if (current.content === defaultContent) {
+        plan.action = 'unchanged';
+    }
+
+    return plan;
+}
+
+// Apply the current registry default of templateType to the targeted users inside
+// the caller's transaction. Returns the rollout record, or the plan when dryRun is set.
+async function createRollout(client, { templateType, target, dryRun = false, onConflict = 'keepUser', createdBy = null }) {
+    const typeConfig = await templateTypeRegistry.getTemplateType(templateType);
+    if (!typeConfig) {
+        throw rolloutError(400, `Unknown template type '${templateType}'`);
+    }
+
+    // Rollouts publish straight to users; reviewed types go through submit, review and publish
+    if (typeConfig.requiresReview && !dryRun) {
+        throw rolloutError(409, `${templateType} versions must be approved by a reviewer before publishing, so its default cannot be rolled out`);
+    }
+
+    const defaultContent = templateTypeRegistry.readDefaultContent(typeConfig);
+    if (defaultContent === null) {
+        throw rolloutError(404, `Default content for ${templateType} not found`);
+    }
+
+    const usernames = await resolveTargetUsers(client, templateType, target);
+    const plans = [];
+
+    for (const username of usernames) {
+        try {
+            await client.query('SAVEPOINT rollout_user');
+            plans.push(await planUserRollout(client, username, typeConfig, defaultContent, { onConflict }));
+            await client.query('RELEASE SAVEPOINT rollout_user');
+        } catch (userError) {
+            await client.query('ROLLBACK TO SAVEPOINT rollout_user');
+            plans.push({ username, action: 'failed', error: userError.message, conflicts: [] });
+        }
+    }
+
+    if (dryRun) {
+        return { rollout: null, items: plans };
+    }
+
+    const rolloutResult = await client.query(
+        `INSERT INTO template_rollouts (template_type, target, default_content, on_conflict, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [templateType, JSON.stringify(target), defaultContent, onConflict, createdBy]
+    );
+    const rollout = rolloutResult.rows[0];
+
+    for (const plan of plans) {
+        if (plan.action !== 'created' && plan.action !== 'updated') {
+            continue;
+        }
+
+        const versionResult = await client.query(
+            'SELECT COALESCE(MAX(version), 0) + 1 as next_version FROM prompt_templates WHERE username = $1 AND template_type = $2',
+            [plan.username, templateType]
+        );
+        const nextVersion = versionResult.rows[0].next_version;
+
+        await client.query(
+            'UPDATE prompt_templates SET is_active = FALSE WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
+            [plan.username, templateType]
+        );
+
+        await client.query(
+            `INSERT INTO prompt_templates (username, template_type, content, version, is_active, status, published_at, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, TRUE, 'published', NOW(), NOW(), NOW())`,
+            [plan.username, templateType, plan.content, nextVersion]
+        );
+
+        await client.query(
+            `INSERT INTO template_rollout_items (rollout_id, username, previous_version, new_version, action, conflicts)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [rollout.id, plan.username, plan.previousVersion, nextVersion, plan.action, JSON.stringify(plan.conflicts)]
+        );
+
+        plan.newVersion = nextVersion;
+        console.log(`✅ Rollout ${rollout.id}: ${plan.action} ${plan.username} ${templateType} v${nextVersion}`);
+    }
+
+    const affected = plans.filter(plan => plan.newVersion).length;
+    await client.query(
+        'UPDATE template_rollouts SET affected_count = $1 WHERE id = $2',
+        [affected, rollout.id]
+    );
+    rollout.affected_count = affected;
+
+    return { rollout, items: plans };
+}
+
+// Put every user a rollout changed back on their previous active version. Users
+// who saved a newer version since the rollout are left alone and reported.
+async function rollbackRollout(client, rolloutId) {
+    const rolloutResult = await client.query(
+        'SELECT * FROM template_rollouts WHERE id = $1 FOR UPDATE',
+        [rolloutId]
+    );
+
+    if (rolloutResult.rows.length === 0) {
+        throw rolloutError(404, `No rollout with id ${rolloutId}`);
+    }
+
+    const rollout = rolloutResult.rows[0];
+    if (rollout.status === 'rolled_back') {
+        throw rolloutError(409, `Rollout ${rolloutId} was already rolled back at ${rollout.rolled_back_at}`);
+    }
+
+    const itemsResult = await client.query(
+        'SELECT * FROM template_rollout_items WHERE rollout_id = $1 ORDER BY username',
+        [rolloutId]
+    );
+
+    const results = [];
+    for (const item of itemsResult.rows) {
+        const activeResult = await client.query(
+            'SELECT version FROM prompt_templates WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
+            [item.username, rollout.template_type]
+        );
+        const activeVersion = activeResult.rows.length > 0 ? activeResult.rows[0].version : null;
+
+        if (activeVersion !== item.new_version) {
+            results.push({ username: item.username, action: 'skipped', reason: 'changed_since_rollout', activeVersion });
+            continue;
+        }
+
+        await client.query(
+            'UPDATE prompt_templates SET is_active = FALSE WHERE username = $1 AND template_type = $2 AND is_active = TRUE',
+            [item.username, rollout.template_type]
+        );
+
+        // Users the rollout created a template for go back to the registry default
+        if (item.previous_version !== null) {
+            await client.query(
+                'UPDATE prompt_templates SET is_active = TRUE WHERE username = $1 AND template_type = $2 AND version = $3',
+                [item.username, rollout.template_type, item.previous_version]
+            );
+        }
+
+        await client.query(
+            'UPDATE template_rollout_items SET rolled_back = TRUE WHERE id = $1',
+            [item.id]
+        );
+
+        results.push({ username: item.username, action: 'restored', restoredVersion: item.previous_version });
+    }
+
+    const updatedResult = await client.query(
+        `UPDATE template_rollouts SET status = 'rolled_back', rolled_back_at = NOW() WHERE id = $1 RETURNING *`,
+        [rolloutId]
+    );
+
+    return { rollout: updatedResult.rows[0], items: results };
+}
+
+module.exports = {
+    resolveTargetUsers,
+    planUserRollout,
+    createRollout,
+    rollbackRollout
+};
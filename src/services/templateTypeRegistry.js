@@ -0,0 +1,137 @@
+// src/services/templateTypeRegistry.js - Template types backed by the template_types table
+const { pool } = require('../config/database');
+const path = require('path');
+const { readDataFile } = require('./dataFileCache');
+
+const DATA_DIR = path.join(process.cwd(), 'src/data');
+const CACHE_TTL_MS = 30 * 1000;
+
+// Seeded by the migration and used as a fallback until the table exists
+const BUILT_IN_TEMPLATE_TYPES = [
+    {
+        name: 'conceptMentor',
+        defaultFile: 'conceptMentor.txt',
+        defaultContent: null,
+        contentKind: 'text',
+        role: 'system_prompt',
+        description: 'Learning coach template with UbD principles',
+        requiresReview: false,
+        isActive: true
+    },
+    {
+        name: 'assessmentPrompt',
+        defaultFile: 'assessmentPrompt.txt',
+        defaultContent: null,
+        contentKind: 'text',
+        role: 'system_prompt',
+        description: 'Evaluation template for measuring conceptual understanding',
+        requiresReview: false,
+        isActive: true
+    },
+    {
+        name: 'defaultTemplateValues',
+        defaultFile: 'defaultTemplateValues.txt',
+        defaultContent: null,
+        contentKind: 'json',
+        role: 'variables',
+        description: 'JSON configuration template with concept variables',
+        requiresReview: false,
+        isActive: true
+    }
+];
+
+let cachedTypes = null;
+let cachedAt = 0;
+
+function mapRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        defaultFile: row.default_file,
+        defaultContent: row.default_content,
+        contentKind: row.content_kind,
+        role: row.role,
+        description: row.description,
+        requiresReview: Boolean(row.requires_review),
+        isActive: row.is_active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Load all template types (active and inactive), cached briefly
+async function loadTemplateTypes() {
+    if (cachedTypes && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return cachedTypes;
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT * FROM template_types ORDER BY id'
+        );
+        cachedTypes = result.rows.map(mapRow);
+        cachedAt = Date.now();
+    } catch (error) {
+        // Table missing (42P01, migrations not run yet) or database unreachable
+        console.warn(`⚠️  Unable to load template_types (${error.code || error.message}), using built-in template types`);
+        return BUILT_IN_TEMPLATE_TYPES;
+    }
+
+    return cachedTypes;
+}
+
+function invalidate() {
+    cachedTypes = null;
+    cachedAt = 0;
+}
+
+async function listTemplateTypes({ includeInactive = false } = {}) {
+    const types = await loadTemplateTypes();
+    return includeInactive ? types : types.filter(type => type.isActive);
+}
+
+// Active template type by name, or null
+async function getTemplateType(name) {
+    const types = await listTemplateTypes();
+    return types.find(type => type.name === name) || null;
+}
+
+async function getTemplateTypeNames() {
+    const types = await listTemplateTypes();
+    return types.map(type => type.name);
+}
+
+// Variables documents, merged in registry order when rendering prompts
+async function getVariablesTypes() {
+    const types = await listTemplateTypes();
+    return types.filter(type => type.role === 'variables');
+}
+
+// Default content for a type: stored content wins over the file in src/data.
+// Returns null when neither is available.
+function readDefaultContent(type) {
+    if (type.defaultContent) {
+        return type.defaultContent;
+    }
+
+    if (!type.defaultFile) {
+        return null;
+    }
+
+    return readDataFile(type.defaultFile);
+}
+
+function getDefaultFilePath(type) {
+    return type.defaultFile ? path.join(DATA_DIR, type.defaultFile) : null;
+}
+
+module.exports = {
+    BUILT_IN_TEMPLATE_TYPES,
+    listTemplateTypes,
+    getTemplateType,
+    getTemplateTypeNames,
+    getVariablesTypes,
+    readDefaultContent,
+    getDefaultFilePath,
+    invalidate
+};
@@ -0,0 +1,114 @@
+// src/services/variableLayers.js - Layered template variable resolution
+const { pool } = require('../config/database');
+const templateTypeRegistry = require('./templateTypeRegistry');
+const { getActiveTemplate } = require('./activeTemplateCache');
+
+// Organisation and cohort layers the user belongs to, organisations first
+async function getMemberLayers(username) {
+    if (!username) {
+        return [];
+    }
+
+    try {
+        const result = await pool.query(
+            `SELECT vl.id, vl.scope, vl.name, vl.variables
+             FROM variable_layers vl
+             JOIN variable_layer_members vlm ON vlm.layer_id = vl.id
+             WHERE vlm.username = $1
+             ORDER BY CASE vl.scope WHEN 'organization' THEN 0 ELSE 1 END, vl.name`,
+            [username]
+        );
+        return result.rows;
+    } catch (error) {
+        // Table missing (42P01, migrations not run yet) or database unreachable
+        console.warn(`⚠️  Unable to load variable layers for ${username} (${error.code || error.message})`);
+        return [];
+    }
+}
+
+// The user's published variables documents, in registry order
+async function getUserDocuments(username, variablesTypes) {
+    const documents = [];
+
+    if (!username) {
+        return documents;
+    }
+
+    for (const variablesType of variablesTypes) {
+        try {
+            const activeTemplate = await getActiveTemplate(username, variablesType.name);
+
+            if (activeTemplate) {
+                documents.push({ type: variablesType.name, variables: JSON.parse(activeTemplate.content) });
+            }
+        } catch (dbError) {
+            console.log(`ℹ️  Ignoring ${variablesType.name} for user ${username}: ${dbError.message}`);
+        }
+    }
+
+    return documents;
+}
+
+// Resolve template variables for a user by merging, key by key, from lowest to highest
+// precedence: file defaults -> organisation -> cohort -> user -> concept -> chat -> request.
+// Returns { variables, sources: { KEY: layer }, layers: [...] }.
+async function resolveVariables(username, { concept = null, chatVariables = null, requestVariables = null } = {}) {
+    const variables = {};
+    const sources = {};
+    const layers = [];
+
+    const applyLayer = (layer, values, details = {}) => {
+        const keys = Object.keys(values || {});
+        for (const key of keys) {
+            variables[key] = values[key];
+            sources[key] = layer;
+        }
+        layers.push({ layer, ...details, keys: keys.length });
+    };
+
+    const variablesTypes = await templateTypeRegistry.getVariablesTypes();
+    const userDocuments = await getUserDocuments(username, variablesTypes);
+
+    for (const variablesType of variablesTypes) {
+        const defaultValues = templateTypeRegistry.readDefaultContent(variablesType);
+
+        if (defaultValues === null) {
+            // Only fatal when the user has nothing stored for this document either
+            if (!userDocuments.some(document => document.type === variablesType.name)) {
+                const error = new Error(`Default template values '${variablesType.defaultFile}' not found.`);
+                error.status = 404;
+                throw error;
+            }
+            continue;
+        }
+
+        applyLayer('default', JSON.parse(defaultValues), { templateType: variablesType.name });
+    }
+
+    for (const memberLayer of await getMemberLayers(username)) {
+        applyLayer(memberLayer.scope, memberLayer.variables, { id: memberLayer.id, name: memberLayer.name });
+    }
+
+    for (const document of userDocuments) {
+        applyLayer('user', document.variables, { templateType: document.type });
+    }
+
+    if (concept) {
+        applyLayer('concept', concept.variables, { id: concept.concept.id, name: concept.concept.name });
+    }
+
+    if (chatVariables) {
+        applyLayer('chat', chatVariables);
+    }
+
+    if (requestVariables) {
+        applyLayer('request', requestVariables);
+    }
+
+    return { variables, sources, layers };
+}
+
+module.exports = {
+    getMemberLayers,
+    resolveVariables
+};
@@ -0,0 +1,103 @@
+// src/utils/chatHistory.js - Turn stored chat conversations into LLM messages
+//
+// chat.conversation is whatever the frontend saved, so entries vary: role or sender,
+// content or text or message, plain strings or arrays of content parts.
+
+const ROLE_ALIASES = {
+    user: 'user',
+    human: 'user',
+    student: 'user',
+    learner: 'user',
+    assistant: 'assistant',
+    ai: 'assistant',
+    bot: 'assistant',
+    model: 'assistant',
+    mentor: 'assistant',
+    tutor: 'assistant',
+    system: 'system'
+};
+
+function normalizeRole(entry) {
+    const raw = entry.role || entry.sender || entry.from || entry.author || entry.type;
+    return ROLE_ALIASES[String(raw || '').toLowerCase()] || null;
+}
+
+function normalizeContent(entry) {
+    const raw = entry.content !== undefined ? entry.content
+        : entry.text !== undefined ? entry.text
+            : entry.message;
+
+    if (typeof raw === 'string') {
+        return raw;
+    }
+
+    // [{ type: 'text', text }, ...] content parts
+    if (Array.isArray(raw)) {
+        return raw
+            .map(part => (typeof part === 'string' ? part : part && part.text) || '')
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    return '';
+}
+
+// Normalise a conversation to alternating { role: 'user' | 'assistant', content } turns.
+// System entries are dropped (the server renders the system prompt), as are entries
+// with an unknown role or no text. Consecutive turns by the same role are merged.
+// Returns { messages, dropped }.
+function normalizeHistory(conversation = []) {
+    const messages = [];
+    let dropped = 0;
+
+    for (const entry of conversation) {
+        if (!entry || typeof entry !== 'object') {
+            dropped++;
+            continue;
+        }
+
+        const role = normalizeRole(entry);
+        const content = normalizeContent(entry).trim();
+
+        if (!role || role === 'system' || !content) {
+            dropped++;
+            continue;
+        }
+
+        const previous = messages[messages.length - 1];
+        if (previous && previous.role === role) {
+            previous.content = `${previous.content}\n\n${content}`;
+        } else {
+            messages.push({ role, content });
+        }
+    }
+
+    return { messages, dropped };
+}
+
+// Readable transcript of normalised messages for prompts that review a conversation.
+// `from`/`to` (1-based, inclusive) or `last` pick the messages; each line is numbered
+// so the model can cite the turn it is talking about.
+// Returns { transcript, range: { from, to, total } }.
+function formatTranscript(messages, { userLabel = 'Learner', assistantLabel = 'Mentor', from, to, last } = {}) {
+    const total = messages.length;
+    const start = last ? Math.max(1, total - last + 1) : Math.max(1, from || 1);
+    const end = last ? total : Math.min(total, to || total);
+
+    const labels = { user: userLabel, assistant: assistantLabel };
+    const lines = [];
+    for (let index = start; index <= end; index++) {
+        const message = messages[index - 1];
+        lines.push(`[${index}] ${labels[message.role]}: ${message.content}`);
+    }
+
+    return {
+        transcript: lines.join('\n\n'),
+        range: { from: lines.length > 0 ? start : null, to: lines.length > 0 ? end : null, total }
+    };
+}
+
+module.exports = {
+    normalizeHistory,
+    formatTranscript
+};
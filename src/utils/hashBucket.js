@@ -0,0 +1,13 @@
+// src/utils/hashBucket.js - Deterministic user bucketing
+const crypto = require('crypto');
+
+// Stable bucket in [0, buckets) for a value; the seed keeps different
+// rollouts/experiments independent of each other
+function hashBucket(seed, value, buckets = 100) {
+    const digest = crypto.createHash('sha1').update(`${seed}:${value}`).digest();
+    return digest.readUInt32BE(0) % buckets;
+}
+
+module.exports = {
+    hashBucket
+};
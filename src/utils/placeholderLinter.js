@@ -0,0 +1,201 @@
+// src/utils/placeholderLinter.js - Checks {{PLACEHOLDER}} tokens against template variables
+const { getPosition, parseTag, parseTemplate } = require('./templateRenderer');
+
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = a[i - 1] === b[j - 1]
+                ? diagonal
+                : Math.min(diagonal, previous[j - 1], previous[j]) + 1;
+            diagonal = above;
+        }
+    }
+
+    return previous[b.length];
+}
+
+// Closest known key for a typo, if it is close enough to be a plausible match
+function suggestKey(name, keys) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const key of keys) {
+        const distance = levenshtein(name.toUpperCase(), key.toUpperCase());
+        if (distance < bestDistance) {
+            best = key;
+            bestDistance = distance;
+        }
+    }
+
+    return best && bestDistance <= Math.max(1, Math.floor(name.length / 4)) ? best : null;
+}
+
+// Scan text for {{...}} tokens and brace problems
+function scanPlaceholders(text) {
+    const tokens = [];
+    const problems = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const open = text.indexOf('{{', index);
+        const close = text.indexOf('}}', index);
+
+        if (open === -1 && close === -1) {
+            break;
+        }
+
+        // A closing pair before any opening pair has nothing to close
+        if (close !== -1 && (open === -1 || close < open)) {
+            problems.push({ type: 'unexpected_close', offset: close, message: "Unexpected '}}' without a matching '{{'" });
+            index = close + 2;
+            continue;
+        }
+
+        const end = text.indexOf('}}', open + 2);
+        const nextOpen = text.indexOf('{{', open + 2);
+
+        if (end === -1 || (nextOpen !== -1 && nextOpen < end)) {
+            problems.push({ type: 'unclosed', offset: open, message: "Unclosed '{{' - missing '}}'" });
+            index = open + 2;
+            continue;
+        }
+
+        const raw = text.slice(open + 2, end);
+
+        if (text[end + 2] === '}' || raw.startsWith('{')) {
+            problems.push({ type: 'malformed', offset: open, message: `Unbalanced braces around '${raw.replace(/[{}]/g, '').trim()}'` });
+        } else {
+            try {
+                const { line, column } = getPosition(text, open);
+                tokens.push({ ...parseTag(raw, line, column), offset: open });
+            } catch (tagError) {
+                problems.push({ type: 'syntax', offset: open, message: tagError.reason || tagError.message });
+            }
+        }
+
+        index = end + 2;
+    }
+
+    return { tokens, problems };
+}
+
+// Root names used by parsed template nodes: variables and block conditions
+function collectNodeNames(nodes, names = new Set()) {
+    for (const node of nodes) {
+        if (node.type === 'text' || node.type === 'partial') {
+            continue;
+        }
+        names.add(node.name.split('.')[0]);
+        if (node.children) {
+            collectNodeNames(node.children, names);
+            collectNodeNames(node.otherwise, names);
+        }
+    }
+    return names;
+}
+
+// Lint template text against the available variable keys.
+// Errors: malformed braces, template syntax and unknown placeholders.
+// Warnings: unknown placeholders that have a default filter, unused variables.
+// `implicitKeys` are filled at render time (e.g. from the chat); they are known
+// placeholders but never reported as unused.
+// `partials` are the parsed partials the template includes (from collectPartials); variables
+// used only inside them are not reported as unused.
+function lintTemplate(text, variableKeys, { implicitKeys = [], partials: includedPartials = {} } = {}) {
+    const { tokens, problems } = scanPlaceholders(text);
+    const keys = new Set(variableKeys);
+    const knownKeys = new Set([...variableKeys, ...implicitKeys]);
+    const errors = [];
+    const warnings = [];
+
+    for (const problem of problems) {
+        errors.push({ type: problem.type, message: problem.message, ...getPosition(text, problem.offset) });
+    }
+
+    // Block structure ({{#if}}/{{/if}} balance) is only meaningful once every tag parses
+    if (problems.length === 0) {
+        try {
+            parseTemplate(text);
+        } catch (syntaxError) {
+            errors.push({ type: 'syntax', message: syntaxError.reason, line: syntaxError.line, column: syntaxError.column });
+        }
+    }
+
+    const used = new Set();
+    const partials = new Set();
+    let eachDepth = 0;
+    for (const token of tokens) {
+        if (token.kind === 'else') {
+            continue;
+        }
+        if (token.kind === 'partial') {
+            partials.add(token.name);
+            continue;
+        }
+        if (token.kind === 'close') {
+            if (token.block === 'each') eachDepth = Math.max(0, eachDepth - 1);
+            continue;
+        }
+
+        const name = token.name.split('.')[0];
+        const insideEach = eachDepth > 0;
+        if (token.kind === 'open' && token.block === 'each') eachDepth++;
+        if (name === 'this' || name.startsWith('@')) {
+            continue;
+        }
+
+        // Inside {{#each}} unknown names may be fields of the current item
+        if (insideEach && !knownKeys.has(name)) {
+            continue;
+        }
+
+        used.add(name);
+
+        if (!knownKeys.has(name)) {
+            const suggestion = suggestKey(name, knownKeys);
+            const hasDefault = (token.filters || []).some(filter => filter.name === 'default');
+            (hasDefault ? warnings : errors).push({
+                type: hasDefault ? 'unknown_placeholder_with_default' : 'unknown_placeholder',
+                placeholder: name,
+                message: `Unknown placeholder {{${name}}}${suggestion ? ` - did you mean {{${suggestion}}}?` : ''}`,
+                suggestion,
+                ...getPosition(text, token.offset)
+            });
+        }
+    }
+
+    const usedByPartials = new Set();
+    for (const nodes of Object.values(includedPartials)) {
+        collectNodeNames(nodes, usedByPartials);
+    }
+
+    for (const key of keys) {
+        if (!used.has(key) && !usedByPartials.has(key)) {
+            warnings.push({
+                type: 'unused_variable',
+                variable: key,
+                message: `Variable ${key} is not used by this template`
+            });
+        }
+    }
+
+    errors.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        placeholders: [...used],
+        partials: [...partials]
+    };
+}
+
+module.exports = {
+    scanPlaceholders,
+    lintTemplate
+};
@@ -0,0 +1,294 @@
+// src/utils/templateDiff.js - Line and key level diffs between template versions
+
+// Myers searches give up past this many edits and fall back to replacing the changed block.
+// Backtracking keeps one snapshot per edit step, so memory grows with the square of it.
+const MAX_EDIT_DISTANCE = 2000;
+
+// Myers O(ND) edit script, or null when more than maxEditDistance edits are needed
+function shortestEditScript(oldLines, newLines, maxEditDistance) {
+    const n = oldLines.length;
+    const m = newLines.length;
+    const max = n + m;
+    const offset = max;
+    const v = new Array(2 * max + 2).fill(0);
+    const trace = [];
+
+    const pickDown = (get, k, d) => k === -d || (k !== d && get(k - 1) < get(k + 1));
+    const current = k => v[k + offset];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        if (d > maxEditDistance) {
+            return null;
+        }
+
+        // Step d only reads diagonals -d-1..d+1, so that is all backtracking needs
+        const start = Math.max(0, offset - d - 1);
+        trace.push({ start, values: v.slice(start, offset + d + 2) });
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = pickDown(current, k, d) ? current(k + 1) : current(k - 1) + 1;
+            let y = x - k;
+            while (x < n && y < m && oldLines[x] === newLines[y]) {
+                x++;
+                y++;
+            }
+            v[k + offset] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    // Walk the trace backwards to recover the edit script
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const snapshot = trace[d];
+        const get = k => snapshot.values[k + offset - snapshot.start];
+        const k = x - y;
+        const prevK = pickDown(get, k, d) ? k + 1 : k - 1;
+        const prevX = get(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', line: oldLines[x - 1] });
+            x--;
+            y--;
+        }
+
+        if (d > 0) {
+            if (x === prevX) {
+                ops.push({ type: 'add', line: newLines[y - 1] });
+            } else {
+                ops.push({ type: 'remove', line: oldLines[x - 1] });
+            }
+        }
+
+        x = prevX;
+        y = prevY;
+    }
+
+    return ops.reverse();
+}
+
+// Line diff of two arrays of lines. Returns { ops, approximate } where ops is a list of
+// { type: 'equal' | 'add' | 'remove', line } operations in order. When the texts differ
+// in more than maxEditDistance lines, everything between the common prefix and suffix
+// is reported as removed and re-added (approximate: true).
+function diffLines(oldLines, newLines, { maxEditDistance = MAX_EDIT_DISTANCE } = {}) {
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+    const script = shortestEditScript(oldMiddle, newMiddle, maxEditDistance);
+
+    const middle = script || [
+        ...oldMiddle.map(line => ({ type: 'remove', line })),
+        ...newMiddle.map(line => ({ type: 'add', line }))
+    ];
+
+    return {
+        ops: [
+            ...oldLines.slice(0, prefix).map(line => ({ type: 'equal', line })),
+            ...middle,
+            ...oldLines.slice(oldLines.length - suffix).map(line => ({ type: 'equal', line }))
+        ],
+        approximate: script === null
+    };
+}
+
+// Group diff operations into unified diff hunks with `context` lines around each change
+function buildHunks(ops, context) {
+    let oldIndex = 0;
+    let newIndex = 0;
+    const annotated = ops.map(op => {
+        const entry = { ...op, oldIndex, newIndex };
+        if (op.type !== 'add') oldIndex++;
+        if (op.type !== 'remove') newIndex++;
+        return entry;
+    });
+
+    const ranges = [];
+    annotated.forEach((op, index) => {
+        if (op.type === 'equal') return;
+
+        const start = Math.max(0, index - context);
+        const end = Math.min(annotated.length - 1, index + context);
+        const last = ranges[ranges.length - 1];
+
+        if (last && start <= last.end + 1) {
+            last.end = end;
+        } else {
+            ranges.push({ start, end });
+        }
+    });
+
+    return ranges.map(({ start, end }) => {
+        const slice = annotated.slice(start, end + 1);
+        const oldLines = slice.filter(op => op.type !== 'add').length;
+        const newLines = slice.filter(op => op.type !== 'remove').length;
+
+        return {
+            oldStart: oldLines === 0 ? slice[0].oldIndex : slice[0].oldIndex + 1,
+            oldLines,
+            newStart: newLines === 0 ? slice[0].newIndex : slice[0].newIndex + 1,
+            newLines,
+            lines: slice.map(op => {
+                const prefix = op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' ';
+                return `${prefix}${op.line}`;
+            })
+        };
+    });
+}
+
+// Create a unified diff between two texts
+function createUnifiedDiff(oldText, newText, options = {}) {
+    const { fromLabel = 'a', toLabel = 'b', context = 3 } = options;
+
+    const { ops, approximate } = diffLines(oldText.split(/\r?\n/), newText.split(/\r?\n/));
+    const hunks = buildHunks(ops, context);
+
+    const stats = {
+        additions: ops.filter(op => op.type === 'add').length,
+        deletions: ops.filter(op => op.type === 'remove').length
+    };
+
+    const unified = hunks.length === 0 ? '' : [
+        `--- ${fromLabel}`,
+        `+++ ${toLabel}`,
+        ...hunks.flatMap(hunk => [
+            `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+            ...hunk.lines
+        ])
+    ].join('\n');
+
+    return { unified, hunks, stats, approximate };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Compare two JSON variable documents key by key. Documents that are not objects
+// (null, arrays, scalars) are compared as a single value under the key null.
+function diffJsonKeys(oldContent, newContent) {
+    let oldValues;
+    let newValues;
+
+    try {
+        oldValues = JSON.parse(oldContent);
+        newValues = JSON.parse(newContent);
+    } catch (parseError) {
+        return { error: `Unable to parse template values as JSON: ${parseError.message}` };
+    }
+
+    if (!isPlainObject(oldValues) || !isPlainObject(newValues)) {
+        const same = JSON.stringify(oldValues) === JSON.stringify(newValues);
+        return {
+            added: [],
+            removed: [],
+            changed: same ? [] : [{ key: null, from: oldValues, to: newValues }],
+            unchanged: same ? 1 : 0
+        };
+    }
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchanged = 0;
+
+    for (const key of Object.keys(newValues)) {
+        if (!Object.prototype.hasOwnProperty.call(oldValues, key)) {
+            added.push({ key, value: newValues[key] });
+        } else if (JSON.stringify(oldValues[key]) !== JSON.stringify(newValues[key])) {
+            changed.push({ key, from: oldValues[key], to: newValues[key] });
+        } else {
+            unchanged++;
+        }
+    }
+
+    for (const key of Object.keys(oldValues)) {
+        if (!Object.prototype.hasOwnProperty.call(newValues, key)) {
+            removed.push({ key, value: oldValues[key] });
+        }
+    }
+
+    return { added, removed, changed, unchanged };
+}
+
+// Three-way key merge of JSON values: `base` is the default the user started from,
+// `latest` the new default and `user` the user's current values.
+// Keys the user never changed follow the new default; keys changed on both sides
+// are conflicts, resolved by keeping the user's value unless onConflict is 'useDefault'.
+function mergeJsonKeys(base, latest, user, { onConflict = 'keepUser' } = {}) {
+    const has = (values, key) => Object.prototype.hasOwnProperty.call(values, key);
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    const merged = {};
+    const updated = [];
+    const added = [];
+    const removed = [];
+    const conflicts = [];
+
+    const keys = new Set([...Object.keys(latest), ...Object.keys(user), ...Object.keys(base)]);
+
+    for (const key of keys) {
+        const baseValue = has(base, key) ? base[key] : undefined;
+        const latestValue = has(latest, key) ? latest[key] : undefined;
+        const userValue = has(user, key) ? user[key] : undefined;
+
+        let value;
+        if (same(userValue, baseValue)) {
+            // Untouched by the user: take the new default
+            value = latestValue;
+            if (!same(latestValue, userValue)) {
+                if (userValue === undefined) {
+                    added.push({ key, value: latestValue });
+                } else if (latestValue === undefined) {
+                    removed.push({ key, value: userValue });
+                } else {
+                    updated.push({ key, from: userValue, to: latestValue });
+                }
+            }
+        } else if (same(latestValue, baseValue) || same(latestValue, userValue)) {
+            // Default unchanged, or both sides made the same change: keep the user's value
+            value = userValue;
+        } else {
+            value = onConflict === 'useDefault' ? latestValue : userValue;
+            conflicts.push({
+                key,
+                base: baseValue,
+                default: latestValue,
+                user: userValue,
+                resolution: onConflict === 'useDefault' ? 'default' : 'user'
+            });
+        }
+
+        if (value !== undefined) {
+            merged[key] = value;
+        }
+    }
+
+    return { merged, updated, added, removed, conflicts };
+}
+
+module.exports = {
+    MAX_EDIT_DISTANCE,
+    isPlainObject,
+    diffLines,
+    createUnifiedDiff,
+    diffJsonKeys,
+    mergeJsonKeys
+};
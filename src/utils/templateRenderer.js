@@ -0,0 +1,403 @@
+// src/utils/templateRenderer.js - Template language used to render system prompts
+//
+// Supported syntax:
+//   {{KEY}}                          variable (missing keys render as '')
+//   {{KEY | default:"text"}}         fallback when KEY is missing or empty
+//   {{KEY | upper | trim}}           filters: upper, lower, trim, json, bullet-list
+//   {{#if KEY}}...{{else}}...{{/if}} conditional on a non-empty value
+//   {{#each LIST}}...{{/each}}       loop over a JSON array; inside use {{this}},
+//                                    {{this.field}}, {{@index}}, {{@first}}, {{@last}}
+//   {{> name}}                       include another template (partial) in the current scope
+
+const NAME_PATTERN = /^(@[a-z]+|this(\.[A-Za-z_][A-Za-z0-9_]*)*|[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*)$/;
+const FILTER_PATTERN = /^([a-z][a-z-]*)(?:\s*:\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'))?$/i;
+const TAG_PATTERN = /{{(.*?)}}/g;
+const MAX_INCLUDE_DEPTH = 5;
+
+class TemplateRenderError extends Error {
+    constructor(reason, line, column) {
+        super(`${reason} (line ${line}, column ${column})`);
+        this.name = 'TemplateRenderError';
+        this.reason = reason;
+        this.line = line;
+        this.column = column;
+        this.status = 422;
+        this.partial = null;
+    }
+
+    // Attribute an error raised while parsing or rendering an included template
+    inPartial(name) {
+        if (!this.partial) {
+            this.partial = name;
+            this.message = `${this.reason} in partial '${name}' (line ${this.line}, column ${this.column})`;
+        }
+        return this;
+    }
+}
+
+// 1-based line and column for an offset in text
+function getPosition(text, offset) {
+    const before = text.slice(0, offset);
+    const lines = before.split('\n');
+    return {
+        line: lines.length,
+        column: lines[lines.length - 1].length + 1
+    };
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || value === false ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+function toText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(toText).join('\n');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// Lists may be stored as JSON arrays or as strings holding a JSON array
+function toList(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string' && value.trim().startsWith('[')) {
+        try {
+            const parsed = JSON.parse(value);
+            if (Array.isArray(parsed)) return parsed;
+        } catch (parseError) {
+            return null;
+        }
+    }
+    return null;
+}
+
+const FILTERS = {
+    upper: value => toText(value).toUpperCase(),
+    lower: value => toText(value).toLowerCase(),
+    trim: value => toText(value).trim(),
+    json: value => JSON.stringify(value === undefined ? null : value, null, 2),
+    'bullet-list': value => {
+        const items = toList(value) || toText(value).split('\n');
+        return items
+            .map(item => toText(item).trim())
+            .filter(Boolean)
+            .map(item => `- ${item}`)
+            .join('\n');
+    },
+    default: (value, fallback) => (isEmpty(value) ? fallback : value)
+};
+
+function unquote(arg) {
+    return arg.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+// Classify the content of one {{...}} tag. Throws TemplateRenderError for malformed tags.
+function parseTag(content, line, column) {
+    const tag = content.trim();
+
+    if (tag === 'else') {
+        return { kind: 'else' };
+    }
+
+    const close = tag.match(/^\/(if|each)$/);
+    if (close) {
+        return { kind: 'close', block: close[1] };
+    }
+
+    if (tag.startsWith('#')) {
+        const open = tag.match(/^#(if|each)\s+(\S+)$/);
+        if (!open) {
+            throw new TemplateRenderError(`Unknown block '{{${tag}}}' - expected {{#if KEY}} or {{#each LIST}}`, line, column);
+        }
+        if (!NAME_PATTERN.test(open[2])) {
+            throw new TemplateRenderError(`Invalid variable name '${open[2]}'`, line, column);
+        }
+        return { kind: 'open', block: open[1], name: open[2] };
+    }
+
+    if (tag.startsWith('/')) {
+        throw new TemplateRenderError(`Unknown closing tag '{{${tag}}}'`, line, column);
+    }
+
+    if (tag.startsWith('>')) {
+        const include = tag.match(/^>\s*([A-Za-z_][A-Za-z0-9_]*)$/);
+        if (!include) {
+            throw new TemplateRenderError(`Invalid include '{{${tag}}}' - expected {{> name}}`, line, column);
+        }
+        return { kind: 'partial', name: include[1] };
+    }
+
+    // Split "KEY | filter:"arg" | filter" on pipes outside quotes
+    const parts = tag.match(/("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^|])+/g) || [''];
+    const name = parts[0].trim();
+
+    if (!name) {
+        throw new TemplateRenderError('Empty placeholder {{}}', line, column);
+    }
+    if (!NAME_PATTERN.test(name)) {
+        throw new TemplateRenderError(`Invalid placeholder name '${name}'`, line, column);
+    }
+
+    const filters = parts.slice(1).map(part => {
+        const match = part.trim().match(FILTER_PATTERN);
+        if (!match || !FILTERS[match[1]]) {
+            throw new TemplateRenderError(`Unknown filter '${part.trim()}' - available: ${Object.keys(FILTERS).join(', ')}`, line, column);
+        }
+        if (match[1] === 'default' && match[2] === undefined) {
+            throw new TemplateRenderError('default filter needs a quoted value, e.g. default:"..."', line, column);
+        }
+        return { name: match[1], arg: match[2] !== undefined ? unquote(match[2]) : undefined };
+    });
+
+    return { kind: 'var', name, filters };
+}
+
+// Split text into text and tag tokens. Block tags alone on a line remove that line.
+function tokenize(text) {
+    const tokens = [];
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(text)) !== null) {
+        const { line, column } = getPosition(text, match.index);
+        const tag = parseTag(match[1], line, column);
+        let start = match.index;
+        let end = match.index + match[0].length;
+
+        if (tag.kind !== 'var' && tag.kind !== 'partial') {
+            const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+            const newline = text.indexOf('\n', end);
+            const lineEnd = newline === -1 ? text.length : newline + 1;
+
+            if (lineStart >= lastIndex && /^[ \t]*$/.test(text.slice(lineStart, start)) &&
+                /^[ \t]*\r?\n?$/.test(text.slice(end, lineEnd))) {
+                start = lineStart;
+                end = lineEnd;
+            }
+        }
+
+        if (start > lastIndex) {
+            tokens.push({ type: 'text', value: text.slice(lastIndex, start) });
+        }
+        tokens.push({ type: 'tag', ...tag, line, column });
+        lastIndex = end;
+        TAG_PATTERN.lastIndex = Math.max(TAG_PATTERN.lastIndex, end);
+    }
+    if (lastIndex < text.length) {
+        tokens.push({ type: 'text', value: text.slice(lastIndex) });
+    }
+
+    return tokens;
+}
+
+// Build the node tree, checking that blocks are balanced
+function parseTemplate(text) {
+    const root = { children: [] };
+    const stack = [root];
+
+    for (const token of tokenize(text)) {
+        const current = stack[stack.length - 1];
+        const target = current.inElse ? current.otherwise : current.children;
+
+        if (token.type === 'text') {
+            target.push({ type: 'text', value: token.value });
+        } else if (token.kind === 'var') {
+            target.push({ type: 'var', name: token.name, filters: token.filters, line: token.line, column: token.column });
+        } else if (token.kind === 'partial') {
+            target.push({ type: 'partial', name: token.name, line: token.line, column: token.column });
+        } else if (token.kind === 'open') {
+            const node = { type: token.block, name: token.name, children: [], otherwise: [], inElse: false, line: token.line, column: token.column };
+            target.push(node);
+            stack.push(node);
+        } else if (token.kind === 'else') {
+            if (stack.length === 1 || current.inElse) {
+                throw new TemplateRenderError('Unexpected {{else}}', token.line, token.column);
+            }
+            current.inElse = true;
+        } else if (token.kind === 'close') {
+            if (stack.length === 1) {
+                throw new TemplateRenderError(`Unexpected {{/${token.block}}} without a matching {{#${token.block}}}`, token.line, token.column);
+            }
+            if (current.type !== token.block) {
+                throw new TemplateRenderError(`{{/${token.block}}} closes {{#${current.type}}} opened at line ${current.line}, column ${current.column}`, token.line, token.column);
+            }
+            stack.pop();
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new TemplateRenderError(`Unclosed {{#${open.type} ${open.name}}}`, open.line, open.column);
+    }
+
+    return root.children;
+}
+
+// Resolve a name against the scope stack (innermost loop item first, then variables)
+function lookup(name, scopes) {
+    const scope = scopes[scopes.length - 1];
+
+    if (name.startsWith('@')) {
+        return scope.locals ? scope.locals[name] : undefined;
+    }
+
+    const [head, ...rest] = name.split('.');
+    let value;
+
+    if (head === 'this') {
+        value = scope.locals ? scope.locals.this : undefined;
+    } else {
+        const owner = [...scopes].reverse().find(s => s.data && typeof s.data === 'object' &&
+            Object.prototype.hasOwnProperty.call(s.data, head));
+        value = owner ? owner.data[head] : undefined;
+    }
+
+    for (const key of rest) {
+        value = value !== undefined && value !== null ? value[key] : undefined;
+    }
+
+    return value;
+}
+
+function renderNodes(nodes, scopes, partials) {
+    let output = '';
+
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'var') {
+            let value = lookup(node.name, scopes);
+            for (const filter of node.filters) {
+                value = FILTERS[filter.name](value, filter.arg);
+            }
+            output += toText(value);
+        } else if (node.type === 'if') {
+            const value = lookup(node.name, scopes);
+            const list = toList(value);
+            const truthy = list ? list.length > 0 : !isEmpty(value) && String(value).trim() !== '';
+            output += renderNodes(truthy ? node.children : node.otherwise, scopes, partials);
+        } else if (node.type === 'each') {
+            const value = lookup(node.name, scopes);
+            const list = toList(value);
+
+            if (list === null && !isEmpty(value)) {
+                throw new TemplateRenderError(`{{#each ${node.name}}} expects a JSON array, got ${typeof value}`, node.line, node.column);
+            }
+
+            if (!list || list.length === 0) {
+                output += renderNodes(node.otherwise, scopes, partials);
+                continue;
+            }
+
+            list.forEach((item, index) => {
+                output += renderNodes(node.children, [...scopes, {
+                    data: item,
+                    locals: {
+                        this: item,
+                        '@index': index,
+                        '@first': index === 0,
+                        '@last': index === list.length - 1
+                    }
+                }], partials);
+            });
+        } else if (node.type === 'partial') {
+            if (!partials[node.name]) {
+                throw new TemplateRenderError(`Partial '${node.name}' not found`, node.line, node.column);
+            }
+            try {
+                output += renderNodes(partials[node.name], scopes, partials);
+            } catch (renderError) {
+                throw renderError instanceof TemplateRenderError ? renderError.inPartial(node.name) : renderError;
+            }
+        }
+    }
+
+    return output;
+}
+
+// Include tags anywhere in a node tree
+function findPartialReferences(nodes) {
+    const references = [];
+    for (const node of nodes) {
+        if (node.type === 'partial') {
+            references.push(node);
+        } else if (node.children) {
+            references.push(...findPartialReferences(node.children), ...findPartialReferences(node.otherwise));
+        }
+    }
+    return references;
+}
+
+// Load and parse every partial reachable from `nodes`. loadPartial(name) resolves to the
+// partial's text or null. Include cycles and chains deeper than maxDepth are errors.
+async function collectPartials(nodes, loadPartial, { rootName = null, maxDepth = MAX_INCLUDE_DEPTH } = {}) {
+    const partials = {};
+
+    const visit = async (children, stack) => {
+        for (const reference of findPartialReferences(children)) {
+            const chain = [...stack, reference.name];
+
+            let error = null;
+            if (stack.includes(reference.name)) {
+                error = new TemplateRenderError(`Include cycle detected: ${chain.join(' > ')}`, reference.line, reference.column);
+            } else if (chain.length - 1 > maxDepth) {
+                error = new TemplateRenderError(`Include depth limit of ${maxDepth} exceeded: ${chain.join(' > ')}`, reference.line, reference.column);
+            }
+
+            if (!error && !partials[reference.name]) {
+                const content = await loadPartial(reference.name);
+                if (content === null || content === undefined) {
+                    error = new TemplateRenderError(`Partial '${reference.name}' not found`, reference.line, reference.column);
+                } else {
+                    try {
+                        partials[reference.name] = parseTemplate(content);
+                    } catch (parseError) {
+                        throw parseError instanceof TemplateRenderError ? parseError.inPartial(reference.name) : parseError;
+                    }
+                }
+            }
+
+            if (error) {
+                // Errors on an include tag inside a partial point at that partial
+                const owner = stack.length > 1 ? stack[stack.length - 1] : null;
+                throw owner ? error.inPartial(owner) : error;
+            }
+
+            await visit(partials[reference.name], chain);
+        }
+    };
+
+    await visit(nodes, [rootName || '(template)']);
+    return partials;
+}
+
+// Render template text with variables. Throws TemplateRenderError (with line and column).
+// Templates with {{> name}} includes need the parsed partials from collectPartials.
+function renderTemplate(text, variables, partials = {}) {
+    return renderNodes(parseTemplate(text), [{ data: variables || {} }], partials);
+}
+
+// Resolve includes with loadPartial, then render
+async function renderTemplateWithPartials(text, variables, loadPartial, options = {}) {
+    const nodes = parseTemplate(text);
+    const partials = await collectPartials(nodes, loadPartial, options);
+
+    return {
+        output: renderNodes(nodes, [{ data: variables || {} }], partials),
+        partials: Object.keys(partials)
+    };
+}
+
+module.exports = {
+    TemplateRenderError,
+    FILTERS,
+    getPosition,
+    parseTag,
+    parseTemplate,
+    findPartialReferences,
+    collectPartials,
+    renderTemplate,
+    renderTemplateWithPartials,
+    MAX_INCLUDE_DEPTH
+};
@@ -0,0 +1,116 @@
+// src/utils/tokenCounter.js - Local token estimates and context-window checks
+//
+// These are estimates, not the providers' tokenizers: text is split the way BPE
+// pre-tokenizers do (words, digit groups, punctuation, whitespace) and each piece is
+// costed with per-family averages. They land within a few percent on English prose,
+// which is enough to catch prompts that will not fit long before the provider does.
+
+const TOKENIZER_FAMILIES = {
+    // o200k / cl100k: common words are one token, digits in groups of three
+    openai: { wordChars: 6, digitGroup: 3, punctuationChars: 2, messageOverhead: 3, replyOverhead: 3 },
+    // Llama 3 uses a tiktoken-style 128k vocabulary; the chat header costs more per message
+    llama: { wordChars: 6, digitGroup: 3, punctuationChars: 2, messageOverhead: 5, replyOverhead: 4 },
+    // Mistral's smaller SentencePiece vocabulary splits words and digits more often
+    mistral: { wordChars: 4.5, digitGroup: 1, punctuationChars: 1.5, messageOverhead: 4, replyOverhead: 1 },
+    // Unknown models: the usual four characters per token
+    generic: { charsPerToken: 4, messageOverhead: 4, replyOverhead: 3 }
+};
+
+const PIECE_PATTERN = /\p{L}+|\p{N}+|[^\s\p{L}\p{N}]+|\s+/gu;
+const WIDE_SCRIPT_PATTERN = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/u;
+
+// Tokenizer family for an LLM provider config: its `tokenizer`, else guessed from the model
+function getTokenizerFamily(llmConfig = {}) {
+    if (llmConfig.tokenizer && TOKENIZER_FAMILIES[llmConfig.tokenizer]) {
+        return llmConfig.tokenizer;
+    }
+
+    const model = String(llmConfig.model || '').toLowerCase();
+    if (/^(gpt|o\d|chatgpt)/.test(model)) {
+        return 'openai';
+    }
+    if (model.includes('llama')) {
+        return 'llama';
+    }
+    if (/mistral|mixtral|saba|codestral/.test(model)) {
+        return 'mistral';
+    }
+    return 'generic';
+}
+
+function estimateTokens(text, family = 'generic') {
+    if (!text) {
+        return 0;
+    }
+
+    const rules = TOKENIZER_FAMILIES[family] || TOKENIZER_FAMILIES.generic;
+    if (rules.charsPerToken) {
+        return Math.ceil(text.length / rules.charsPerToken);
+    }
+
+    let tokens = 0;
+    for (const [piece] of text.matchAll(PIECE_PATTERN)) {
+        const first = piece[0];
+
+        if (/\s/.test(first)) {
+            // A single space merges into the next word; runs and line breaks cost a token
+            tokens += piece === ' ' ? 0 : 1;
+        } else if (/\p{N}/u.test(first)) {
+            tokens += Math.ceil(piece.length / rules.digitGroup);
+        } else if (/\p{L}/u.test(first)) {
+            // CJK and Hangul are roughly one token per character
+            tokens += WIDE_SCRIPT_PATTERN.test(piece)
+                ? piece.length
+                : Math.ceil(piece.length / rules.wordChars);
+        } else {
+            tokens += Math.ceil(piece.length / rules.punctuationChars);
+        }
+    }
+    return tokens;
+}
+
+// Estimated prompt size for `messages` against llmConfig's context window. The
+// response still needs room, so a prompt that fits but leaves less than maxTokens
+// for the answer gets a warning.
+function measurePrompt(messages, llmConfig = {}) {
+    const family = getTokenizerFamily(llmConfig);
+    const rules = TOKENIZER_FAMILIES[family];
+
+    const byRole = {};
+    let total = rules.replyOverhead;
+    for (const message of messages) {
+        const count = estimateTokens(message.content || '', family) + rules.messageOverhead;
+        byRole[message.role] = (byRole[message.role] || 0) + count;
+        total += count;
+    }
+
+    const contextWindow = llmConfig.contextWindow || null;
+    const maxOutputTokens = llmConfig.maxTokens || null;
+    const remaining = contextWindow ? contextWindow - total : null;
+
+    let warning = null;
+    if (remaining !== null && remaining >= 0 && maxOutputTokens && remaining < maxOutputTokens) {
+        warning = `Only ${remaining} tokens of the ${contextWindow}-token context window are left for the response (maxTokens is ${maxOutputTokens}); long answers will be cut off.`;
+    }
+
+    return {
+        tokenizer: family,
+        estimated: true,
+        system: byRole.system || 0,
+        user: byRole.user || 0,
+        assistant: byRole.assistant || 0,
+        total,
+        contextWindow,
+        maxOutputTokens,
+        remaining,
+        overflow: remaining !== null && remaining < 0,
+        warning
+    };
+}
+
+module.exports = {
+    TOKENIZER_FAMILIES,
+    getTokenizerFamily,
+    estimateTokens,
+    measurePrompt
+};
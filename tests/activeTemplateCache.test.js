@@ -0,0 +1,138 @@
+// tests/activeTemplateCache.test.js - cached active templates are dropped when a write changes them
+const request = require('supertest');
+const app = require('../src/app');
+const activeTemplateCache = require('../src/services/activeTemplateCache');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+const ACTIVE_LOOKUP = /SELECT content, version FROM prompt_templates WHERE username = \$1 AND template_type = \$2 AND is_active = TRUE AND status = 'published'/;
+
+// learner's conceptMentor: v1 published and active, v2 published, v3 a draft
+const VERSIONS = {
+    1: { content: 'Mentor v1', status: 'published' },
+    2: { content: 'Mentor v2', status: 'published' },
+    3: { content: 'Mentor v3', status: 'draft' }
+};
+
+describe('active template cache', () => {
+    let db;
+    let activeVersion;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        activeVersion = 1;
+        db = installFakeDb([
+            [ACTIVE_LOOKUP, () => activeVersion ? [{ content: VERSIONS[activeVersion].content, version: activeVersion }] : []],
+            [/AS latest_version/, () => [{ latest_version: 3, active_version: activeVersion }]],
+            [/SELECT id, status FROM prompt_templates/, params => VERSIONS[params[2]] ? [{ id: params[2], status: VERSIONS[params[2]].status }] : []],
+            [/UPDATE prompt_templates SET is_active = TRUE/, params => {
+                activeVersion = params[2];
+                return { rows: [], rowCount: 1 };
+            }],
+            [/DELETE FROM prompt_templates WHERE username = \$1 AND template_type = \$2 AND is_active = TRUE/, () => {
+                activeVersion = null;
+                return { rows: [], rowCount: 1 };
+            }],
+            [/COALESCE\(MAX\(version\), 0\) \+ 1 as next_version/, () => [{ next_version: 4 }]],
+            [/INSERT INTO prompt_templates/, params => [{ id: 40, version: params[3], status: 'draft', created_at: null }]]
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function systemPrompt() {
+        const response = await request(app)
+            .post('/api/templates/process')
+            .send({ username: 'learner', promptType: 'conceptMentor', userInput: 'Hi' });
+        return response.body.messages[0].content;
+    }
+
+    function activeLookups() {
+        return db.find(ACTIVE_LOOKUP).filter(({ params }) => params[1] === 'conceptMentor').length;
+    }
+
+    test('repeated prompts are served from the cache', async () => {
+        expect(await systemPrompt()).toBe('Mentor v1');
+        expect(await systemPrompt()).toBe('Mentor v1');
+
+        expect(activeLookups()).toBe(1);
+        expect(activeTemplateCache.getStats().hits).toBeGreaterThan(0);
+    });
+
+    test('restoring a version serves it on the next prompt', async () => {
+        expect(await systemPrompt()).toBe('Mentor v1');
+
+        const response = await request(app)
+            .post('/api/templates/restore')
+            .send({ username: 'learner', templateType: 'conceptMentor', version: 2 });
+        expect(response.status).toBe(200);
+
+        expect(await systemPrompt()).toBe('Mentor v2');
+        expect(activeLookups()).toBe(2);
+    });
+
+    test('deleting the active version falls back to the default on the next prompt', async () => {
+        expect(await systemPrompt()).toBe('Mentor v1');
+
+        const response = await request(app)
+            .delete('/api/templates')
+            .send({ username: 'learner', templateType: 'conceptMentor' });
+        expect(response.status).toBe(200);
+
+        expect(await systemPrompt()).not.toBe('Mentor v1');
+        expect(activeLookups()).toBe(2);
+    });
+
+    test("saving a draft drops the user's cached entry", async () => {
+        await systemPrompt();
+        const before = activeTemplateCache.getStats().invalidations;
+
+        const response = await request(app)
+            .post('/api/templates')
+            .send({ username: 'learner', templateType: 'conceptMentor', content: 'Mentor v4' });
+        expect(response.status).toBe(201);
+
+        expect(activeTemplateCache.getStats().invalidations).toBe(before + 1);
+        expect(await systemPrompt()).toBe('Mentor v1');
+        expect(activeLookups()).toBe(2);
+    });
+
+    test('a refused restore keeps the cached entry', async () => {
+        await systemPrompt();
+
+        const response = await request(app)
+            .post('/api/templates/restore')
+            .set('If-Match', '"2"')
+            .send({ username: 'learner', templateType: 'conceptMentor', version: 2 });
+        expect(response.status).toBe(409);
+
+        expect(await systemPrompt()).toBe('Mentor v1');
+        expect(activeLookups()).toBe(1);
+    });
+});
+
+describe('GET /migrate/status', () => {
+    const { MIGRATED_TABLES } = require('../src/config/migrate');
+
+    beforeEach(() => {
+        silenceConsole();
+        installFakeDb([
+            [/information_schema\.tables/, params => params[0].filter(table => table !== 'template_labels').map(table_name => ({ table_name }))]
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('checks every migrated table and reports the missing ones', async () => {
+        const response = await request(app).get('/migrate/status');
+
+        expect(response.status).toBe(200);
+        expect(MIGRATED_TABLES).toHaveLength(17);
+        expect(response.body.data).toMatchObject({ missingTables: ['template_labels'], allTablesExist: false });
+        expect(response.body.data.existingTables).toHaveLength(16);
+    });
+});
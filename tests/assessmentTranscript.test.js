@@ -0,0 +1,101 @@
+// tests/assessmentTranscript.test.js - assessment prompts filled with a transcript of the assessed chat
+const request = require('supertest');
+const app = require('../src/app');
+const { formatTranscript } = require('../src/utils/chatHistory');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+const TURNS = [
+    { role: 'user', content: 'What is entropy?' },
+    { role: 'assistant', content: 'A measure of disorder.' },
+    { role: 'user', content: 'So a messy room has high entropy?' },
+    { role: 'assistant', content: 'Loosely, yes.' }
+];
+
+describe('formatTranscript', () => {
+    test('numbers every turn with the role labels', () => {
+        const { transcript, range } = formatTranscript(TURNS.slice(0, 2), { userLabel: 'Student' });
+
+        expect(transcript).toBe('[1] Student: What is entropy?\n\n[2] Mentor: A measure of disorder.');
+        expect(range).toEqual({ from: 1, to: 2, total: 2 });
+    });
+
+    test('from/to keep the original turn numbers', () => {
+        const { transcript, range } = formatTranscript(TURNS, { from: 2, to: 3 });
+
+        expect(transcript).toBe('[2] Mentor: A measure of disorder.\n\n[3] Learner: So a messy room has high entropy?');
+        expect(range).toEqual({ from: 2, to: 3, total: 4 });
+    });
+
+    test('last picks the final turns and is capped at the conversation length', () => {
+        expect(formatTranscript(TURNS, { last: 1 }).range).toEqual({ from: 4, to: 4, total: 4 });
+        expect(formatTranscript(TURNS, { last: 10 }).range).toEqual({ from: 1, to: 4, total: 4 });
+    });
+
+    test('an empty conversation has no range', () => {
+        expect(formatTranscript([])).toEqual({ transcript: '', range: { from: null, to: null, total: 0 } });
+    });
+});
+
+describe('POST /api/templates/process for assessmentPrompt', () => {
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        installFakeDb([
+            [/SELECT user_id, conversation FROM chat WHERE id = \$1/, params => params[0] === 7 ? [{ user_id: 'learner', conversation: TURNS }] : []]
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    function processWith(fields) {
+        return request(app)
+            .post('/api/templates/process')
+            .send({ username: 'learner', promptType: 'assessmentPrompt', userInput: 'Assess this chat', ...fields });
+    }
+
+    test('the chat fills CONVERSATION_TRANSCRIPT instead of being replayed', async () => {
+        const response = await processWith({ chat_id: 7 });
+
+        expect(response.status).toBe(200);
+        const [system, ...rest] = response.body.messages;
+        expect(system.content).toContain('## Conversation History 💬\n\n[1] Learner: What is entropy?');
+        expect(system.content).toContain('[4] Mentor: Loosely, yes.');
+        expect(rest).toEqual([{ role: 'user', content: 'Assess this chat' }]);
+        expect(response.body.metadata.history).toMatchObject({
+            source: 'chat',
+            mode: 'transcript',
+            transcriptRange: { from: 1, to: 4, total: 4 }
+        });
+    });
+
+    test('labels and a range narrow the transcript', async () => {
+        const response = await processWith({ chat_id: 7, transcript: { userLabel: 'Student', assistantLabel: 'Tutor', from: 3 } });
+
+        const system = response.body.messages[0].content;
+        expect(system).toContain('[3] Student: So a messy room has high entropy?\n\n[4] Tutor: Loosely, yes.');
+        expect(system).not.toContain('[2]');
+        expect(response.body.metadata.history.transcriptRange).toEqual({ from: 3, to: 4, total: 4 });
+    });
+
+    test("historyMode 'messages' replays the chat instead", async () => {
+        const response = await processWith({ chat_id: 7, historyMode: 'messages' });
+
+        expect(response.body.messages).toHaveLength(6);
+        expect(response.body.messages[0].content).not.toContain('## Conversation History');
+    });
+
+    test('without a chat the transcript section is left out', async () => {
+        const response = await processWith({});
+
+        expect(response.status).toBe(200);
+        expect(response.body.messages[0].content).not.toContain('## Conversation History');
+        expect(response.body.metadata.history).toBeNull();
+    });
+
+    test('400 when last is combined with from', async () => {
+        const response = await processWith({ chat_id: 7, transcript: { last: 2, from: 1 } });
+        expect(response.status).toBe(400);
+    });
+});
@@ -0,0 +1,127 @@
+// tests/chatHistory.test.js - multi-turn prompts from a stored chat or inline history
+const request = require('supertest');
+const app = require('../src/app');
+const { normalizeHistory } = require('../src/utils/chatHistory');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+describe('normalizeHistory', () => {
+    test('maps role aliases and content shapes to user/assistant turns', () => {
+        const { messages, dropped } = normalizeHistory([
+            { sender: 'Student', text: 'What is entropy?' },
+            { role: 'mentor', content: [{ type: 'text', text: 'A measure of disorder.' }, 'Want an example?'] },
+            { from: 'human', message: 'Yes please' }
+        ]);
+
+        expect(messages).toEqual([
+            { role: 'user', content: 'What is entropy?' },
+            { role: 'assistant', content: 'A measure of disorder.\nWant an example?' },
+            { role: 'user', content: 'Yes please' }
+        ]);
+        expect(dropped).toBe(0);
+    });
+
+    test('drops system, unknown and empty entries and merges consecutive turns', () => {
+        const { messages, dropped } = normalizeHistory([
+            { role: 'system', content: 'Stored system prompt' },
+            { role: 'user', content: 'First' },
+            { role: 'narrator', content: 'Meanwhile' },
+            { role: 'user', content: '  ' },
+            'not an entry',
+            { role: 'user', content: 'Second' }
+        ]);
+
+        expect(messages).toEqual([{ role: 'user', content: 'First\n\nSecond' }]);
+        expect(dropped).toBe(4);
+    });
+});
+
+describe('POST /api/templates/process with earlier turns', () => {
+    let chats;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        chats = {
+            7: {
+                user_id: 'learner',
+                conversation: JSON.stringify([
+                    { role: 'system', content: 'Old system prompt' },
+                    { role: 'user', content: 'What is entropy?' },
+                    { role: 'assistant', content: 'A measure of disorder.' }
+                ])
+            },
+            8: { user_id: 'someone-else', conversation: [] }
+        };
+        installFakeDb([
+            [/SELECT user_id, conversation FROM chat WHERE id = \$1/, params => chats[params[0]] ? [chats[params[0]]] : []]
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    function processWith(fields) {
+        return request(app)
+            .post('/api/templates/process')
+            .send({ username: 'learner', promptType: 'conceptMentor', ...fields });
+    }
+
+    test('replays a stored chat between the system prompt and the new input', async () => {
+        const response = await processWith({ chat_id: 7, userInput: 'Give me an example' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.messages.map(({ role }) => role)).toEqual(['system', 'user', 'assistant', 'user']);
+        expect(response.body.messages.slice(1)).toEqual([
+            { role: 'user', content: 'What is entropy?' },
+            { role: 'assistant', content: 'A measure of disorder.' },
+            { role: 'user', content: 'Give me an example' }
+        ]);
+        expect(response.body.metadata.history).toMatchObject({ source: 'chat', chatId: 7, mode: 'messages', messages: 2, dropped: 1 });
+    });
+
+    test('new input is appended to a trailing user turn instead of adding another', async () => {
+        const response = await processWith({
+            history: [{ role: 'assistant', content: 'Hello!' }, { role: 'user', content: 'Hi' }],
+            userInput: 'Can we start?'
+        });
+
+        expect(response.body.messages.slice(1)).toEqual([
+            { role: 'assistant', content: 'Hello!' },
+            { role: 'user', content: 'Hi\n\nCan we start?' }
+        ]);
+        expect(response.body.metadata.history).toMatchObject({ source: 'inline', chatId: null });
+    });
+
+    test('without new input the stored user turn is the last message', async () => {
+        const response = await processWith({ history: [{ role: 'user', content: 'Hi' }] });
+
+        expect(response.body.messages.slice(1)).toEqual([{ role: 'user', content: 'Hi' }]);
+    });
+
+    test('404 for an unknown chat', async () => {
+        const response = await processWith({ chat_id: 99 });
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Chat not found');
+    });
+
+    test("403 for another user's chat", async () => {
+        const response = await processWith({ chat_id: 8 });
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toBe('Chat belongs to another user');
+    });
+
+    test('400 for an anthropic request body when the history starts with the assistant', async () => {
+        const response = await processWith({ history: [{ role: 'assistant', content: 'Hello!' }], outputFormat: 'anthropic' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Invalid conversation');
+    });
+
+    test('400 when both chat_id and history are given', async () => {
+        const response = await processWith({ chat_id: 7, history: [] });
+        expect(response.status).toBe(400);
+    });
+});
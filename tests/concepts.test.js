@@ -0,0 +1,116 @@
+// tests/concepts.test.js - concept library CRUD and conceptId in POST /api/templates/process
+const request = require('supertest');
+const app = require('../src/app');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+const GRAVITY = {
+    id: 7,
+    name: 'Gravity',
+    description: null,
+    variables: { CONCEPT_CONTENT: 'Mass attracts mass.', STAGE_1_CONTENT: 'Drop an apple.' },
+    is_active: true,
+    created_by: 'teacher',
+    created_at: null,
+    updated_at: null
+};
+
+describe('concepts', () => {
+    let db;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        db = installFakeDb([
+            [/INSERT INTO concepts/, params => {
+                if (params[0] === GRAVITY.name) {
+                    const error = new Error('duplicate key value violates unique constraint');
+                    error.code = '23505';
+                    throw error;
+                }
+                return [{ ...GRAVITY, id: 8, name: params[0], variables: JSON.parse(params[2]) }];
+            }],
+            [/SELECT \* FROM concepts WHERE id = \$1/, params => params[0] === GRAVITY.id ? [GRAVITY] : []],
+            [/UPDATE concepts/, params => [{ ...GRAVITY, name: params[0], variables: JSON.parse(params[2]), is_active: params[3] }]],
+            [/SELECT id, name, variables FROM concepts WHERE id = \$1 AND is_active = TRUE/, params => params[0] === GRAVITY.id ? [GRAVITY] : []]
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('POST /api/concepts stores the variables and lists the ones still missing', async () => {
+        const response = await request(app)
+            .post('/api/concepts')
+            .send({ name: 'Friction', variables: { CONCEPT_CONTENT: 'Surfaces resist sliding.' } });
+
+        expect(response.status).toBe(201);
+        const [insert] = db.find(/INSERT INTO concepts/);
+        expect(JSON.parse(insert.params[2])).toEqual({ CONCEPT_CONTENT: 'Surfaces resist sliding.' });
+        expect(response.body.data.concept.variableKeys).toEqual(['CONCEPT_CONTENT']);
+        expect(response.body.data.concept.missingVariables).toContain('STAGE_1_CONTENT');
+        expect(response.body.data.concept.missingVariables).not.toContain('CONCEPT_CONTENT');
+    });
+
+    test('POST /api/concepts with a taken name is a 409', async () => {
+        const response = await request(app)
+            .post('/api/concepts')
+            .send({ name: 'Gravity' });
+
+        expect(response.status).toBe(409);
+    });
+
+    test('PUT /api/concepts/:id merges variables key by key', async () => {
+        const response = await request(app)
+            .put('/api/concepts/7')
+            .send({ variables: { STAGE_1_CONTENT: 'Drop a feather.' } });
+
+        expect(response.status).toBe(200);
+        const [update] = db.find(/UPDATE concepts/);
+        expect(JSON.parse(update.params[2])).toEqual({ CONCEPT_CONTENT: 'Mass attracts mass.', STAGE_1_CONTENT: 'Drop a feather.' });
+    });
+
+    test('PUT /api/concepts/:id with replaceVariables replaces them', async () => {
+        await request(app)
+            .put('/api/concepts/7')
+            .send({ variables: { STAGE_1_CONTENT: 'Drop a feather.' }, replaceVariables: true });
+
+        const [update] = db.find(/UPDATE concepts/);
+        expect(JSON.parse(update.params[2])).toEqual({ STAGE_1_CONTENT: 'Drop a feather.' });
+    });
+
+    test('PUT /api/concepts/:id for an unknown concept is a 404', async () => {
+        const response = await request(app)
+            .put('/api/concepts/99')
+            .send({ name: 'Anything' });
+
+        expect(response.status).toBe(404);
+        expect(db.find(/UPDATE concepts/)).toEqual([]);
+    });
+
+    test('POST /api/templates/process with a conceptId renders that concept', async () => {
+        const response = await request(app)
+            .post('/api/templates/process')
+            .send({ username: 'learner', promptType: 'conceptMentor', conceptId: 7 });
+
+        expect(response.status).toBe(200);
+        const system = response.body.messages.find(message => message.role === 'system').content;
+        expect(system).toContain('Gravity');
+        expect(system).toContain('Mass attracts mass.');
+        expect(response.body.metadata.concept).toEqual({ id: 7, name: 'Gravity' });
+        expect(response.body.metadata.variableSources).toMatchObject({
+            CONCEPT_NAME: 'concept',
+            CONCEPT_CONTENT: 'concept',
+            STAGE_2_CONTENT: 'default'
+        });
+    });
+
+    test('POST /api/templates/process with an unknown or inactive concept is a 404', async () => {
+        const response = await request(app)
+            .post('/api/templates/process')
+            .send({ username: 'learner', promptType: 'conceptMentor', conceptId: 99 });
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Concept not found');
+    });
+});
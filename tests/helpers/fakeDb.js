@@ -0,0 +1,93 @@
+// tests/helpers/fakeDb.js - pool.query / pool.connect stand-in for controller tests
+const { pool } = require('../../src/config/database');
+const activeTemplateCache = require('../../src/services/activeTemplateCache');
+const templateTypeRegistry = require('../../src/services/templateTypeRegistry');
+const llmConfigRegistry = require('../../src/services/llmConfigRegistry');
+const dataFileCache = require('../../src/services/dataFileCache');
+
+// Tables from optional features are reported missing by default so the registries fall back
+// to the built-in template types, llmConfigs.json and no variable layers.
+const DEFAULT_MISSING_TABLES = /FROM (template_types|llm_configs|variable_layers)\b/;
+
+function missingTableError() {
+    const error = new Error('relation does not exist');
+    error.code = '42P01';
+    return error;
+}
+
+// Install a fake database. Each handler is [pattern, respond]; the first pattern that matches
+// the SQL text answers it. respond(params, text) returns rows (an array), a full result
+// ({ rows, rowCount }) or throws. Unmatched queries return no rows.
+// Every query is recorded as { text, params, via: 'pool' | 'client' }.
+function installFakeDb(handlers = [], { missingTables = DEFAULT_MISSING_TABLES } = {}) {
+    const queries = [];
+
+    function makeQuery(via) {
+        return async (text, params = []) => {
+            queries.push({ text, params, via });
+
+            if (missingTables && missingTables.test(text)) {
+                throw missingTableError();
+            }
+
+            const handler = handlers.find(([pattern]) => pattern.test(text));
+            if (!handler) {
+                return { rows: [], rowCount: 0 };
+            }
+
+            const result = await handler[1](params, text);
+            if (Array.isArray(result)) {
+                return { rows: result, rowCount: result.length };
+            }
+            return result || { rows: [], rowCount: 0 };
+        };
+    }
+
+    const clients = [];
+
+    jest.spyOn(pool, 'query').mockImplementation(makeQuery('pool'));
+    jest.spyOn(pool, 'connect').mockImplementation(async () => {
+        const client = { query: makeQuery('client'), released: false, release() { this.released = true; } };
+        clients.push(client);
+        return client;
+    });
+
+    return {
+        queries,
+        clients,
+        // Recorded queries whose SQL matches pattern
+        find(pattern) {
+            return queries.filter(({ text }) => pattern.test(text));
+        },
+        // SQL texts in the order they ran, whitespace collapsed
+        texts() {
+            return queries.map(({ text }) => text.replace(/\s+/g, ' ').trim());
+        },
+        reset() {
+            queries.length = 0;
+            clients.length = 0;
+        }
+    };
+}
+
+// Drop everything the services cached from earlier tests
+function resetCaches() {
+    activeTemplateCache.invalidate();
+    templateTypeRegistry.invalidate();
+    llmConfigRegistry.invalidate();
+    dataFileCache.clear();
+}
+
+// Console output from the controllers is noise in test runs
+function silenceConsole() {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+}
+
+module.exports = {
+    installFakeDb,
+    resetCaches,
+    silenceConsole,
+    missingTableError
+};
@@ -0,0 +1,241 @@
+// tests/llmConfigs.test.js - /api/llm-configs, user preferences and provider selection in processPrompt
+const request = require('supertest');
+const app = require('../src/app');
+const llmConfigRegistry = require('../src/services/llmConfigRegistry');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+function configRow(id, name, model, fields = {}) {
+    return {
+        id, name, model, temperature: 0.7, max_tokens: 1000, top_p: 1,
+        context_window: 8192, tokenizer: 'openai', is_active: true, created_at: null, updated_at: null,
+        ...fields
+    };
+}
+
+describe('LLM configs', () => {
+    let db;
+    let configs;
+    let preferences;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        configs = [
+            configRow(1, 'default', 'gpt-4o-mini'),
+            configRow(2, 'claude', 'claude-sonnet'),
+            configRow(3, 'retired', 'old-model', { is_active: false })
+        ];
+        preferences = { learner: 'claude' };
+        db = installFakeDb([
+            [/SELECT \* FROM llm_configs WHERE name = \$1/, params => configs.filter(row => row.name === params[0])],
+            [/SELECT \* FROM llm_configs/, () => configs],
+            [/INSERT INTO llm_configs/, params => {
+                const row = configRow(configs.length + 1, params[0], params[1], {
+                    temperature: params[2], max_tokens: params[3], top_p: params[4], context_window: params[5], tokenizer: params[6]
+                });
+                configs.push(row);
+                return [row];
+            }],
+            [/UPDATE llm_configs\s+SET model/, params => {
+                const row = configs.find(candidate => candidate.name === params[7]);
+                Object.assign(row, { model: params[0], temperature: params[1], max_tokens: params[2], top_p: params[3], context_window: params[4], tokenizer: params[5], is_active: params[6] });
+                return [row];
+            }],
+            [/UPDATE llm_configs SET is_active = FALSE/, params => {
+                const row = configs.find(candidate => candidate.name === params[0]);
+                if (!row) {
+                    return [];
+                }
+                row.is_active = false;
+                return [row];
+            }],
+            [/FROM user_llm_preferences WHERE username = \$1/, params => preferences[params[0]] ? [{ provider: preferences[params[0]], updated_at: null }] : []],
+            [/INSERT INTO user_llm_preferences/, params => {
+                preferences[params[0]] = params[1];
+                return [{ provider: params[1], updated_at: null }];
+            }]
+        ], { missingTables: /FROM (template_types|variable_layers)\b/ });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('POST /api/llm-configs', () => {
+        test('creates a provider and refreshes the registry', async () => {
+            await llmConfigRegistry.listLlmConfigs();
+            const invalidate = jest.spyOn(llmConfigRegistry, 'invalidate');
+
+            const response = await request(app)
+                .post('/api/llm-configs')
+                .send({ name: 'mistral-large', model: 'mistral-large-latest', maxTokens: 4096, contextWindow: 32768, tokenizer: 'mistral' });
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.llmConfig).toMatchObject({ name: 'mistral-large', temperature: 1, topP: 1, maxTokens: 4096 });
+            expect(invalidate).toHaveBeenCalled();
+            expect(await llmConfigRegistry.getLlmConfig('mistral-large')).toMatchObject({ model: 'mistral-large-latest' });
+        });
+
+        test.each([
+            ['temperature above 2', { temperature: 2.5 }],
+            ['topP of 0', { topP: 0 }],
+            ['topP above 1', { topP: 1.2 }],
+            ['fractional maxTokens', { maxTokens: 10.5 }],
+            ['unknown tokenizer', { tokenizer: 'bpe' }],
+            ['uppercase name', { name: 'Mistral' }]
+        ])('400 for %s', async (label, fields) => {
+            const response = await request(app)
+                .post('/api/llm-configs')
+                .send({ name: 'mistral-large', model: 'mistral-large-latest', maxTokens: 4096, ...fields });
+
+            expect(response.status).toBe(400);
+            expect(db.find(/INSERT INTO llm_configs/)).toEqual([]);
+        });
+
+        test('400 when maxTokens exceeds the context window', async () => {
+            const response = await request(app)
+                .post('/api/llm-configs')
+                .send({ name: 'tiny', model: 'tiny-model', maxTokens: 4096, contextWindow: 2048 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('maxTokens (4096) cannot exceed contextWindow (2048)');
+        });
+
+        test('409 for a name that already exists', async () => {
+            db = installFakeDb([
+                [/INSERT INTO llm_configs/, () => {
+                    const error = new Error('duplicate key');
+                    error.code = '23505';
+                    throw error;
+                }]
+            ]);
+
+            const response = await request(app)
+                .post('/api/llm-configs')
+                .send({ name: 'claude', model: 'claude-sonnet', maxTokens: 1000 });
+
+            expect(response.status).toBe(409);
+        });
+    });
+
+    describe('PUT /api/llm-configs/:name', () => {
+        test('merges the change into the stored config', async () => {
+            const response = await request(app)
+                .put('/api/llm-configs/claude')
+                .send({ temperature: 0.2 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.llmConfig).toMatchObject({ model: 'claude-sonnet', temperature: 0.2, maxTokens: 1000 });
+            expect((await llmConfigRegistry.getLlmConfig('claude')).temperature).toBe(0.2);
+        });
+
+        test('checks maxTokens against the stored context window', async () => {
+            const response = await request(app)
+                .put('/api/llm-configs/claude')
+                .send({ maxTokens: 10000 });
+
+            expect(response.status).toBe(400);
+            expect(db.find(/UPDATE llm_configs/)).toEqual([]);
+        });
+
+        test('the default provider cannot be disabled', async () => {
+            const response = await request(app)
+                .put('/api/llm-configs/default')
+                .send({ isActive: false });
+
+            expect(response.status).toBe(409);
+        });
+
+        test('404 for an unknown provider', async () => {
+            const response = await request(app)
+                .put('/api/llm-configs/unknown')
+                .send({ temperature: 0.2 });
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('DELETE /api/llm-configs/:name', () => {
+        test('disables the provider so it is no longer resolved', async () => {
+            expect(await llmConfigRegistry.getLlmConfig('claude')).not.toBeNull();
+
+            const response = await request(app).delete('/api/llm-configs/claude');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.llmConfig.isActive).toBe(false);
+            expect(await llmConfigRegistry.getLlmConfig('claude')).toBeNull();
+        });
+
+        test('409 for the default provider', async () => {
+            const response = await request(app).delete('/api/llm-configs/default');
+
+            expect(response.status).toBe(409);
+            expect(db.find(/UPDATE llm_configs/)).toEqual([]);
+        });
+    });
+
+    describe('preferences', () => {
+        test('a preference for a disabled provider is a 400', async () => {
+            const response = await request(app)
+                .put('/api/llm-configs/preferences/learner')
+                .send({ provider: 'retired' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Unknown LLM provider');
+            expect(response.body.message).toMatch(/'default', 'claude'/);
+            expect(db.find(/INSERT INTO user_llm_preferences/)).toEqual([]);
+        });
+
+        test('provider names are matched case-insensitively and stored as configured', async () => {
+            const response = await request(app)
+                .put('/api/llm-configs/preferences/newcomer')
+                .send({ provider: 'CLAUDE' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.provider).toBe('claude');
+        });
+
+        test('a disabled preferred provider reports the default as effective', async () => {
+            preferences.learner = 'retired';
+
+            const response = await request(app).get('/api/llm-configs/preferences/learner');
+
+            expect(response.body.data).toMatchObject({ provider: 'retired', effectiveProvider: 'default' });
+        });
+    });
+
+    describe('POST /api/templates/process', () => {
+        function processWith(fields) {
+            return request(app)
+                .post('/api/templates/process')
+                .send({ username: 'learner', promptType: 'assessmentPrompt', ...fields });
+        }
+
+        test("uses the user's preferred provider when the request names none", async () => {
+            const response = await processWith({});
+
+            expect(response.status).toBe(200);
+            expect(response.body.metadata).toMatchObject({ llmProvider: 'claude', llmProviderSource: 'user' });
+            expect(response.body.llmConfig.model).toBe('claude-sonnet');
+        });
+
+        test('a requested provider wins over the preference', async () => {
+            const response = await processWith({ llmProvider: 'default' });
+            expect(response.body.metadata).toMatchObject({ llmProvider: 'default', llmProviderSource: 'request' });
+        });
+
+        test('an unknown provider falls back to the default', async () => {
+            const response = await processWith({ llmProvider: 'retired' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.metadata).toMatchObject({ llmProvider: 'default', llmProviderSource: 'default' });
+        });
+
+        test('an unknown provider is a 400 with strictProvider', async () => {
+            const response = await processWith({ llmProvider: 'retired', strictProvider: true });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Unknown LLM provider');
+        });
+    });
+});
@@ -0,0 +1,137 @@
+// tests/llmGateway.test.js - POST /api/llm/complete end to end with the mock provider
+const request = require('supertest');
+const { pool } = require('../src/config/database');
+const app = require('../src/app');
+
+// Tables from optional features are reported missing so the registries fall back to the
+// built-in template types, llmConfigs.json and no variable layers; everything else is empty.
+const MISSING_TABLES = /FROM (template_types|llm_configs|variable_layers)\b/;
+
+async function fakeQuery(text) {
+    if (MISSING_TABLES.test(text)) {
+        const error = new Error('relation does not exist');
+        error.code = '42P01';
+        throw error;
+    }
+    return { rows: [], rowCount: 0 };
+}
+
+// [{ event, data }] from a text/event-stream body
+function parseEvents(body) {
+    return body.split('\n\n').filter(Boolean).map(block => {
+        const event = block.match(/^event: (.*)$/m)[1];
+        const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+        return { event, data };
+    });
+}
+
+describe('POST /api/llm/complete (mock provider)', () => {
+    const originalAdapter = process.env.LLM_ADAPTER;
+
+    beforeAll(() => {
+        process.env.LLM_ADAPTER = 'mock';
+        jest.spyOn(pool, 'query').mockImplementation(fakeQuery);
+        jest.spyOn(pool, 'connect').mockImplementation(async () => ({ query: fakeQuery, release() {} }));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+        if (originalAdapter === undefined) {
+            delete process.env.LLM_ADAPTER;
+        } else {
+            process.env.LLM_ADAPTER = originalAdapter;
+        }
+    });
+
+    test('streams start, delta and done events', async () => {
+        const response = await request(app)
+            .post('/api/llm/complete')
+            .send({ username: 'learner', promptType: 'conceptMentor', userInput: 'What is PUX?' });
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+        expect(response.headers['cache-control']).toBe('no-cache');
+
+        const events = parseEvents(response.text);
+        const [start] = events;
+        const deltas = events.filter(({ event }) => event === 'delta');
+        const done = events[events.length - 1];
+
+        expect(start.event).toBe('start');
+        expect(start.data).toMatchObject({
+            username: 'learner',
+            promptType: 'conceptMentor',
+            llmProvider: 'default',
+            llmProviderSource: 'default',
+            adapter: 'mock'
+        });
+        expect(start.data.tokens.total).toBeGreaterThan(0);
+
+        expect(deltas.length).toBeGreaterThan(1);
+        const content = deltas.map(({ data }) => data.text).join('');
+        expect(content).toMatch(new RegExp(`^This is a mock reply from ${start.data.model}\\. You said: "What is PUX\\?"\\.`));
+
+        expect(done.event).toBe('done');
+        expect(done.data).toEqual({
+            finishReason: 'stop',
+            usage: { promptTokens: start.data.tokens.total, completionTokens: expect.any(Number), estimated: true },
+            chat: null
+        });
+        expect(events.map(({ event }) => event)).toEqual(['start', ...deltas.map(() => 'delta'), 'done']);
+    });
+
+    test('returns the same reply as JSON with stream: false', async () => {
+        const body = { username: 'learner', promptType: 'conceptMentor', userInput: 'What is PUX?' };
+        const streamed = await request(app).post('/api/llm/complete').send(body);
+        const response = await request(app).post('/api/llm/complete').send({ ...body, stream: false });
+
+        const streamedContent = parseEvents(streamed.text)
+            .filter(({ event }) => event === 'delta')
+            .map(({ data }) => data.text)
+            .join('');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+            success: true,
+            content: streamedContent,
+            finishReason: 'stop',
+            metadata: { adapter: 'mock', llmProvider: 'default' }
+        });
+    });
+
+    test('reports provider failures as an error event', async () => {
+        const response = await request(app)
+            .post('/api/llm/complete')
+            .send({ username: 'learner', promptType: 'conceptMentor', userInput: 'break [mock:error]' });
+
+        expect(response.status).toBe(200);
+        const events = parseEvents(response.text);
+        expect(events.map(({ event }) => event)).toEqual(['start', 'error']);
+        expect(events[1].data).toEqual({
+            error: 'LLM provider error',
+            message: 'Mock provider failure requested with [mock:error]',
+            partial: false
+        });
+    });
+
+    test('returns provider failures as 502 without streaming', async () => {
+        const response = await request(app)
+            .post('/api/llm/complete')
+            .send({ username: 'learner', promptType: 'conceptMentor', userInput: '[mock:error]', stream: false });
+
+        expect(response.status).toBe(502);
+        expect(response.body.error).toBe('LLM provider error');
+    });
+
+    test('rejects requests without a username before calling the provider', async () => {
+        const response = await request(app)
+            .post('/api/llm/complete')
+            .send({ promptType: 'conceptMentor', userInput: 'Hi' });
+
+        expect(response.status).toBe(400);
+        expect(response.headers['content-type']).toMatch(/json/);
+    });
+});
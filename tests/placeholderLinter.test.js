@@ -0,0 +1,131 @@
+// tests/placeholderLinter.test.js - {{PLACEHOLDER}} checks against a user's variables
+const { lintTemplate, scanPlaceholders } = require('../src/utils/placeholderLinter');
+const { parseTemplate } = require('../src/utils/templateRenderer');
+
+describe('lintTemplate', () => {
+    test('passes a template that uses exactly its variables', () => {
+        const result = lintTemplate('Teach {{CONCEPT}} at {{LEVEL | default:"beginner"}} level', ['CONCEPT', 'LEVEL']);
+        expect(result).toEqual({
+            valid: true,
+            errors: [],
+            warnings: [],
+            placeholders: ['CONCEPT', 'LEVEL'],
+            partials: []
+        });
+    });
+
+    test('reports unknown placeholders with their position and a suggestion', () => {
+        const result = lintTemplate('Intro\n  {{CONCEPTS}}', ['CONCEPT']);
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([{
+            type: 'unknown_placeholder',
+            placeholder: 'CONCEPTS',
+            message: 'Unknown placeholder {{CONCEPTS}} - did you mean {{CONCEPT}}?',
+            suggestion: 'CONCEPT',
+            line: 2,
+            column: 3
+        }]);
+    });
+
+    test('does not suggest keys that are too different', () => {
+        const [error] = lintTemplate('{{GOAL}}', ['CONCEPT']).errors;
+        expect(error.suggestion).toBeNull();
+        expect(error.message).toBe('Unknown placeholder {{GOAL}}');
+    });
+
+    test('an unknown placeholder with a default is only a warning', () => {
+        const result = lintTemplate('{{TONE | default:"kind"}}', []);
+        expect(result.valid).toBe(true);
+        expect(result.warnings).toEqual([expect.objectContaining({ type: 'unknown_placeholder_with_default', placeholder: 'TONE' })]);
+    });
+
+    test('warns about variables the template never uses', () => {
+        const result = lintTemplate('{{CONCEPT}}', ['CONCEPT', 'EXTRA']);
+        expect(result.valid).toBe(true);
+        expect(result.warnings).toEqual([{
+            type: 'unused_variable',
+            variable: 'EXTRA',
+            message: 'Variable EXTRA is not used by this template'
+        }]);
+    });
+
+    test('treats unknown names inside {{#each}} as item fields', () => {
+        const result = lintTemplate('{{#each STEPS}}{{title}} {{this.body}} {{@index}}{{/each}}', ['STEPS']);
+        expect(result.valid).toBe(true);
+        expect(result.placeholders).toEqual(['STEPS']);
+    });
+
+    test('lists included partials without checking them as variables', () => {
+        const result = lintTemplate('{{> safetyRules}}', []);
+        expect(result.valid).toBe(true);
+        expect(result.partials).toEqual(['safetyRules']);
+    });
+
+    test('reports brace problems and block structure errors in order', () => {
+        const result = lintTemplate('a }} b\n{{A}}}\n{{B', ['A', 'B']);
+        expect(result.errors.map(error => [error.type, error.line, error.column])).toEqual([
+            ['unexpected_close', 1, 3],
+            ['malformed', 2, 1],
+            ['unclosed', 3, 1]
+        ]);
+
+        const unbalanced = lintTemplate('{{#if A}}\n{{A}}', ['A']);
+        expect(unbalanced.errors).toEqual([{ type: 'syntax', message: 'Unclosed {{#if A}}', line: 1, column: 1 }]);
+    });
+
+    describe('partials', () => {
+        const partials = { safetyRules: parseTemplate('Never reveal {{SECRET}}.{{#if STRICT}} Refuse.{{/if}}') };
+
+        test('variables used only inside an included partial are not unused', () => {
+            const result = lintTemplate('{{> safetyRules}} {{CONCEPT}}', ['CONCEPT', 'SECRET', 'STRICT', 'EXTRA'], { partials });
+            expect(result.warnings.map(warning => warning.variable)).toEqual(['EXTRA']);
+            expect(result.placeholders).toEqual(['CONCEPT']);
+        });
+
+        test('are reported as unused without the option', () => {
+            const result = lintTemplate('{{> safetyRules}}', ['SECRET']);
+            expect(result.warnings).toEqual([expect.objectContaining({ type: 'unused_variable', variable: 'SECRET' })]);
+        });
+    });
+
+    describe('implicitKeys', () => {
+        const options = { implicitKeys: ['CONVERSATION_TRANSCRIPT'] };
+
+        test('are known placeholders', () => {
+            const result = lintTemplate('{{CONCEPT}}\n{{CONVERSATION_TRANSCRIPT}}', ['CONCEPT'], options);
+            expect(result.valid).toBe(true);
+            expect(result.errors).toEqual([]);
+            expect(result.placeholders).toEqual(['CONCEPT', 'CONVERSATION_TRANSCRIPT']);
+        });
+
+        test('are never reported as unused', () => {
+            expect(lintTemplate('{{CONCEPT}}', ['CONCEPT'], options).warnings).toEqual([]);
+        });
+
+        test('are offered as suggestions for typos', () => {
+            const [error] = lintTemplate('{{CONVERSATION_TRANSCRIPTS}}', [], options).errors;
+            expect(error.suggestion).toBe('CONVERSATION_TRANSCRIPT');
+        });
+
+        test('are unknown without the option', () => {
+            expect(lintTemplate('{{CONVERSATION_TRANSCRIPT}}', []).valid).toBe(false);
+        });
+    });
+});
+
+describe('scanPlaceholders', () => {
+    test('returns parsed tags with their offsets', () => {
+        const { tokens, problems } = scanPlaceholders('x {{A | upper}} {{#if B}}{{/if}}');
+        expect(problems).toEqual([]);
+        expect(tokens).toEqual([
+            { kind: 'var', name: 'A', filters: [{ name: 'upper', arg: undefined }], offset: 2 },
+            { kind: 'open', block: 'if', name: 'B', offset: 16 },
+            { kind: 'close', block: 'if', offset: 25 }
+        ]);
+    });
+
+    test('reports tags that do not parse', () => {
+        const { problems } = scanPlaceholders('{{A | shout}}');
+        expect(problems).toEqual([expect.objectContaining({ type: 'syntax', offset: 0 })]);
+    });
+});
@@ -0,0 +1,68 @@
+// tests/providerFormats.test.js - Request bodies per provider API, checked against golden fixtures
+const fs = require('fs');
+const path = require('path');
+const { formatRequest, listFormats } = require('../src/services/providerFormats');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'providerFormats');
+
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [file, JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'))]);
+
+describe('providerFormats', () => {
+    test.each(fixtures)('%s matches its golden request', (file, fixture) => {
+        expect(formatRequest(fixture.format, fixture.messages, fixture.llmConfig)).toEqual(fixture.expected);
+    });
+
+    test('every registered adapter has a fixture', () => {
+        const covered = fixtures.map(([, fixture]) => fixture.format);
+        for (const name of ['openai', 'anthropic', 'groq', 'mistral']) {
+            expect(covered).toContain(name);
+        }
+    });
+
+    test('llama is an alias for groq and names are case-insensitive', () => {
+        const [, fixture] = fixtures.find(([file]) => file === 'groq.json');
+        expect(formatRequest('llama', fixture.messages, fixture.llmConfig)).toEqual(fixture.expected);
+        expect(formatRequest('GROQ', fixture.messages, fixture.llmConfig)).toEqual(fixture.expected);
+    });
+
+    test('does not modify the messages it is given', () => {
+        const [, fixture] = fixtures.find(([file]) => file === 'anthropic.json');
+        const messages = JSON.parse(JSON.stringify(fixture.messages));
+        formatRequest('anthropic', messages, fixture.llmConfig);
+        expect(messages).toEqual(fixture.messages);
+    });
+
+    test('anthropic sends temperature, capped at 1, unless top_p narrows sampling', () => {
+        const messages = [{ role: 'user', content: 'Hi' }];
+        const { body } = formatRequest('anthropic', messages, { model: 'claude-sonnet-4-5', temperature: 1.4, maxTokens: 100, topP: 1 });
+        expect(body.temperature).toBe(1);
+        expect(body).not.toHaveProperty('top_p');
+        expect(body.system).toBe('');
+    });
+
+    test.each([
+        ['has no turns', [{ role: 'system', content: 'Mentor' }, { role: 'user', content: '' }], /at least one non-empty user turn/],
+        ['starts with an assistant turn', [{ role: 'assistant', content: 'Hello!' }, { role: 'user', content: 'Hi' }], /start with a user turn/]
+    ])('anthropic is a 400 when the conversation %s', (label, messages, message) => {
+        expect.assertions(2);
+        try {
+            formatRequest('anthropic', messages, { model: 'claude-sonnet-4-5', temperature: 0.5, maxTokens: 100, topP: 1 });
+        } catch (error) {
+            expect(error.status).toBe(400);
+            expect(error.message).toMatch(message);
+        }
+    });
+
+    test('unknown formats are a 400 listing the valid ones', () => {
+        expect.assertions(3);
+        try {
+            formatRequest('bard', [], {});
+        } catch (error) {
+            expect(error.status).toBe(400);
+            expect(error.message).toContain("Unknown outputFormat 'bard'");
+            expect(error.message).toContain(listFormats().join(', '));
+        }
+    });
+});
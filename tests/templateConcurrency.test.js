@@ -0,0 +1,133 @@
+// tests/templateConcurrency.test.js - If-Match / ETag preconditions and the per-template lock
+const request = require('supertest');
+const app = require('../src/app');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+const LOCK = /pg_advisory_xact_lock\(hashtext\('prompt_templates:'/;
+
+// learner/conceptMentor has versions 1-3; version 2 is published and active, 3 is a draft
+function templateHandlers() {
+    return [
+        [/AS latest_version/, () => [{ latest_version: 3, active_version: 2 }]],
+        [/SELECT id, version, content, status, created_at, updated_at FROM prompt_templates/, () => [{
+            id: 20, version: 2, content: 'Published v2', status: 'published', created_at: null, updated_at: null
+        }]],
+        [/SELECT id, status FROM prompt_templates/, params => [{ id: 10 * params[2], status: params[2] === 3 ? 'draft' : 'published' }]],
+        [/COALESCE\(MAX\(version\), 0\) \+ 1 as next_version/, () => [{ next_version: 4 }]],
+        [/INSERT INTO prompt_templates/, params => [{ id: 40, version: params[3], status: 'draft', created_at: null }]]
+    ];
+}
+
+describe('template preconditions', () => {
+    let db;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        db = installFakeDb(templateHandlers());
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('POST /api/templates', () => {
+        test('409 for a stale If-Match, with the latest ETag and the active version', async () => {
+            const response = await request(app)
+                .post('/api/templates')
+                .set('If-Match', '"2"')
+                .send({ username: 'learner', templateType: 'conceptMentor', content: 'Edited v2' });
+
+            expect(response.status).toBe(409);
+            expect(response.headers.etag).toBe('"3"');
+            expect(response.body.data).toMatchObject({
+                expectedVersion: 2,
+                latestVersion: 3,
+                currentVersion: { version: 2, content: 'Published v2', status: 'published' }
+            });
+            expect(db.find(/INSERT INTO prompt_templates/)).toEqual([]);
+            expect(db.texts()).toContain('ROLLBACK');
+        });
+
+        test('a matching If-Match saves the next version after taking the lock', async () => {
+            const response = await request(app)
+                .post('/api/templates')
+                .set('If-Match', '"3"')
+                .send({ username: 'learner', templateType: 'conceptMentor', content: 'Edited v3' });
+
+            expect(response.status).toBe(201);
+            expect(response.headers.etag).toBe('"4"');
+
+            const texts = db.texts();
+            expect(texts.findIndex(text => LOCK.test(text))).toBeLessThan(texts.findIndex(text => /AS latest_version/.test(text)));
+            expect(db.find(LOCK)[0].params).toEqual(['learner', 'conceptMentor']);
+        });
+
+        test('400 for an If-Match that is not a version ETag', async () => {
+            const response = await request(app)
+                .post('/api/templates')
+                .set('If-Match', '"abc"')
+                .send({ username: 'learner', templateType: 'conceptMentor', content: 'Edited' });
+
+            expect(response.status).toBe(400);
+            expect(db.clients).toHaveLength(0);
+        });
+    });
+
+    describe('POST /api/templates/restore', () => {
+        test('takes the template lock before switching the active version', async () => {
+            const response = await request(app)
+                .post('/api/templates/restore')
+                .send({ username: 'learner', templateType: 'conceptMentor', version: 1 });
+
+            expect(response.status).toBe(200);
+
+            const clientTexts = db.queries.filter(({ via }) => via === 'client').map(({ text }) => text);
+            expect(clientTexts[0]).toBe('BEGIN');
+            expect(clientTexts[1]).toMatch(LOCK);
+            expect(clientTexts.findIndex(text => /SET is_active = TRUE/.test(text))).toBeGreaterThan(1);
+            expect(db.find(LOCK)[0].params).toEqual(['learner', 'conceptMentor']);
+        });
+
+        test('409 for a stale If-Match without touching the active version', async () => {
+            const response = await request(app)
+                .post('/api/templates/restore')
+                .set('If-Match', '"2"')
+                .send({ username: 'learner', templateType: 'conceptMentor', version: 1 });
+
+            expect(response.status).toBe(409);
+            expect(response.headers.etag).toBe('"3"');
+            expect(response.body.data).toMatchObject({ expectedVersion: 2, latestVersion: 3 });
+            expect(db.find(/UPDATE prompt_templates/)).toEqual([]);
+        });
+
+        test('a stale expectedVersion in the body is rejected the same way', async () => {
+            const response = await request(app)
+                .post('/api/templates/restore')
+                .send({ username: 'learner', templateType: 'conceptMentor', version: 1, expectedVersion: 1 });
+
+            expect(response.status).toBe(409);
+            expect(db.find(/UPDATE prompt_templates/)).toEqual([]);
+        });
+
+        test('a current If-Match restores the version', async () => {
+            const response = await request(app)
+                .post('/api/templates/restore')
+                .set('If-Match', '"3"')
+                .send({ username: 'learner', templateType: 'conceptMentor', version: 1 });
+
+            expect(response.status).toBe(200);
+            const [activate] = db.find(/SET is_active = TRUE/);
+            expect(activate.params).toEqual(['learner', 'conceptMentor', 1]);
+        });
+
+        test('drafts cannot be restored', async () => {
+            const response = await request(app)
+                .post('/api/templates/restore')
+                .send({ username: 'learner', templateType: 'conceptMentor', version: 3 });
+
+            expect(response.status).toBe(409);
+            expect(response.body.error).toBe('Version not published');
+        });
+    });
+});
@@ -0,0 +1,216 @@
+// tests/templateDiff.test.js - Line diffs, JSON key diffs and three-way key merges
+const {
+    isPlainObject,
+    diffLines,
+    createUnifiedDiff,
+    diffJsonKeys,
+    mergeJsonKeys
+} = require('../src/utils/templateDiff');
+
+// The two texts an edit script describes
+function sides(ops) {
+    return {
+        old: ops.filter(op => op.type !== 'add').map(op => op.line),
+        new: ops.filter(op => op.type !== 'remove').map(op => op.line)
+    };
+}
+
+const countEdits = ops => ops.filter(op => op.type !== 'equal').length;
+
+describe('diffLines', () => {
+    test('finds the shortest edit script', () => {
+        const { ops, approximate } = diffLines(['a', 'b', 'c', 'd'], ['a', 'c', 'd', 'e']);
+        expect(approximate).toBe(false);
+        expect(ops).toEqual([
+            { type: 'equal', line: 'a' },
+            { type: 'remove', line: 'b' },
+            { type: 'equal', line: 'c' },
+            { type: 'equal', line: 'd' },
+            { type: 'add', line: 'e' }
+        ]);
+    });
+
+    test('handles empty sides', () => {
+        expect(diffLines([], []).ops).toEqual([]);
+        expect(diffLines([], ['x']).ops).toEqual([{ type: 'add', line: 'x' }]);
+        expect(diffLines(['x'], []).ops).toEqual([{ type: 'remove', line: 'x' }]);
+    });
+
+    test('scripts always rebuild both texts', () => {
+        const cases = [
+            [['a', 'b', 'a', 'b'], ['b', 'a', 'b', 'a']],
+            [['x', 'y', 'z'], ['z', 'y', 'x']],
+            [['1', '2', '3', '4', '5'], ['0', '2', '4', '5', '6', '1']]
+        ];
+        for (const [oldLines, newLines] of cases) {
+            expect(sides(diffLines(oldLines, newLines).ops)).toEqual({ old: oldLines, new: newLines });
+        }
+    });
+
+    describe('approximate mode', () => {
+        const oldLines = ['head', 'a1', 'a2', 'a3', 'shared', 'tail'];
+        const newLines = ['head', 'b1', 'shared', 'b2', 'tail'];
+
+        test('replaces the changed block once the edit limit is exceeded', () => {
+            const { ops, approximate } = diffLines(oldLines, newLines, { maxEditDistance: 2 });
+            expect(approximate).toBe(true);
+            expect(ops).toEqual([
+                { type: 'equal', line: 'head' },
+                { type: 'remove', line: 'a1' },
+                { type: 'remove', line: 'a2' },
+                { type: 'remove', line: 'a3' },
+                { type: 'remove', line: 'shared' },
+                { type: 'add', line: 'b1' },
+                { type: 'add', line: 'shared' },
+                { type: 'add', line: 'b2' },
+                { type: 'equal', line: 'tail' }
+            ]);
+        });
+
+        test('is exact when the limit is high enough', () => {
+            const { ops, approximate } = diffLines(oldLines, newLines, { maxEditDistance: 5 });
+            expect(approximate).toBe(false);
+            expect(countEdits(ops)).toBe(5);
+            expect(sides(ops)).toEqual({ old: oldLines, new: newLines });
+        });
+
+        test('does not count the common prefix and suffix against the limit', () => {
+            const shared = Array.from({ length: 50 }, (_, i) => `line ${i}`);
+            const { ops, approximate } = diffLines([...shared, 'old', ...shared], [...shared, 'new', ...shared], { maxEditDistance: 2 });
+            expect(approximate).toBe(false);
+            expect(countEdits(ops)).toBe(2);
+        });
+
+        test('keeps large rewrites fast', () => {
+            const oldText = Array.from({ length: 20000 }, (_, i) => `old ${i}`);
+            const newText = Array.from({ length: 20000 }, (_, i) => `new ${i}`);
+            const { ops, approximate } = diffLines(oldText, newText);
+            expect(approximate).toBe(true);
+            expect(ops).toHaveLength(40000);
+        });
+    });
+});
+
+describe('createUnifiedDiff', () => {
+    test('builds hunks with context and stats', () => {
+        const oldText = ['1', '2', '3', '4', '5', '6', '7', '8'].join('\n');
+        const newText = ['1', '2', '3', 'four', '5', '6', '7', '8'].join('\n');
+        const result = createUnifiedDiff(oldText, newText, { fromLabel: 'v1', toLabel: 'v2', context: 1 });
+
+        expect(result.stats).toEqual({ additions: 1, deletions: 1 });
+        expect(result.approximate).toBe(false);
+        expect(result.unified).toBe(['--- v1', '+++ v2', '@@ -3,3 +3,3 @@', ' 3', '-4', '+four', ' 5'].join('\n'));
+    });
+
+    test('is empty for identical texts, ignoring line ending style', () => {
+        const result = createUnifiedDiff('a\r\nb', 'a\nb');
+        expect(result.unified).toBe('');
+        expect(result.hunks).toEqual([]);
+    });
+});
+
+describe('isPlainObject', () => {
+    test.each([
+        [{}, true],
+        [{ a: 1 }, true],
+        [[], false],
+        [null, false],
+        ['text', false],
+        [3, false]
+    ])('%j -> %s', (value, expected) => {
+        expect(isPlainObject(value)).toBe(expected);
+    });
+});
+
+describe('diffJsonKeys', () => {
+    test('reports added, removed and changed keys', () => {
+        const result = diffJsonKeys(
+            JSON.stringify({ KEEP: 'same', CHANGE: 'old', DROP: 'gone' }),
+            JSON.stringify({ KEEP: 'same', CHANGE: 'new', ADD: ['x'] })
+        );
+        expect(result).toEqual({
+            added: [{ key: 'ADD', value: ['x'] }],
+            removed: [{ key: 'DROP', value: 'gone' }],
+            changed: [{ key: 'CHANGE', from: 'old', to: 'new' }],
+            unchanged: 1
+        });
+    });
+
+    test('reports unparseable content', () => {
+        expect(diffJsonKeys('{"a": 1}', '{oops').error).toMatch(/^Unable to parse template values as JSON/);
+    });
+
+    test.each([
+        ['null', '{"a": 1}', null, { a: 1 }],
+        ['[1, 2]', '[1, 3]', [1, 2], [1, 3]],
+        ['"text"', '42', 'text', 42]
+    ])('compares non-object documents as one value: %s vs %s', (oldContent, newContent, from, to) => {
+        expect(diffJsonKeys(oldContent, newContent)).toEqual({
+            added: [],
+            removed: [],
+            changed: [{ key: null, from, to }],
+            unchanged: 0
+        });
+    });
+
+    test('identical non-object documents are unchanged', () => {
+        expect(diffJsonKeys('[1, 2]', '[1,2]')).toEqual({ added: [], removed: [], changed: [], unchanged: 1 });
+    });
+});
+
+describe('mergeJsonKeys', () => {
+    const base = { UNTOUCHED: 'b1', USER_EDIT: 'b2', BOTH: 'b3', SAME_EDIT: 'b4', DROPPED: 'b5', USER_DELETED: 'b6' };
+    const latest = { UNTOUCHED: 'l1', USER_EDIT: 'b2', BOTH: 'l3', SAME_EDIT: 'x4', NEW: 'l7', USER_DELETED: 'b6' };
+    const user = { UNTOUCHED: 'b1', USER_EDIT: 'u2', BOTH: 'u3', SAME_EDIT: 'x4', DROPPED: 'b5', MINE: 'u8' };
+
+    test('follows the new default where the user made no change', () => {
+        const result = mergeJsonKeys(base, latest, user);
+        expect(result.updated).toEqual([{ key: 'UNTOUCHED', from: 'b1', to: 'l1' }]);
+        expect(result.added).toEqual([{ key: 'NEW', value: 'l7' }]);
+        expect(result.removed).toEqual([{ key: 'DROPPED', value: 'b5' }]);
+    });
+
+    test('keeps user edits, agreed edits, deletions and extra keys', () => {
+        const { merged } = mergeJsonKeys(base, latest, user);
+        expect(merged).toEqual({
+            UNTOUCHED: 'l1',
+            USER_EDIT: 'u2',
+            BOTH: 'u3',
+            SAME_EDIT: 'x4',
+            NEW: 'l7',
+            MINE: 'u8'
+        });
+    });
+
+    test('keeps the user value on conflicts by default', () => {
+        const { conflicts } = mergeJsonKeys(base, latest, user);
+        expect(conflicts).toEqual([{ key: 'BOTH', base: 'b3', default: 'l3', user: 'u3', resolution: 'user' }]);
+    });
+
+    test('takes the default on conflicts with onConflict useDefault', () => {
+        const { merged, conflicts } = mergeJsonKeys(base, latest, user, { onConflict: 'useDefault' });
+        expect(merged.BOTH).toBe('l3');
+        expect(merged.USER_EDIT).toBe('u2');
+        expect(conflicts).toEqual([{ key: 'BOTH', base: 'b3', default: 'l3', user: 'u3', resolution: 'default' }]);
+    });
+
+    test('a key deleted by the user but changed in the default is a conflict', () => {
+        const result = mergeJsonKeys({ K: 'b' }, { K: 'l' }, {});
+        expect(result.conflicts).toEqual([{ key: 'K', base: 'b', default: 'l', user: undefined, resolution: 'user' }]);
+        expect(result.merged).toEqual({});
+        expect(mergeJsonKeys({ K: 'b' }, { K: 'l' }, {}, { onConflict: 'useDefault' }).merged).toEqual({ K: 'l' });
+    });
+
+    test('compares structured values by content', () => {
+        const result = mergeJsonKeys({ LIST: ['a'] }, { LIST: ['a', 'b'] }, { LIST: ['a'] });
+        expect(result.merged).toEqual({ LIST: ['a', 'b'] });
+        expect(result.conflicts).toEqual([]);
+    });
+
+    test('with no base, keys present on only one side merge without conflicts', () => {
+        const result = mergeJsonKeys({}, { A: 'default' }, { B: 'user' });
+        expect(result.merged).toEqual({ A: 'default', B: 'user' });
+        expect(result.added).toEqual([{ key: 'A', value: 'default' }]);
+        expect(result.conflicts).toEqual([]);
+    });
+});
@@ -0,0 +1,51 @@
+// tests/templateHistory.test.js - saving a template adds a version instead of replacing the old ones
+const request = require('supertest');
+const app = require('../src/app');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+describe('POST /api/templates (version history)', () => {
+    let db;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        db = installFakeDb([
+            [/COALESCE\(MAX\(version\), 0\) \+ 1 as next_version/, () => [{ next_version: 4 }]],
+            [/INSERT INTO prompt_templates/, params => [{ id: 40, version: params[3], status: 'draft', created_at: new Date('2026-01-01') }]]
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('inserts the next version as a draft and leaves earlier versions alone', async () => {
+        const response = await request(app)
+            .post('/api/templates')
+            .send({ username: 'learner', templateType: 'conceptMentor', content: 'Teach {{CONCEPT}}' });
+
+        expect(response.status).toBe(201);
+        expect(response.headers.etag).toBe('"4"');
+        expect(response.body.data).toMatchObject({ version: 4, status: 'draft' });
+
+        const [insert] = db.find(/INSERT INTO prompt_templates/);
+        expect(insert.params).toEqual(['learner', 'conceptMentor', 'Teach {{CONCEPT}}', 4]);
+        expect(insert.text).toMatch(/FALSE, 'draft'/);
+
+        // No earlier version is removed or overwritten by a save
+        expect(db.find(/DELETE FROM prompt_templates/)).toEqual([]);
+        expect(db.find(/UPDATE prompt_templates/)).toEqual([]);
+    });
+
+    test('saves inside one transaction and releases the client', async () => {
+        await request(app)
+            .post('/api/templates')
+            .send({ username: 'learner', templateType: 'conceptMentor', content: 'Teach {{CONCEPT}}' });
+
+        const clientTexts = db.queries.filter(({ via }) => via === 'client').map(({ text }) => text);
+        expect(clientTexts[0]).toBe('BEGIN');
+        expect(clientTexts[clientTexts.length - 1]).toBe('COMMIT');
+        expect(db.clients).toHaveLength(1);
+        expect(db.clients[0].released).toBe(true);
+    });
+});
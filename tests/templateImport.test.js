@@ -0,0 +1,134 @@
+// tests/templateImport.test.js - POST /api/templates/import in merge and replace modes
+const request = require('supertest');
+const app = require('../src/app');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+function bundle(templates) {
+    return { format: 'tinymagiq-template-bundle', formatVersion: 1, templates };
+}
+
+const MENTOR_BUNDLE = bundle([{
+    templateType: 'conceptMentor',
+    versions: [
+        { version: 1, content: 'Mentor v1', isActive: true, status: 'published' },
+        { version: 2, content: 'Mentor v2', isActive: false, status: 'in_review' },
+        { version: 3, content: 'Mentor v3', isActive: false, status: 'draft' }
+    ]
+}]);
+
+// learner already has conceptMentor v1 (published, active) and v2 (draft)
+const EXISTING = [
+    { version: 1, content: 'Old v1', is_active: true, status: 'published' },
+    { version: 2, content: 'Mentor v1', is_active: false, status: 'draft' }
+];
+
+describe('POST /api/templates/import', () => {
+    let db;
+    let variants;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        variants = [];
+        db = installFakeDb([
+            [/FROM experiment_variants v\s+JOIN experiments e/, () => variants],
+            [/DELETE FROM prompt_templates/, () => ({ rows: [], rowCount: 2 })],
+            [/DELETE FROM template_rollout_items/, () => [{ rollout_id: 5 }, { rollout_id: 5 }, { rollout_id: 8 }]],
+            [/SELECT version, content, is_active, status FROM prompt_templates|SELECT version, content, is_active FROM prompt_templates/, () => EXISTING]
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    function insertedRows() {
+        return db.find(/INSERT INTO prompt_templates/).map(({ params }) => params);
+    }
+
+    describe('replace mode', () => {
+        test('stores non-published versions as drafts', async () => {
+            const response = await request(app)
+                .post('/api/templates/import')
+                .send({ username: 'learner', bundle: MENTOR_BUNDLE, mode: 'replace' });
+
+            expect(response.status).toBe(201);
+            expect(insertedRows().map(params => [params[3], params[4], params[5]])).toEqual([
+                [1, true, 'published'],
+                [2, false, 'draft'],
+                [3, false, 'draft']
+            ]);
+        });
+
+        test('takes the user out of applied rollouts of the type', async () => {
+            const response = await request(app)
+                .post('/api/templates/import')
+                .send({ username: 'learner', bundle: MENTOR_BUNDLE, mode: 'replace' });
+
+            expect(response.body.data.templates[0]).toMatchObject({ removed: 2, rolloutItemsRemoved: [5, 8] });
+            const [detach] = db.find(/DELETE FROM template_rollout_items/);
+            expect(detach.params).toEqual(['learner', 'conceptMentor']);
+            expect(detach.text).toMatch(/r\.status = 'applied'/);
+        });
+
+        test('is refused while an experiment variant uses one of the versions', async () => {
+            variants = [{ experiment: 'tone-test', variant: 'warm', version: 2 }];
+
+            const response = await request(app)
+                .post('/api/templates/import')
+                .send({ username: 'learner', bundle: MENTOR_BUNDLE, mode: 'replace' });
+
+            expect(response.status).toBe(409);
+            expect(response.body.message).toMatch(/variant 'warm' of experiment 'tone-test'/);
+            expect(response.body.details).toEqual(variants);
+            expect(db.find(/DELETE FROM/)).toEqual([]);
+            expect(insertedRows()).toEqual([]);
+            expect(db.texts()).toContain('ROLLBACK');
+            expect(db.clients[0].released).toBe(true);
+        });
+    });
+
+    describe('merge mode', () => {
+        test('adds new content as new versions and skips content the user already has', async () => {
+            const response = await request(app)
+                .post('/api/templates/import')
+                .send({ username: 'learner', bundle: MENTOR_BUNDLE });
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.templates[0]).toMatchObject({ imported: 2, skipped: 1 });
+            expect(insertedRows().map(params => [params[2], params[3], params[4]])).toEqual([
+                ['Mentor v2', 3, 'draft'],
+                ['Mentor v3', 4, 'draft']
+            ]);
+            expect(db.find(/experiment_variants|template_rollout_items/)).toEqual([]);
+        });
+
+        test('a dry run rolls everything back', async () => {
+            const response = await request(app)
+                .post('/api/templates/import')
+                .send({ username: 'learner', bundle: MENTOR_BUNDLE, dryRun: true });
+
+            expect(response.status).toBe(200);
+            expect(db.texts()).toContain('ROLLBACK');
+            expect(db.texts()).not.toContain('COMMIT');
+        });
+    });
+
+    test('400 for a bundle with two active versions', async () => {
+        const response = await request(app)
+            .post('/api/templates/import')
+            .send({
+                username: 'learner',
+                bundle: bundle([{
+                    templateType: 'conceptMentor',
+                    versions: [
+                        { version: 1, content: 'a', isActive: true },
+                        { version: 2, content: 'b', isActive: true }
+                    ]
+                }])
+            });
+
+        expect(response.status).toBe(400);
+        expect(db.clients).toHaveLength(0);
+    });
+});
@@ -0,0 +1,118 @@
+// tests/templateLabels.test.js - labels on published versions and label-based prompt processing
+const request = require('supertest');
+const app = require('../src/app');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+// learner's assessmentPrompt: v1 published (active), v2 published, v3 a draft
+const VERSIONS = {
+    1: { content: 'Stable assessment', status: 'published', is_active: true },
+    2: { content: 'Beta assessment', status: 'published', is_active: false },
+    3: { content: 'Draft assessment', status: 'draft', is_active: false }
+};
+
+describe('template labels', () => {
+    let db;
+    let labels;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        labels = { stable: 1, beta: 2, broken: 3 };
+        db = installFakeDb([
+            [/SELECT status, is_active FROM prompt_templates/, params => VERSIONS[params[2]] ? [VERSIONS[params[2]]] : []],
+            [/INSERT INTO template_labels/, params => {
+                const previous = labels[params[2]];
+                labels[params[2]] = params[3];
+                return [{ id: 1, username: params[0], template_type: params[1], label: params[2], version: params[3], previous_version: previous === undefined ? null : previous }];
+            }],
+            [/FROM template_labels tl\s+JOIN prompt_templates pt/, params => {
+                const version = labels[params[2]];
+                return version ? [{ ...VERSIONS[version], version }] : [];
+            }],
+            [/SELECT template_type, label, version FROM template_labels/, () => Object.entries(labels).map(([label, version]) => ({ template_type: 'assessmentPrompt', label, version }))],
+            [/LENGTH\(content\) as content_length/, () => Object.entries(VERSIONS).map(([version, row]) => ({
+                template_type: 'assessmentPrompt', version: Number(version), is_active: row.is_active, status: row.status, content_length: row.content.length
+            }))],
+            [/content, version FROM prompt_templates WHERE username = \$1 AND template_type = \$2 AND is_active = TRUE/, () => [{ content: VERSIONS[1].content, version: 1 }]]
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('PUT /api/templates/labels', () => {
+        test('sets a new label on a published version', async () => {
+            const response = await request(app)
+                .put('/api/templates/labels')
+                .send({ username: 'learner', templateType: 'assessmentPrompt', label: 'internal', version: 2 });
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.previousVersion).toBeNull();
+        });
+
+        test('moves an existing label', async () => {
+            const response = await request(app)
+                .put('/api/templates/labels')
+                .send({ username: 'learner', templateType: 'assessmentPrompt', label: 'stable', version: 2 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe("Label 'stable' moved from version 1 to 2");
+        });
+
+        test('drafts cannot be labelled', async () => {
+            const response = await request(app)
+                .put('/api/templates/labels')
+                .send({ username: 'learner', templateType: 'assessmentPrompt', label: 'beta', version: 3 });
+
+            expect(response.status).toBe(409);
+            expect(db.find(/INSERT INTO template_labels/)).toEqual([]);
+        });
+    });
+
+    describe('POST /api/templates/process with a label', () => {
+        function processWith(label) {
+            return request(app)
+                .post('/api/templates/process')
+                .send({ username: 'learner', promptType: 'assessmentPrompt', label });
+        }
+
+        test('uses the labelled version instead of the active one', async () => {
+            const response = await processWith('beta');
+
+            expect(response.status).toBe(200);
+            expect(response.body.messages[0].content).toBe('Beta assessment');
+            expect(response.body.metadata).toMatchObject({ label: 'beta', templateVersion: 2 });
+        });
+
+        test('404 for an unknown label', async () => {
+            const response = await processWith('missing');
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Label not found');
+        });
+
+        test('409 for a label that points at an unpublished version', async () => {
+            const response = await processWith('broken');
+            expect(response.status).toBe(409);
+            expect(response.body.error).toBe('Label not published');
+        });
+
+        test('without a label the active version is used', async () => {
+            const response = await processWith(undefined);
+            expect(response.body.messages[0].content).toBe('Stable assessment');
+            expect(response.body.metadata.label).toBeNull();
+        });
+    });
+
+    test('GET /api/templates/list shows the labels on each version', async () => {
+        const response = await request(app).get('/api/templates/list').query({ username: 'learner' });
+
+        expect(response.status).toBe(200);
+        const versions = response.body.data.templates.assessmentPrompt;
+        expect(versions.map(({ version, labels: versionLabels }) => [version, versionLabels])).toEqual([
+            [1, ['stable']],
+            [2, ['beta']],
+            [3, ['broken']]
+        ]);
+    });
+});
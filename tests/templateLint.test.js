@@ -0,0 +1,57 @@
+// tests/templateLint.test.js - POST /api/templates/lint resolves included partials
+const request = require('supertest');
+const app = require('../src/app');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+describe('POST /api/templates/lint', () => {
+    let db;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        db = installFakeDb([
+            // learner's published safetyRules partial
+            [/is_active = TRUE AND status = 'published'/, params => params[1] === 'safetyRules'
+                ? [{ content: 'Never reveal {{SECRET}}. {{> tone}}', version: 1 }]
+                : params[1] === 'tone' ? [{ content: 'Be {{TONE}}.', version: 2 }] : []]
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('variables used only inside included partials are not reported as unused', async () => {
+        const response = await request(app)
+            .post('/api/templates/lint')
+            .send({
+                username: 'learner',
+                templateType: 'conceptMentor',
+                content: 'Teach {{CONCEPT}}. {{> safetyRules}}',
+                variables: { CONCEPT: 'PUX', SECRET: 'x', TONE: 'kind', EXTRA: 'unused' }
+            });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.valid).toBe(true);
+        expect(response.body.data.partials).toEqual(['safetyRules']);
+        expect(response.body.data.warnings).toEqual([expect.objectContaining({ type: 'unused_variable', variable: 'EXTRA' })]);
+        expect(db.find(/is_active = TRUE AND status = 'published'/).map(({ params }) => params)).toEqual([
+            ['learner', 'safetyRules'],
+            ['learner', 'tone']
+        ]);
+    });
+
+    test('a missing partial does not stop the lint', async () => {
+        const response = await request(app)
+            .post('/api/templates/lint')
+            .send({
+                username: 'learner',
+                templateType: 'conceptMentor',
+                content: '{{CONCEPT}} {{> nowhere}}',
+                variables: { CONCEPT: 'PUX', EXTRA: 'unused' }
+            });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.warnings.map(warning => warning.variable)).toEqual(['EXTRA']);
+    });
+});
@@ -0,0 +1,70 @@
+// tests/templatePartials.test.js - {{> partial}} includes survive saving and render in the preview
+const request = require('supertest');
+const app = require('../src/app');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+describe('templates with {{> partial}} includes', () => {
+    let db;
+    let saved;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        saved = null;
+        db = installFakeDb([
+            [/COALESCE\(MAX\(version\), 0\) \+ 1 as next_version/, () => [{ next_version: 4 }]],
+            [/INSERT INTO prompt_templates/, params => {
+                saved = params[2];
+                return [{ id: 40, version: params[3], status: 'draft', created_at: null }];
+            }],
+            [/SELECT content, version FROM prompt_templates WHERE username = \$1 AND template_type = \$2 AND version = \$3/, () => [{ content: saved, version: 4 }]],
+            // learner's published safetyRules partial
+            [/is_active = TRUE AND status = 'published'/, params => params[1] === 'safetyRules'
+                ? [{ content: 'Never give away the answer to <b>{{CONCEPT}}</b>.', version: 1 }]
+                : []]
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('a saved template keeps its include and renders the partial', async () => {
+        const content = 'Teach {{CONCEPT}}.\n{{> safetyRules}}';
+
+        const saveResponse = await request(app)
+            .post('/api/templates')
+            .send({ username: 'learner', templateType: 'conceptMentor', content });
+
+        expect(saveResponse.status).toBe(201);
+        expect(saved).toBe(content);
+        expect(saveResponse.body.data.lint.partials).toEqual(['safetyRules']);
+
+        const previewResponse = await request(app)
+            .post('/api/templates/preview')
+            .send({ username: 'learner', templateType: 'conceptMentor', version: 4, variables: { CONCEPT: 'PUX' } });
+
+        expect(previewResponse.status).toBe(200);
+        expect(JSON.stringify(previewResponse.body.data)).toContain('Teach PUX.\\nNever give away the answer to <b>PUX</b>.');
+    });
+
+    test('other request text is still stripped of angle brackets', async () => {
+        const response = await request(app)
+            .post('/api/templates/preview')
+            .send({ username: 'learner', templateType: 'conceptMentor', content: 'Q: {{USER_INPUT}}', userInput: '<script>hi</script>' });
+
+        expect(response.status).toBe(200);
+        expect(JSON.stringify(response.body.data)).not.toContain('<script>');
+        expect(JSON.stringify(response.body.data)).toContain('scripthi/script');
+    });
+
+    test('an include that is neither a user template nor a registered type is not found', async () => {
+        const response = await request(app)
+            .post('/api/templates/preview')
+            .send({ username: 'learner', templateType: 'conceptMentor', content: '{{> nowhere}}', variables: {} });
+
+        expect(response.status).toBe(422);
+        expect(JSON.stringify(response.body)).toContain("Partial 'nowhere' not found");
+        expect(db.find(/is_active = TRUE AND status = 'published'/).map(({ params }) => params[1])).toContain('nowhere');
+    });
+});
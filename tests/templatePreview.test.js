@@ -0,0 +1,89 @@
+// tests/templatePreview.test.js - POST /api/templates/preview renders without saving
+const request = require('supertest');
+const app = require('../src/app');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+const WRITES = /^\s*(INSERT|UPDATE|DELETE)\b/;
+
+describe('POST /api/templates/preview', () => {
+    let db;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        db = installFakeDb([
+            // learner's draft v5 of conceptMentor
+            [/SELECT content, version FROM prompt_templates WHERE username = \$1 AND template_type = \$2 AND version = \$3/, params => params[2] === 5
+                ? [{ content: 'Draft: teach {{CONCEPT_NAME}}. {{#if HINT}}Hint: {{HINT}}{{/if}}{{MISSING_NOTE}}', version: 5 }]
+                : []]
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('renders a stored draft version and lists filled and empty placeholders', async () => {
+        const response = await request(app)
+            .post('/api/templates/preview')
+            .send({ username: 'learner', templateType: 'conceptMentor', version: 5, variables: { CONCEPT_NAME: 'PUX', MISSING_NOTE: '' } });
+
+        expect(response.status).toBe(200);
+        const { data } = response.body;
+        expect(data).toMatchObject({ templateSource: 'database', version: 5 });
+        expect(data.messages[0]).toEqual({ role: 'system', content: 'Draft: teach PUX. ' });
+        expect(data.placeholders.filled).toEqual([{ name: 'CONCEPT_NAME', source: 'request' }]);
+        expect(data.placeholders.empty).toEqual(expect.arrayContaining([
+            { name: 'HINT', source: null },
+            { name: 'MISSING_NOTE', source: 'request' }
+        ]));
+        expect(data.characterCount.system).toBe('Draft: teach PUX. '.length);
+        expect(data.characterCount.total).toBe(data.messages.reduce((total, message) => total + message.content.length, 0));
+    });
+
+    test('renders unsaved content and writes nothing', async () => {
+        const response = await request(app)
+            .post('/api/templates/preview')
+            .send({ username: 'learner', templateType: 'conceptMentor', content: 'Inline {{CONCEPT_NAME}}', userInput: 'Hello' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.templateSource).toBe('inline');
+        expect(response.body.data.version).toBeNull();
+        expect(response.body.data.messages[response.body.data.messages.length - 1]).toEqual({ role: 'user', content: 'Hello' });
+        expect(db.queries.filter(({ text }) => WRITES.test(text))).toEqual([]);
+    });
+
+    test('builds the same messages as POST /api/templates/process', async () => {
+        const body = { username: 'learner', userInput: 'What is PUX?', variables: { CONCEPT_NAME: 'PUX' } };
+
+        const preview = await request(app)
+            .post('/api/templates/preview')
+            .send({ ...body, templateType: 'conceptMentor' });
+        const processed = await request(app)
+            .post('/api/templates/process')
+            .send({ ...body, promptType: 'conceptMentor' });
+
+        expect(preview.status).toBe(200);
+        expect(processed.status).toBe(200);
+        expect(preview.body.data.messages).toEqual(processed.body.messages);
+        expect(preview.body.data.templateSource).toBe('file');
+    });
+
+    test('404 for a version that does not exist', async () => {
+        const response = await request(app)
+            .post('/api/templates/preview')
+            .send({ username: 'learner', templateType: 'conceptMentor', version: 9 });
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Template version not found');
+    });
+
+    test('422 with the position of a template syntax error', async () => {
+        const response = await request(app)
+            .post('/api/templates/preview')
+            .send({ username: 'learner', templateType: 'conceptMentor', content: 'Line one\n{{#if A}}never closed' });
+
+        expect(response.status).toBe(422);
+        expect(response.body).toMatchObject({ error: 'Template render error', line: 2, templateSource: 'inline' });
+    });
+});
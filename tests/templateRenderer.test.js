@@ -0,0 +1,181 @@
+// tests/templateRenderer.test.js - Template language: variables, blocks, filters and includes
+const {
+    TemplateRenderError,
+    parseTemplate,
+    collectPartials,
+    renderTemplate,
+    renderTemplateWithPartials
+} = require('../src/utils/templateRenderer');
+
+// loadPartial for collectPartials backed by a plain object
+const loaderFor = templates => async name => (name in templates ? templates[name] : null);
+
+function renderError(text, variables = {}) {
+    try {
+        renderTemplate(text, variables);
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected a TemplateRenderError');
+}
+
+describe('renderTemplate', () => {
+    test('substitutes variables and renders missing keys as empty', () => {
+        expect(renderTemplate('Hello {{NAME}}!{{MISSING}}', { NAME: 'Ada' })).toBe('Hello Ada!');
+    });
+
+    test('resolves dotted names into objects', () => {
+        expect(renderTemplate('{{USER.profile.name}}', { USER: { profile: { name: 'Ada' } } })).toBe('Ada');
+    });
+
+    describe('{{#if}}', () => {
+        const template = '{{#if GOAL}}Goal: {{GOAL}}{{else}}No goal{{/if}}';
+
+        test('renders the first branch for non-empty values', () => {
+            expect(renderTemplate(template, { GOAL: 'learn' })).toBe('Goal: learn');
+        });
+
+        test.each([
+            ['missing', {}],
+            ['empty string', { GOAL: '' }],
+            ['whitespace', { GOAL: '   ' }],
+            ['false', { GOAL: false }],
+            ['empty array', { GOAL: [] }],
+            ['empty JSON array string', { GOAL: '[]' }]
+        ])('renders {{else}} for %s', (label, variables) => {
+            expect(renderTemplate(template, variables)).toBe('No goal');
+        });
+
+        test('block tags on their own line leave no blank line behind', () => {
+            const text = 'Start\n{{#if SHOW}}\nShown\n{{/if}}\nEnd';
+            expect(renderTemplate(text, { SHOW: 'yes' })).toBe('Start\nShown\nEnd');
+            expect(renderTemplate(text, {})).toBe('Start\nEnd');
+        });
+    });
+
+    describe('{{#each}}', () => {
+        test('loops over arrays with this, fields and loop locals', () => {
+            const text = '{{#each STEPS}}{{@index}}:{{this.title}}{{#if @first}}(first){{/if}}{{#if @last}}(last){{/if}};{{/each}}';
+            const steps = [{ title: 'a' }, { title: 'b' }, { title: 'c' }];
+            expect(renderTemplate(text, { STEPS: steps })).toBe('0:a(first);1:b;2:c(last);');
+        });
+
+        test('accepts lists stored as JSON strings', () => {
+            expect(renderTemplate('{{#each TAGS}}[{{this}}]{{/each}}', { TAGS: '["x","y"]' })).toBe('[x][y]');
+        });
+
+        test('looks up outer variables inside the loop', () => {
+            expect(renderTemplate('{{#each ITEMS}}{{PREFIX}}{{this}} {{/each}}', { ITEMS: [1, 2], PREFIX: '#' })).toBe('#1 #2 ');
+        });
+
+        test('renders {{else}} for empty lists', () => {
+            expect(renderTemplate('{{#each ITEMS}}{{this}}{{else}}none{{/each}}', { ITEMS: [] })).toBe('none');
+        });
+
+        test('rejects values that are not lists', () => {
+            const error = renderError('{{#each ITEMS}}{{this}}{{/each}}', { ITEMS: 'plain text' });
+            expect(error).toBeInstanceOf(TemplateRenderError);
+            expect(error.reason).toBe('{{#each ITEMS}} expects a JSON array, got string');
+        });
+    });
+
+    describe('filters', () => {
+        test('default applies to missing and empty values only', () => {
+            const text = '{{TONE | default:"friendly"}}';
+            expect(renderTemplate(text, {})).toBe('friendly');
+            expect(renderTemplate(text, { TONE: '' })).toBe('friendly');
+            expect(renderTemplate(text, { TONE: 'formal' })).toBe('formal');
+        });
+
+        test('default values may contain quotes and pipes', () => {
+            expect(renderTemplate('{{X | default:"a \\"b\\" | c"}}', {})).toBe('a "b" | c');
+        });
+
+        test('filters chain left to right', () => {
+            expect(renderTemplate('{{NAME | trim | upper}}', { NAME: '  ada ' })).toBe('ADA');
+            expect(renderTemplate('{{NAME | default:"Guest" | lower}}', {})).toBe('guest');
+        });
+
+        test('json and bullet-list format structured values', () => {
+            expect(renderTemplate('{{DATA | json}}', { DATA: { a: 1 } })).toBe('{\n  "a": 1\n}');
+            expect(renderTemplate('{{LIST | bullet-list}}', { LIST: ['one', ' two ', ''] })).toBe('- one\n- two');
+            expect(renderTemplate('{{LIST | bullet-list}}', { LIST: 'one\ntwo' })).toBe('- one\n- two');
+        });
+    });
+
+    describe('syntax errors', () => {
+        test.each([
+            ['{{#if A}}open', 'Unclosed {{#if A}}', 1, 1],
+            ['ok\n  {{/each}}', 'Unexpected {{/each}} without a matching {{#each}}', 2, 3],
+            ['{{#if A}}{{/each}}', '{{/each}} closes {{#if}} opened at line 1, column 1', 1, 10],
+            ['{{NAME | shout}}', "Unknown filter 'shout' - available: upper, lower, trim, json, bullet-list, default", 1, 1],
+            ['{{NAME | default}}', 'default filter needs a quoted value, e.g. default:"..."', 1, 1],
+            ['{{}}', 'Empty placeholder {{}}', 1, 1],
+            ['{{#unless A}}{{/unless}}', "Unknown block '{{#unless A}}' - expected {{#if KEY}} or {{#each LIST}}", 1, 1]
+        ])('%j', (text, reason, line, column) => {
+            const error = renderError(text);
+            expect(error).toBeInstanceOf(TemplateRenderError);
+            expect(error).toMatchObject({ reason, line, column, status: 422 });
+        });
+    });
+});
+
+describe('includes', () => {
+    test('renders partials in the including scope', async () => {
+        const result = await renderTemplateWithPartials(
+            'Intro\n{{> rules}}\nBye {{NAME}}',
+            { NAME: 'Ada', TONE: 'kind' },
+            loaderFor({ rules: 'Be {{TONE}}, {{NAME}}.' })
+        );
+        expect(result).toEqual({ output: 'Intro\nBe kind, Ada.\nBye Ada', partials: ['rules'] });
+    });
+
+    test('partials can include other partials', async () => {
+        const result = await renderTemplateWithPartials('{{> outer}}', {}, loaderFor({ outer: '[{{> inner}}]', inner: 'in' }));
+        expect(result.output).toBe('[in]');
+        expect(result.partials.sort()).toEqual(['inner', 'outer']);
+    });
+
+    test('loads each partial once', async () => {
+        const loadPartial = jest.fn(loaderFor({ shared: 'x' }));
+        const result = await renderTemplateWithPartials('{{> shared}}{{> shared}}', {}, loadPartial);
+        expect(result.output).toBe('xx');
+        expect(loadPartial).toHaveBeenCalledTimes(1);
+    });
+
+    test('reports missing partials at the include tag', async () => {
+        await expect(collectPartials(parseTemplate('line\n {{> nope}}'), loaderFor({})))
+            .rejects.toMatchObject({ reason: "Partial 'nope' not found", line: 2, column: 2, partial: null });
+    });
+
+    test('detects include cycles', async () => {
+        const loadPartial = loaderFor({ a: '{{> b}}', b: '{{> a}}' });
+        await expect(collectPartials(parseTemplate('{{> a}}'), loadPartial, { rootName: 'main' }))
+            .rejects.toMatchObject({ reason: 'Include cycle detected: main > a > b > a', partial: 'b' });
+    });
+
+    test('detects a template that includes itself', async () => {
+        await expect(collectPartials(parseTemplate('{{> self}}'), loaderFor({ self: 'x' }), { rootName: 'self' }))
+            .rejects.toMatchObject({ reason: 'Include cycle detected: self > self', partial: null });
+    });
+
+    test('enforces the include depth limit', async () => {
+        const chain = { p1: '{{> p2}}', p2: '{{> p3}}', p3: 'end' };
+
+        await expect(collectPartials(parseTemplate('{{> p1}}'), loaderFor(chain), { maxDepth: 3 })).resolves.toHaveProperty('p3');
+        await expect(collectPartials(parseTemplate('{{> p1}}'), loaderFor(chain), { maxDepth: 2 }))
+            .rejects.toMatchObject({ reason: 'Include depth limit of 2 exceeded: (template) > p1 > p2 > p3', partial: 'p2' });
+    });
+
+    test('attributes syntax errors to the partial they occur in', async () => {
+        await expect(renderTemplateWithPartials('{{> broken}}', {}, loaderFor({ broken: 'ok\n{{#if A}}' })))
+            .rejects.toMatchObject({
+                message: "Unclosed {{#if A}} in partial 'broken' (line 2, column 1)",
+                partial: 'broken'
+            });
+    });
+
+    test('renderTemplate without parsed partials reports them as missing', () => {
+        expect(renderError('{{> rules}}')).toMatchObject({ reason: "Partial 'rules' not found" });
+    });
+});
@@ -0,0 +1,172 @@
+// tests/templateReviewGate.test.js - imports, rollouts and resets cannot skip review of reviewed types
+const request = require('supertest');
+const app = require('../src/app');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+// conceptMentor requires review in these tests
+const TEMPLATE_TYPES = [
+    { id: 1, name: 'conceptMentor', default_file: null, default_content: 'Reviewed default', content_kind: 'text', role: 'system_prompt', requires_review: true, is_active: true },
+    { id: 2, name: 'assessmentPrompt', default_file: null, default_content: 'Assessment default', content_kind: 'text', role: 'system_prompt', requires_review: false, is_active: true },
+    { id: 3, name: 'defaultTemplateValues', default_file: 'defaultTemplateValues.txt', default_content: null, content_kind: 'json', role: 'variables', requires_review: false, is_active: true }
+];
+
+function bundle(templateType, versions) {
+    return { format: 'tinymagiq-template-bundle', formatVersion: 1, templates: [{ templateType, versions }] };
+}
+
+describe('review gate', () => {
+    let db;
+    let existing;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        // learner's conceptMentor: v1 published and active, v2 a draft
+        existing = [
+            { version: 1, content: 'Live mentor', is_active: true, status: 'published' },
+            { version: 2, content: 'Draft mentor', is_active: false, status: 'draft' }
+        ];
+        db = installFakeDb([
+            [/SELECT \* FROM template_types/, () => TEMPLATE_TYPES],
+            [/SELECT content FROM prompt_templates WHERE username = \$1 AND template_type = \$2 AND status = 'published'/, () => existing.filter(row => row.status === 'published')],
+            [/SELECT version, content, is_active, status FROM prompt_templates/, () => existing],
+            [/SELECT id, version FROM prompt_templates/, () => [{ id: 2, version: 2 }]],
+            [/COALESCE\(MAX\(version\), 0\) \+ 1 as next_version/, () => [{ next_version: 3 }]],
+            [/INSERT INTO prompt_templates[\s\S]*RETURNING/, (params, text) => [{ id: 30, version: params[3], status: /'draft'/.test(text) ? 'draft' : 'published', created_at: null }]],
+            [/INSERT INTO template_rollouts/, () => [{ id: 1, template_type: 'assessmentPrompt', status: 'applied' }]]
+        ], { missingTables: /FROM (llm_configs|variable_layers)\b/ });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    function insertedRows() {
+        return db.find(/INSERT INTO prompt_templates/);
+    }
+
+    describe('POST /api/templates/import', () => {
+        test('replace: published versions of a reviewed type arrive as inactive drafts', async () => {
+            const response = await request(app)
+                .post('/api/templates/import')
+                .send({
+                    username: 'learner',
+                    mode: 'replace',
+                    bundle: bundle('conceptMentor', [
+                        { version: 1, content: 'Live mentor', isActive: false, status: 'published' },
+                        { version: 2, content: 'Imported mentor', isActive: true, status: 'published' }
+                    ])
+                });
+
+            expect(response.status).toBe(201);
+            expect(insertedRows().map(({ params }) => [params[3], params[4], params[5]])).toEqual([
+                [1, false, 'published'],
+                [2, false, 'draft']
+            ]);
+            expect(response.body.data.templates[0]).toMatchObject({ activeVersion: null, awaitingReview: [2] });
+        });
+
+        test('replace: content the user already had published stays published and active', async () => {
+            await request(app)
+                .post('/api/templates/import')
+                .send({
+                    username: 'learner',
+                    mode: 'replace',
+                    bundle: bundle('conceptMentor', [{ version: 1, content: 'Live mentor', isActive: true }])
+                });
+
+            expect(insertedRows().map(({ params }) => [params[4], params[5]])).toEqual([[true, 'published']]);
+        });
+
+        test('merge: new content is never activated', async () => {
+            const response = await request(app)
+                .post('/api/templates/import')
+                .send({
+                    username: 'learner',
+                    bundle: bundle('conceptMentor', [{ version: 7, content: 'Imported mentor', isActive: true, status: 'published' }])
+                });
+
+            expect(response.status).toBe(201);
+            const [insert] = insertedRows();
+            expect(insert.params[4]).toBe('draft');
+            expect(db.find(/SET is_active = TRUE/)).toEqual([]);
+            expect(response.body.data.templates[0]).toMatchObject({ activeVersion: 1, awaitingReview: [3] });
+        });
+
+        test("merge: the user's own draft is not published by matching the bundle's active version", async () => {
+            const response = await request(app)
+                .post('/api/templates/import')
+                .send({
+                    username: 'learner',
+                    bundle: bundle('conceptMentor', [{ version: 7, content: 'Draft mentor', isActive: true }])
+                });
+
+            expect(response.body.data.templates[0]).toMatchObject({ skipped: 1, activeVersion: 1, awaitingReview: [2] });
+            expect(db.find(/UPDATE prompt_templates/)).toEqual([]);
+        });
+
+        test('merge: types without review still activate the bundle version', async () => {
+            const response = await request(app)
+                .post('/api/templates/import')
+                .send({
+                    username: 'learner',
+                    bundle: bundle('assessmentPrompt', [{ version: 1, content: 'New assessment', isActive: true }])
+                });
+
+            expect(insertedRows()[0].params[4]).toBe('published');
+            expect(response.body.data.templates[0]).toMatchObject({ activeVersion: 3, awaitingReview: [] });
+        });
+    });
+
+    describe('POST /api/templates/rollouts', () => {
+        test('a reviewed type cannot be rolled out', async () => {
+            const response = await request(app)
+                .post('/api/templates/rollouts')
+                .send({ templateType: 'conceptMentor', target: { usernames: ['learner'] } });
+
+            expect(response.status).toBe(409);
+            expect(insertedRows()).toEqual([]);
+        });
+
+        test('a reviewed type can still be dry-run', async () => {
+            const response = await request(app)
+                .post('/api/templates/rollouts')
+                .send({ templateType: 'conceptMentor', target: { usernames: ['learner'] }, dryRun: true });
+
+            expect(response.status).toBe(200);
+        });
+
+        test('rolled-out versions are stored as published', async () => {
+            const response = await request(app)
+                .post('/api/templates/rollouts')
+                .send({ templateType: 'assessmentPrompt', target: { usernames: ['newcomer'] } });
+
+            expect(response.status).toBe(201);
+            const [insert] = insertedRows();
+            expect(insert.text).toMatch(/TRUE, 'published'/);
+        });
+    });
+
+    describe('POST /api/templates/defaults', () => {
+        test('a reviewed type is reset to a draft and the live version stays', async () => {
+            const response = await request(app)
+                .post('/api/templates/defaults')
+                .send({ username: 'learner', templateType: 'conceptMentor', resetToDefault: true });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({ action: 'draft_created', status: 'draft', newVersion: 3, requiresReview: true });
+            expect(insertedRows()[0].text).toMatch(/FALSE, 'draft'/);
+            expect(db.find(/SET is_active = FALSE/)).toEqual([]);
+        });
+
+        test('other types are reset to a published active version', async () => {
+            const response = await request(app)
+                .post('/api/templates/defaults')
+                .send({ username: 'learner', templateType: 'assessmentPrompt', resetToDefault: true });
+
+            expect(response.body.data).toMatchObject({ action: 'reset_completed', status: 'published' });
+            expect(insertedRows()[0].text).toMatch(/TRUE, 'published'/);
+            expect(db.find(/SET is_active = FALSE/)).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,112 @@
+// tests/templateRollouts.test.js - rollouts record each user's previous version and roll back to it
+const request = require('supertest');
+const app = require('../src/app');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+// Rollout 3 pushed conceptMentor to three users:
+//   alice   v2 -> v3 (still active)
+//   bob     v4 -> v5 (bob has saved and published v6 since)
+//   charlie none -> v1 (the rollout created his first version)
+const ROLLOUT = { id: 3, template_type: 'conceptMentor', target: { usernames: ['alice', 'bob', 'charlie'] }, status: 'applied' };
+const ITEMS = [
+    { id: 31, rollout_id: 3, username: 'alice', previous_version: 2, new_version: 3 },
+    { id: 32, rollout_id: 3, username: 'bob', previous_version: 4, new_version: 5 },
+    { id: 33, rollout_id: 3, username: 'charlie', previous_version: null, new_version: 1 }
+];
+const ACTIVE_VERSIONS = { alice: 3, bob: 6, charlie: 1 };
+
+describe('template rollouts', () => {
+    let db;
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('POST /api/templates/rollouts/:id/rollback', () => {
+        beforeEach(() => {
+            resetCaches();
+            silenceConsole();
+            db = installFakeDb([
+                [/SELECT \* FROM template_rollouts WHERE id = \$1 FOR UPDATE/, params => {
+                    if (params[0] === 4) return [{ ...ROLLOUT, id: 4, status: 'rolled_back', rolled_back_at: '2026-01-01' }];
+                    return params[0] === ROLLOUT.id ? [ROLLOUT] : [];
+                }],
+                [/SELECT \* FROM template_rollout_items WHERE rollout_id = \$1/, () => ITEMS],
+                [/SELECT version FROM prompt_templates WHERE username = \$1 AND template_type = \$2 AND is_active = TRUE/, params => [{ version: ACTIVE_VERSIONS[params[0]] }]],
+                [/UPDATE template_rollouts SET status = 'rolled_back'/, () => [{ ...ROLLOUT, status: 'rolled_back', rolled_back_at: '2026-02-01' }]]
+            ]);
+        });
+
+        test('puts each affected user back on their previous active version', async () => {
+            const response = await request(app).post('/api/templates/rollouts/3/rollback');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.items).toEqual([
+                { username: 'alice', action: 'restored', restoredVersion: 2 },
+                { username: 'bob', action: 'skipped', reason: 'changed_since_rollout', activeVersion: 6 },
+                { username: 'charlie', action: 'restored', restoredVersion: null }
+            ]);
+            expect(response.body.data.rollout.status).toBe('rolled_back');
+
+            const activations = db.find(/SET is_active = TRUE/).map(({ params }) => params);
+            expect(activations).toEqual([['alice', 'conceptMentor', 2]]);
+
+            const deactivated = db.find(/SET is_active = FALSE/).map(({ params }) => params[0]);
+            expect(deactivated).toEqual(['alice', 'charlie']);
+
+            const markedItems = db.find(/UPDATE template_rollout_items SET rolled_back = TRUE/).map(({ params }) => params[0]);
+            expect(markedItems).toEqual([31, 33]);
+            expect(db.texts()).toContain('COMMIT');
+        });
+
+        test('a rollout can only be rolled back once', async () => {
+            const response = await request(app).post('/api/templates/rollouts/4/rollback');
+
+            expect(response.status).toBe(409);
+            expect(db.find(/UPDATE prompt_templates/)).toEqual([]);
+        });
+
+        test('404 for an unknown rollout', async () => {
+            const response = await request(app).post('/api/templates/rollouts/99/rollback');
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('POST /api/templates/rollouts', () => {
+        beforeEach(() => {
+            resetCaches();
+            silenceConsole();
+            db = installFakeDb([
+                [/SELECT content, version FROM prompt_templates WHERE username = \$1 AND template_type = \$2 AND is_active = TRUE/, params => params[0] === 'alice'
+                    ? [{ content: 'Alice v2', version: 2 }]
+                    : []],
+                [/INSERT INTO template_rollouts/, () => [{ ...ROLLOUT, affected_count: 0 }]],
+                [/COALESCE\(MAX\(version\), 0\) \+ 1 as next_version/, params => [{ next_version: params[0] === 'alice' ? 3 : 1 }]]
+            ]);
+        });
+
+        test('records the previous active version of every user it changes', async () => {
+            const response = await request(app)
+                .post('/api/templates/rollouts')
+                .send({ templateType: 'conceptMentor', target: { usernames: ['alice', 'charlie'] } });
+
+            expect(response.status).toBe(201);
+            const items = db.find(/INSERT INTO template_rollout_items/).map(({ params }) => params.slice(1, 5));
+            expect(items).toEqual([
+                ['alice', 2, 3, 'updated'],
+                ['charlie', null, 1, 'created']
+            ]);
+        });
+
+        test('a dry run changes nothing', async () => {
+            const response = await request(app)
+                .post('/api/templates/rollouts')
+                .send({ templateType: 'conceptMentor', target: { usernames: ['alice', 'charlie'] }, dryRun: true });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.summary).toEqual({ updated: 1, created: 1 });
+            expect(db.find(/INSERT INTO/)).toEqual([]);
+            expect(db.texts()).toContain('ROLLBACK');
+        });
+    });
+});
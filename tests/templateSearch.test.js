@@ -0,0 +1,89 @@
+// tests/templateSearch.test.js - full-text search and the length cap on its tsvector column
+const request = require('supertest');
+const app = require('../src/app');
+const { createTables } = require('../src/config/migrate');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+describe('content_tsv migration', () => {
+    let db;
+
+    beforeEach(() => {
+        silenceConsole();
+        db = installFakeDb([], { missingTables: null });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('indexes only the first 500k characters of each template', async () => {
+        await createTables();
+
+        const [column] = db.find(/ADD COLUMN IF NOT EXISTS content_tsv/);
+        expect(column.text).toContain("to_tsvector('english', left(content, 500000))");
+        expect(db.find(/CREATE INDEX IF NOT EXISTS idx_prompt_content_tsv/)).toHaveLength(1);
+    });
+
+    test('rebuilds a content_tsv column generated from the whole content', async () => {
+        await createTables();
+
+        const texts = db.texts();
+        const rebuild = texts.findIndex(text => /DROP COLUMN content_tsv/.test(text));
+        expect(texts[rebuild]).toContain("generation_expression NOT LIKE '%left%(content, 500000)%'");
+        expect(rebuild).toBeLessThan(texts.findIndex(text => /ADD COLUMN IF NOT EXISTS content_tsv/.test(text)));
+    });
+});
+
+describe('GET /api/templates/search', () => {
+    let db;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        db = installFakeDb([
+            [/websearch_to_tsquery/, () => [{
+                id: 1, username: 'learner', template_type: 'conceptMentor', version: 2, is_active: true, status: 'published',
+                content: 'Explain entropy', created_at: null, updated_at: null, rank: '0.06', total_count: '1',
+                snippet: 'Explain <mark>entropy</mark>'
+            }]]
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('matches content_tsv and returns ranked snippets', async () => {
+        const response = await request(app)
+            .get('/api/templates/search')
+            .query({ q: 'entropy', username: 'learner', activeOnly: true });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ total: 1, limit: 20, offset: 0 });
+        expect(response.body.data.results[0]).toMatchObject({ rank: 0.06, snippet: 'Explain <mark>entropy</mark>' });
+
+        const [search] = db.find(/websearch_to_tsquery/);
+        expect(search.text).toMatch(/content_tsv @@ websearch_to_tsquery\('english', \$1\) AND username = \$2 AND is_active = TRUE/);
+        expect(search.params).toEqual(['entropy', 'learner', 20, 0]);
+    });
+
+    test('503 until the search column has been migrated', async () => {
+        db = installFakeDb([
+            [/websearch_to_tsquery/, () => {
+                const error = new Error('column "content_tsv" does not exist');
+                error.code = '42703';
+                throw error;
+            }]
+        ]);
+
+        const response = await request(app).get('/api/templates/search').query({ q: 'entropy' });
+
+        expect(response.status).toBe(503);
+        expect(response.body.error).toBe('Search unavailable');
+    });
+
+    test('400 without a query', async () => {
+        const response = await request(app).get('/api/templates/search');
+        expect(response.status).toBe(400);
+    });
+});
@@ -0,0 +1,96 @@
+// tests/templateShares.test.js - shared templates only expose the owner's published versions
+const request = require('supertest');
+const app = require('../src/app');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+// owner's conceptMentor: v1 published (active), v2 a draft
+const OWNER_VERSIONS = [
+    { version: 1, content: 'Published mentor', is_active: true, status: 'published', created_at: null, updated_at: null },
+    { version: 2, content: 'Secret draft', is_active: false, status: 'draft', created_at: null, updated_at: null }
+];
+
+// Answers a prompt_templates lookup by version or active flag, honouring a status filter
+function findOwnerVersion(params, text) {
+    const publishedOnly = /status = 'published'/.test(text);
+    return OWNER_VERSIONS.filter(row =>
+        (params.length > 2 ? row.version === params[2] : row.is_active) &&
+        (!publishedOnly || row.status === 'published')
+    );
+}
+
+describe('template shares', () => {
+    let db;
+
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        db = installFakeDb([
+            [/SELECT permission FROM template_shares/, params => params[2] === 'friend' ? [{ permission: 'fork' }] : []],
+            [/SELECT (version, content, is_active|content, version)[^;]*FROM prompt_templates/, (params, text) => params[0] === 'owner' ? findOwnerVersion(params, text) : []],
+            [/COALESCE\(MAX\(version\), 0\) \+ 1 as next_version/, () => [{ next_version: 1 }]],
+            [/INSERT INTO prompt_templates/, params => [{ id: 9, version: params[3], status: 'draft', created_at: null }]]
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('GET /api/templates/shares/view', () => {
+        const query = { username: 'friend', owner: 'owner', templateType: 'conceptMentor' };
+
+        test('returns the active published version', async () => {
+            const response = await request(app).get('/api/templates/shares/view').query(query);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({ version: 1, content: 'Published mentor', permission: 'fork' });
+        });
+
+        test('a published version can be asked for by number', async () => {
+            const response = await request(app).get('/api/templates/shares/view').query({ ...query, version: 1 });
+            expect(response.status).toBe(200);
+        });
+
+        test("the owner's drafts are not visible", async () => {
+            const response = await request(app).get('/api/templates/shares/view').query({ ...query, version: 2 });
+
+            expect(response.status).toBe(404);
+            expect(JSON.stringify(response.body)).not.toContain('Secret draft');
+            expect(db.find(/FROM prompt_templates/)[0].text).toMatch(/status = 'published'/);
+        });
+
+        test('403 when the template is not shared with the user', async () => {
+            const response = await request(app).get('/api/templates/shares/view').query({ ...query, username: 'stranger' });
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('POST /api/templates/copy', () => {
+        test("copying another user's draft is a 404", async () => {
+            const response = await request(app)
+                .post('/api/templates/copy')
+                .send({ fromUsername: 'owner', toUsername: 'friend', templateType: 'conceptMentor', version: 2 });
+
+            expect(response.status).toBe(404);
+            expect(db.find(/INSERT INTO prompt_templates/)).toEqual([]);
+        });
+
+        test("another user's published version is copied as a draft", async () => {
+            const response = await request(app)
+                .post('/api/templates/copy')
+                .send({ fromUsername: 'owner', toUsername: 'friend', templateType: 'conceptMentor', version: 1 });
+
+            expect(response.status).toBe(201);
+            const [insert] = db.find(/INSERT INTO prompt_templates/);
+            expect(insert.params.slice(0, 3)).toEqual(['friend', 'conceptMentor', 'Published mentor']);
+        });
+
+        test('users can copy their own drafts', async () => {
+            const response = await request(app)
+                .post('/api/templates/copy')
+                .send({ fromUsername: 'owner', toUsername: 'owner', templateType: 'conceptMentor', version: 2 });
+
+            expect(response.status).toBe(201);
+        });
+    });
+});
@@ -0,0 +1,33 @@
+// tests/tokenBudget.test.js - built-in provider budgets and the context-window check
+const llmConfigs = require('../src/data/llmConfigs.json');
+const { measurePrompt } = require('../src/utils/tokenCounter');
+
+describe('llmConfigs.json', () => {
+    test.each(Object.entries(llmConfigs))('%s leaves room for the prompt', (name, config) => {
+        expect(config.maxTokens).toBeLessThan(config.contextWindow);
+    });
+});
+
+describe('measurePrompt', () => {
+    const messages = [{ role: 'system', content: 'word '.repeat(200) }, { role: 'user', content: 'Hi' }];
+
+    test('reports the remaining budget for the mistral config', () => {
+        const tokens = measurePrompt(messages, llmConfigs.mistral);
+        expect(tokens.contextWindow).toBe(32768);
+        expect(tokens.remaining).toBe(32768 - tokens.total);
+        expect(tokens.overflow).toBe(false);
+        expect(tokens.warning).toBeNull();
+    });
+
+    test('warns when the prompt leaves less than maxTokens for the answer', () => {
+        const tokens = measurePrompt(messages, { ...llmConfigs.mistral, contextWindow: 8192 + 10 });
+        expect(tokens.overflow).toBe(false);
+        expect(tokens.warning).toMatch(/left for the response/);
+    });
+
+    test('overflows when the prompt is larger than the context window', () => {
+        const tokens = measurePrompt(messages, { ...llmConfigs.mistral, contextWindow: 50, maxTokens: 10 });
+        expect(tokens.overflow).toBe(true);
+        expect(tokens.remaining).toBeLessThan(0);
+    });
+});
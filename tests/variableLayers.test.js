@@ -0,0 +1,96 @@
+// tests/variableLayers.test.js - key-by-key variable resolution across layers
+const request = require('supertest');
+const app = require('../src/app');
+const { resolveVariables } = require('../src/services/variableLayers');
+const { installFakeDb, resetCaches, silenceConsole } = require('./helpers/fakeDb');
+
+// variable_layers exists in these tests; the other optional tables stay missing
+const MISSING_TABLES = /FROM (template_types|llm_configs)\b/;
+
+function layerHandlers() {
+    return [
+        [/FROM variable_layers vl\s+JOIN variable_layer_members/, params => params[0] === 'learner' ? [
+            { id: 1, scope: 'organization', name: 'Acme', variables: { STAGE_1_CONTENT: 'org stage 1', STAGE_2_CONTENT: 'org stage 2' } },
+            { id: 2, scope: 'cohort', name: 'Spring', variables: { STAGE_2_CONTENT: 'cohort stage 2' } }
+        ] : []],
+        // learner's published defaultTemplateValues
+        [/is_active = TRUE AND status = 'published'/, params => params[0] === 'learner' && params[1] === 'defaultTemplateValues'
+            ? [{ content: JSON.stringify({ STAGE_3_CONTENT: 'user stage 3', CONCEPT_NAME: 'User concept' }), version: 2 }]
+            : []]
+    ];
+}
+
+describe('variable layers', () => {
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        installFakeDb(layerHandlers(), { missingTables: MISSING_TABLES });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('each layer overrides only the keys it sets', async () => {
+        const { variables, sources, layers } = await resolveVariables('learner', {
+            requestVariables: { CONCEPT_NAME: 'Request concept' }
+        });
+
+        expect(variables).toMatchObject({
+            STAGE_1_CONTENT: 'org stage 1',
+            STAGE_2_CONTENT: 'cohort stage 2',
+            STAGE_3_CONTENT: 'user stage 3',
+            CONCEPT_NAME: 'Request concept'
+        });
+        expect(sources).toMatchObject({
+            STAGE_1_CONTENT: 'organization',
+            STAGE_2_CONTENT: 'cohort',
+            STAGE_3_CONTENT: 'user',
+            STAGE_4_CONTENT: 'default',
+            CONCEPT_NAME: 'request'
+        });
+        expect(layers.map(({ layer }) => layer)).toEqual(['default', 'organization', 'cohort', 'user', 'request']);
+        expect(layers.find(({ layer }) => layer === 'cohort')).toEqual({ layer: 'cohort', id: 2, name: 'Spring', keys: 1 });
+    });
+
+    test('a user outside every layer gets the file defaults', async () => {
+        const { sources } = await resolveVariables('newcomer');
+        expect(new Set(Object.values(sources))).toEqual(new Set(['default']));
+    });
+
+    test('POST /api/templates/process reports where each variable came from', async () => {
+        const response = await request(app)
+            .post('/api/templates/process')
+            .send({ username: 'learner', promptType: 'conceptMentor', variables: { STAGE_5_CONTENT: 'request stage 5' } });
+
+        expect(response.status).toBe(200);
+        expect(response.body.metadata.variableSources).toMatchObject({
+            STAGE_1_CONTENT: 'organization',
+            STAGE_2_CONTENT: 'cohort',
+            STAGE_3_CONTENT: 'user',
+            STAGE_5_CONTENT: 'request'
+        });
+
+        const system = response.body.messages.find(message => message.role === 'system').content;
+        expect(system).toContain('cohort stage 2');
+        expect(system).not.toContain('org stage 2');
+        expect(system).toContain('request stage 5');
+    });
+});
+
+describe('variable layers without the tables', () => {
+    beforeEach(() => {
+        resetCaches();
+        silenceConsole();
+        installFakeDb();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('resolution falls back to defaults when variable_layers is missing', async () => {
+        const { layers } = await resolveVariables('learner');
+        expect(layers.map(({ layer }) => layer)).toEqual(['default']);
+    });
+});